@@ -7,9 +7,47 @@ using JSON3
 const ACTIVE_MODELS = Dict{String, Dict{String, Any}}()
 const MODEL_COUNTER = Ref(0)
 
-# API endpoints
-function start_api_server(port::Int=8080)
+# Solve jobs write to ACTIVE_MODELS from their own thread, so changes to
+# it go through MODELS_LOCK. A model being solved is listed in
+# SOLVING_MODELS until the solve ends; the solver works on the cached
+# JuMP model meanwhile, so other solves, config patches and deletion of
+# that model are refused with 409.
+const MODELS_LOCK = ReentrantLock()
+const SOLVING_MODELS = Set{String}()
+
+# Reserve model_id for a solve; false if one is already running
+function begin_solve!(model_id::String)::Bool
+    lock(MODELS_LOCK) do
+        model_id in SOLVING_MODELS && return false
+        push!(SOLVING_MODELS, model_id)
+        return true
+    end
+end
+
+end_solve!(model_id::String) = lock(() -> delete!(SOLVING_MODELS, model_id), MODELS_LOCK)
+
+model_busy_response() = HTTP.Response(409, [], JSON3.write(Dict(
+    "error" => "Model is being solved",
+    "message" => "Wait for the running solve to finish or cancel it"
+)))
+
+function set_model_status!(model_id::String, status::String)
+    lock(MODELS_LOCK) do
+        haskey(ACTIVE_MODELS, model_id) && (ACTIVE_MODELS[model_id]["status"] = status)
+    end
+end
+
+# API endpoints. Models are saved to store_dir (set to nothing to keep
+# them in memory only), see ModelStore.jl
+function start_api_server(port::Int=8080; store_dir=get(ENV, "SCHEDULING_DSL_STORE", "model_store"))
     @info "Starting SchedulingDSL API server on port $port"
+    if Threads.nthreads() < 2
+        @warn "Julia runs on one thread: while a model solves, no other request is answered. Start it with -t 2 or more."
+    end
+    
+    if store_dir !== nothing
+        open_model_store!(store_dir)
+    end
     
     # Define routes
     router = HTTP.Router()
@@ -39,15 +77,43 @@ function start_api_server(port::Int=8080)
     HTTP.register!(router, "GET", "/", health_check)
     HTTP.register!(router, "POST", "/models", create_model)
     HTTP.register!(router, "GET", "/models", list_models)
+    HTTP.register!(router, "POST", "/models/import", import_model)
+    HTTP.register!(router, "POST", "/configs/validate", validate_config_endpoint)
+    HTTP.register!(router, "GET", "/models/*/config.yaml", export_model_config)
+    HTTP.register!(router, "GET", "/models/*/config", get_model_config)
+    HTTP.register!(router, "POST", "/models/*/config/check", check_config_edit)
+    HTTP.register!(router, "GET", "/models/*/parameters/*", get_parameter_endpoint)
     HTTP.register!(router, "GET", "/models/*", get_model)
+    HTTP.register!(router, "PATCH", "/models/*", rename_model)
     HTTP.register!(router, "PATCH", "/models/*/config", update_model_config)
     HTTP.register!(router, "POST", "/models/*/solve", solve_model_endpoint)
+    HTTP.register!(router, "POST", "/models/*/jobs", start_solve_job_endpoint)
+    HTTP.register!(router, "GET", "/jobs/*", get_solve_job_endpoint)
+    HTTP.register!(router, "POST", "/jobs/*/cancel", cancel_solve_job_endpoint)
     HTTP.register!(router, "GET", "/models/*/solution", get_solution)
+    HTTP.register!(router, "GET", "/models/*/metrics", get_metrics)
     HTTP.register!(router, "DELETE", "/models/*", delete_model)
     HTTP.register!(router, "POST", "/models/*/ui-spec", create_ui_spec_endpoint)
+    HTTP.register!(router, "POST", "/models/*/fork", fork_model)
+    HTTP.register!(router, "POST", "/models/*/nl-query", nl_query_endpoint)
+    HTTP.register!(router, "GET", "/templates", list_templates_endpoint)
+    HTTP.register!(router, "GET", "/constraints", list_constraints_endpoint)
+    HTTP.register!(router, "GET", "/objectives", list_objectives_endpoint)
+    HTTP.register!(router, "GET", "/solvers", list_solvers_endpoint)
+    
+    # Job event streams write to the connection as progress arrives;
+    # everything else goes through the router with CORS headers
+    handle_request = HTTP.streamhandler(cors_middleware(router))
+    function handle_stream(stream::HTTP.Stream)
+        request = stream.message
+        if request.method == "GET" && occursin(r"^/jobs/[^/]+/events/?$", request.target)
+            return stream_job_events(stream)
+        end
+        return handle_request(stream)
+    end
     
     # Start server with CORS middleware
-    HTTP.serve(cors_middleware(router), port)
+    HTTP.serve(handle_stream, port; stream=true)
 end
 
 # Endpoint implementations
@@ -63,52 +129,244 @@ function create_model(req::HTTP.Request)
     try
         # Parse request body
         body = String(req.body)
-        config_dict = JSON3.read(body)
+        config_dict = JSON3.read(body, Dict{String, Any})
         
         # Parse config into ModelSpec
         spec = parse_config_dict(config_dict)
+        model_id = add_model!(config_dict, spec)
         
-        # Generate unique model ID
+        response_data = Dict(
+            "model_id" => model_id,
+            "status" => "created",
+            "template" => spec.template
+        )
+        
+        return HTTP.Response(201, [], JSON3.write(response_data))
+        
+    catch e
+        error_response = Dict(
+            "error" => "Failed to create model",
+            "message" => string(e)
+        )
+        return HTTP.Response(400, [], JSON3.write(error_response))
+    end
+end
+
+# Store a new model created from config_dict and return its id
+function add_model!(config_dict::Dict{String, Any}, spec::ModelSpec; name::Union{Nothing, String}=nothing)::String
+    lock(MODELS_LOCK) do
         MODEL_COUNTER[] += 1
         model_id = "model_$(MODEL_COUNTER[])"
         
-        # Store model information
         ACTIVE_MODELS[model_id] = Dict(
             "id" => model_id,
+            "name" => something(name, model_id),
             "spec" => spec,
             "model" => nothing,
             "solution" => nothing,
             "created_at" => now(),
-            "status" => "created"
+            "status" => "created",
+            "config" => config_dict,
+            "patches" => Any[]
         )
+        save_model(model_id)
+        return model_id
+    end
+end
+
+# Body: {"config": {"filename", "content"}, "files": [{"filename", "content"}, ...], "name"}
+function read_import_request(req::HTTP.Request)
+    request_data = JSON3.read(String(req.body))
+    config = ImportedFile(string(request_data.config.filename), string(request_data.config.content))
+    files = ImportedFile[ImportedFile(string(f.filename), string(f.content)) for f in get(request_data, :files, [])]
+    name = get(request_data, :name, nothing)
+    return config, files, name === nothing || isempty(strip(string(name))) ? nothing : String(strip(string(name)))
+end
+
+function validate_config_endpoint(req::HTTP.Request)
+    try
+        config, files, _ = read_import_request(req)
+        _, errors, warnings = import_config(config, files)
+        
+        return HTTP.Response(200, [], JSON3.write(Dict(
+            "valid" => isempty(errors),
+            "errors" => issue_to_dict.(errors),
+            "warnings" => issue_to_dict.(warnings)
+        )))
+    catch e
+        error_response = Dict(
+            "error" => "Invalid import request",
+            "message" => string(e)
+        )
+        return HTTP.Response(400, [], JSON3.write(error_response))
+    end
+end
+
+function import_model(req::HTTP.Request)
+    try
+        config, files, name = read_import_request(req)
+        config_dict, errors, warnings = import_config(config, files)
+        
+        if !isempty(errors)
+            return HTTP.Response(422, [], JSON3.write(Dict(
+                "error" => "Invalid config",
+                "message" => "$(config.filename) has $(length(errors)) error(s)",
+                "errors" => issue_to_dict.(errors),
+                "warnings" => issue_to_dict.(warnings)
+            )))
+        end
+        
+        spec = parse_config_dict(config_dict)
+        model_id = add_model!(config_dict, spec; name=something(name, first(splitext(basename(config.filename)))))
         
         response_data = Dict(
             "model_id" => model_id,
+            "name" => ACTIVE_MODELS[model_id]["name"],
             "status" => "created",
-            "template" => spec.template
+            "template" => spec.template,
+            "warnings" => issue_to_dict.(warnings)
         )
         
         return HTTP.Response(201, [], JSON3.write(response_data))
         
     catch e
         error_response = Dict(
-            "error" => "Failed to create model",
+            "error" => "Failed to import model",
             "message" => string(e)
         )
         return HTTP.Response(400, [], JSON3.write(error_response))
     end
 end
 
-function list_models(req::HTTP.Request)
-    models_info = [
-        Dict(
-            "id" => model_id,
-            "template" => model_data["spec"].template,
-            "status" => model_data["status"],
-            "created_at" => model_data["created_at"]
+# The current config, patches included, as a YAML download
+function export_model_config(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    model_data = ACTIVE_MODELS[model_id]
+    filename = replace(model_data["name"], r"[^\w\-. ]" => "_") * ".yaml"
+    
+    return HTTP.Response(200, [
+        "Content-Type" => "application/x-yaml",
+        "Content-Disposition" => "attachment; filename=\"$filename\""
+    ], config_to_yaml(effective_config(model_data["spec"])))
+end
+
+function get_model_config(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    return HTTP.Response(200, [], JSON3.write(effective_config(ACTIVE_MODELS[model_id]["spec"])))
+end
+
+# The current data of one parameter, patches included: table rows in
+# schema order, a dict's entries or a scalar's value
+function get_parameter_endpoint(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    name = String(last(split(first(split(req.target, '?')), '/')))
+    spec = ACTIVE_MODELS[model_id]["spec"]
+    param = get(spec.parameters, Symbol(name), nothing)
+    
+    if param === nothing
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Parameter not found")))
+    end
+    
+    try
+        response_data = if param isa TableParameter
+            data = as_dataframe(get_parameter_data(spec, Symbol(name)), param.schema)
+            Dict(
+                "name" => name,
+                "type" => "table",
+                "schema" => String.(param.schema),
+                "rows" => plain_value(table_rows(data[:, param.schema]))
+            )
+        elseif param isa DictParameter
+            data = get_parameter_data(spec, Symbol(name))
+            Dict(
+                "name" => name,
+                "type" => "dict",
+                "key" => String(param.key),
+                # Like load_spec_data, a table source maps its first column to its second
+                "data" => data isa DataFrame ? Dict(string(row[1]) => row[2] for row in eachrow(data)) : plain_value(data)
+            )
+        else
+            Dict("name" => name, "type" => "scalar", "value" => param.value)
+        end
+        
+        return HTTP.Response(200, [], JSON3.write(response_data))
+        
+    catch e
+        error_response = Dict(
+            "error" => "Failed to load parameter data",
+            "message" => string(e)
+        )
+        return HTTP.Response(400, [], JSON3.write(error_response))
+    end
+end
+
+# Validate an edited config (body: {"content", "format": "yaml" or "json"})
+# and return the patches that would apply it, without applying them
+function check_config_edit(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    try
+        request_data = JSON3.read(String(req.body))
+        format = string(get(request_data, :format, "yaml"))
+        edited = ImportedFile(format == "json" ? "config.json" : "config.yaml", string(request_data.content))
+        current = effective_config(ACTIVE_MODELS[model_id]["spec"])
+        patches, old_values, errors, warnings = config_edit_patches(current, edited)
+        
+        return HTTP.Response(200, [], JSON3.write(Dict(
+            "valid" => isempty(errors),
+            "errors" => issue_to_dict.(errors),
+            "warnings" => issue_to_dict.(warnings),
+            "patches" => patches,
+            "old_values" => old_values
+        )))
+    catch e
+        error_response = Dict(
+            "error" => "Failed to check config",
+            "message" => string(e)
         )
-        for (model_id, model_data) in ACTIVE_MODELS
-    ]
+        return HTTP.Response(400, [], JSON3.write(error_response))
+    end
+end
+
+function list_models(req::HTTP.Request)
+    models_info = lock(MODELS_LOCK) do
+        [
+            Dict(
+                "id" => model_id,
+                "name" => model_data["name"],
+                "template" => model_data["spec"].template,
+                "status" => model_data["status"],
+                "created_at" => model_data["created_at"],
+                "updated_at" => get(model_data, "updated_at", model_data["created_at"]),
+                "forked_from" => get(model_data, "forked_from", nothing),
+                "patch_count" => length(get(model_data, "patches", [])),
+                "date_range" => date_range_summary(model_data["spec"]),
+                "solve_status" => model_data["solution"] === nothing ? nothing : model_data["solution"]["status"],
+                "objective_value" => model_data["solution"] === nothing ? nothing : model_data["solution"]["objective_value"]
+            )
+            for (model_id, model_data) in ACTIVE_MODELS
+        ]
+    end
+    sort!(models_info, by = info -> info["updated_at"], rev=true)
     
     return HTTP.Response(200, [], JSON3.write(Dict("models" => models_info)))
 end
@@ -127,6 +385,7 @@ function get_model(req::HTTP.Request)
     
     response_data = Dict(
         "id" => model_id,
+        "name" => model_data["name"],
         "spec" => spec_dict,
         "status" => model_data["status"],
         "created_at" => model_data["created_at"]
@@ -135,6 +394,36 @@ function get_model(req::HTTP.Request)
     return HTTP.Response(200, [], JSON3.write(response_data))
 end
 
+function rename_model(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    body = String(req.body)
+    request_data = try
+        isempty(body) ? Dict() : JSON3.read(body)
+    catch e
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Invalid request body", "message" => string(e))))
+    end
+    request_data isa AbstractDict ||
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Invalid request body", "message" => "Expected a JSON object")))
+    name = String(strip(string(something(get(request_data, "name", nothing), ""))))
+    
+    if isempty(name)
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Name is required")))
+    end
+    
+    lock(MODELS_LOCK) do
+        ACTIVE_MODELS[model_id]["name"] = name
+        ACTIVE_MODELS[model_id]["updated_at"] = now()
+        save_model(model_id)
+    end
+    
+    return HTTP.Response(200, [], JSON3.write(Dict("model_id" => model_id, "name" => name)))
+end
+
 function update_model_config(req::HTTP.Request)
     model_id = extract_model_id(req.target)
     
@@ -146,44 +435,48 @@ function update_model_config(req::HTTP.Request)
         # Parse patch request
         body = String(req.body)
         patch_data = JSON3.read(body)
+        patch_dicts = haskey(patch_data, "patches") ? patch_data["patches"] : [patch_data]
         
-        # Apply patch to model spec
-        current_spec = ACTIVE_MODELS[model_id]["spec"]
-        
-        if haskey(patch_data, "patches")
-            # Apply multiple patches
-            updated_spec = current_spec
-            for patch_dict in patch_data["patches"]
+        return lock(MODELS_LOCK) do
+            model_id in SOLVING_MODELS && return model_busy_response()
+            
+            # Apply patches in order to the model spec
+            updated_spec = ACTIVE_MODELS[model_id]["spec"]
+            for patch_dict in patch_dicts
                 patch = ConfigPatch(
                     patch_dict["operation"],
                     patch_dict["path"],
-                    patch_dict["value"]
+                    get(patch_dict, "value", nothing)
                 )
                 updated_spec = apply_config_patch(updated_spec, patch)
             end
-        else
-            # Single patch
-            patch = ConfigPatch(
-                patch_data["operation"],
-                patch_data["path"],
-                patch_data["value"]
+            
+            # Update stored spec, logging the patches so it can be rebuilt
+            ACTIVE_MODELS[model_id]["spec"] = updated_spec
+            applied_at = now()
+            append!(get!(ACTIVE_MODELS[model_id], "patches", Any[]), [
+                Dict{String, Any}(
+                    "operation" => patch_dict["operation"],
+                    "path" => patch_dict["path"],
+                    "value" => get(patch_dict, "value", nothing),
+                    "applied_at" => applied_at
+                )
+                for patch_dict in patch_dicts
+            ])
+            ACTIVE_MODELS[model_id]["status"] = "updated"
+            ACTIVE_MODELS[model_id]["model"] = nothing  # Clear cached model
+            ACTIVE_MODELS[model_id]["solution"] = nothing  # Clear cached solution
+            ACTIVE_MODELS[model_id]["updated_at"] = applied_at
+            save_model(model_id)
+            
+            response_data = Dict(
+                "model_id" => model_id,
+                "status" => "updated"
             )
-            updated_spec = apply_config_patch(current_spec, patch)
+            
+            return HTTP.Response(200, [], JSON3.write(response_data))
         end
         
-        # Update stored spec
-        ACTIVE_MODELS[model_id]["spec"] = updated_spec
-        ACTIVE_MODELS[model_id]["status"] = "updated"
-        ACTIVE_MODELS[model_id]["model"] = nothing  # Clear cached model
-        ACTIVE_MODELS[model_id]["solution"] = nothing  # Clear cached solution
-        
-        response_data = Dict(
-            "model_id" => model_id,
-            "status" => "updated"
-        )
-        
-        return HTTP.Response(200, [], JSON3.write(response_data))
-        
     catch e
         error_response = Dict(
             "error" => "Failed to update model config",
@@ -200,26 +493,10 @@ function solve_model_endpoint(req::HTTP.Request)
         return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
     end
     
+    begin_solve!(model_id) || return model_busy_response()
+    
     try
-        # Get or build the model
-        model_data = ACTIVE_MODELS[model_id]
-        
-        if model_data["model"] === nothing
-            # Build the model
-            spec = model_data["spec"]
-            model = build_model(spec)
-            ACTIVE_MODELS[model_id]["model"] = model
-        else
-            model = model_data["model"]
-        end
-        
-        # Solve the model
-        solution = solve_model(model)
-        
-        # Store solution
-        ACTIVE_MODELS[model_id]["solution"] = solution
-        ACTIVE_MODELS[model_id]["status"] = "solved"
-        
+        solution = solve_stored_model(model_id)
         return HTTP.Response(200, [], JSON3.write(solution))
         
     catch e
@@ -227,11 +504,136 @@ function solve_model_endpoint(req::HTTP.Request)
             "error" => "Failed to solve model",
             "message" => string(e)
         )
-        ACTIVE_MODELS[model_id]["status"] = "error"
+        set_model_status!(model_id, "error")
         return HTTP.Response(500, [], JSON3.write(error_response))
+    finally
+        end_solve!(model_id)
     end
 end
 
+# Build (or reuse) the stored model, solve it and keep the solution. The
+# caller holds the model through begin_solve!, so nothing else replaces
+# the spec or the cached model while the solver runs.
+function solve_stored_model(model_id::String; monitor::Union{Nothing, SolveMonitor}=nothing)::Dict{String, Any}
+    spec, model = lock(MODELS_LOCK) do
+        model_data = ACTIVE_MODELS[model_id]
+        model_data["spec"], model_data["model"]
+    end
+    
+    if model === nothing
+        # Build the model
+        model = build_model(spec)
+        lock(MODELS_LOCK) do
+            ACTIVE_MODELS[model_id]["model"] = model
+        end
+    end
+    
+    # Solve the model
+    solution = solve_model(model; monitor=monitor)
+    
+    # Explain which demand rows, options or overrides conflict
+    if solution["status"] in string.(INFEASIBLE_STATUSES)
+        solution["diagnosis"] = diagnose_infeasibility(model)
+    end
+    
+    # Store solution
+    lock(MODELS_LOCK) do
+        ACTIVE_MODELS[model_id]["solution"] = solution
+        ACTIVE_MODELS[model_id]["status"] = "solved"
+        ACTIVE_MODELS[model_id]["updated_at"] = now()
+        save_model(model_id)
+    end
+    
+    return solution
+end
+
+# Solve jobs: start in the background, poll or stream progress, cancel
+function start_solve_job_endpoint(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    begin_solve!(model_id) || return model_busy_response()
+    
+    # Marked before the job starts, so a quick solve can't be overwritten.
+    # A job cancelled before solving puts the previous status back
+    previous_status = lock(() -> ACTIVE_MODELS[model_id]["status"], MODELS_LOCK)
+    set_model_status!(model_id, "solving")
+    job = start_solve_job(model_id) do monitor
+        try
+            solve_stored_model(model_id; monitor=monitor)
+        catch e
+            set_model_status!(model_id, e isa SolveCancelled ? previous_status : "error")
+            rethrow()
+        finally
+            end_solve!(model_id)
+        end
+    end
+    
+    return HTTP.Response(202, [], JSON3.write(job_to_dict(job; include_progress=false)))
+end
+
+function get_solve_job_endpoint(req::HTTP.Request)
+    job = get_solve_job(extract_job_id(req.target))
+    
+    if job === nothing
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Job not found")))
+    end
+    
+    return HTTP.Response(200, [], JSON3.write(job_to_dict(job)))
+end
+
+function cancel_solve_job_endpoint(req::HTTP.Request)
+    job = get_solve_job(extract_job_id(req.target))
+    
+    if job === nothing
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Job not found")))
+    end
+    
+    cancel_solve_job!(job)
+    
+    return HTTP.Response(200, [], JSON3.write(job_to_dict(job; include_progress=false)))
+end
+
+# Server-Sent Events: a "progress" event per solver update, then a single
+# "done" event carrying the finished job with its result
+const JOB_EVENT_INTERVAL = 0.5  # seconds between checks for new progress
+
+function stream_job_events(stream::HTTP.Stream)
+    job = get_solve_job(extract_job_id(stream.message.target))
+    
+    HTTP.setheader(stream, "Access-Control-Allow-Origin" => "*")
+    if job === nothing
+        HTTP.setstatus(stream, 404)
+        HTTP.startwrite(stream)
+        write(stream, JSON3.write(Dict("error" => "Job not found")))
+        return nothing
+    end
+    
+    HTTP.setstatus(stream, 200)
+    HTTP.setheader(stream, "Content-Type" => "text/event-stream")
+    HTTP.setheader(stream, "Cache-Control" => "no-cache")
+    HTTP.startwrite(stream)
+    
+    sent = 0
+    while true
+        finished = is_finished(job)
+        for event in progress_since(job.monitor, sent)
+            write(stream, "event: progress\ndata: $(JSON3.write(event))\n\n")
+            sent += 1
+        end
+        if finished
+            write(stream, "event: done\ndata: $(JSON3.write(job_to_dict(job; include_progress=false)))\n\n")
+            break
+        end
+        sleep(JOB_EVENT_INTERVAL)
+    end
+    
+    return nothing
+end
+
 function get_solution(req::HTTP.Request)
     model_id = extract_model_id(req.target)
     
@@ -248,6 +650,31 @@ function get_solution(req::HTTP.Request)
     return HTTP.Response(200, [], JSON3.write(model_data["solution"]))
 end
 
+function get_metrics(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    solution = ACTIVE_MODELS[model_id]["solution"]
+    if solution === nothing
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "No solution available. Run solve first.")))
+    end
+    
+    response_data = Dict(
+        "model_id" => model_id,
+        "status" => solution["status"],
+        "primal_status" => get(solution, "primal_status", nothing),
+        "objective_value" => solution["objective_value"],
+        "relative_gap" => get(solution, "relative_gap", nothing),
+        "objective_bound" => get(solution, "objective_bound", nothing),
+        "metrics" => get(solution, "metrics", Dict())
+    )
+    
+    return HTTP.Response(200, [], JSON3.write(response_data))
+end
+
 function delete_model(req::HTTP.Request)
     model_id = extract_model_id(req.target)
     
@@ -255,11 +682,70 @@ function delete_model(req::HTTP.Request)
         return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
     end
     
-    delete!(ACTIVE_MODELS, model_id)
+    deleted = lock(MODELS_LOCK) do
+        model_id in SOLVING_MODELS && return false
+        delete!(ACTIVE_MODELS, model_id)
+        remove_saved_model(model_id)
+        return true
+    end
+    deleted || return model_busy_response()
     
     return HTTP.Response(200, [], JSON3.write(Dict("message" => "Model deleted")))
 end
 
+function fork_model(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    try
+        body = String(req.body)
+        request_data = isempty(body) ? Dict() : JSON3.read(body)
+        
+        fork_id, name = lock(MODELS_LOCK) do
+            MODEL_COUNTER[] += 1
+            fork_id = "model_$(MODEL_COUNTER[])"
+            name = string(get(request_data, "name", fork_id))
+            
+            # Variants start from the source spec, including any patched parameter data
+            source = ACTIVE_MODELS[model_id]
+            ACTIVE_MODELS[fork_id] = Dict(
+                "id" => fork_id,
+                "name" => name,
+                "spec" => deepcopy(source["spec"]),
+                "model" => nothing,
+                "solution" => nothing,
+                "created_at" => now(),
+                "status" => "created",
+                "forked_from" => model_id,
+                # The fork replays the same history, so it restores identically
+                "config" => deepcopy(get(source, "config", spec_to_dict(source["spec"]))),
+                "patches" => deepcopy(get(source, "patches", Any[]))
+            )
+            save_model(fork_id)
+            fork_id, name
+        end
+        
+        response_data = Dict(
+            "model_id" => fork_id,
+            "name" => name,
+            "status" => "created",
+            "forked_from" => model_id
+        )
+
+        return HTTP.Response(201, [], JSON3.write(response_data))
+        
+    catch e
+        error_response = Dict(
+            "error" => "Failed to fork model",
+            "message" => string(e)
+        )
+        return HTTP.Response(400, [], JSON3.write(error_response))
+    end
+end
+
 function create_ui_spec_endpoint(req::HTTP.Request)
     model_id = extract_model_id(req.target)
     
@@ -274,10 +760,16 @@ function create_ui_spec_endpoint(req::HTTP.Request)
         query = get(request_data, "query", "")
         
         # Get model spec
-        spec = ACTIVE_MODELS[model_id]["spec"]
+        model_data = ACTIVE_MODELS[model_id]
+        spec = model_data["spec"]
         
-        # Create UI specification
-        ui_spec = create_ui_spec(spec, query)
+        # Create UI specification, with each control at its current value
+        original = haskey(model_data, "config") ? parse_config_dict(model_data["config"]) : spec
+        ui_spec = create_ui_spec(spec, query; original=original)
+        patches = get(model_data, "patches", Any[])
+        for control in ui_spec["controls"]
+            control["value"] = current_control_value(control, patches)
+        end
         
         return HTTP.Response(200, [], JSON3.write(ui_spec))
         
@@ -290,7 +782,90 @@ function create_ui_spec_endpoint(req::HTTP.Request)
     end
 end
 
-# Natural language parsing has been moved to the frontend using Gemini API
+# Index controls start at the spec's values. Parameter controls (scales
+# and multipliers) are not part of the spec, so their value is the last
+# one patched onto their path; undo patches the old value back.
+function current_control_value(control::Dict{String, Any}, patches)
+    startswith(control["maps_to"], "parameters.") || return control["default"]
+    path = split(control["maps_to"], ".")
+    for patch in Iterators.reverse(patches)
+        string.(patch["path"]) == path || continue
+        return patch["operation"] == "delete" ? control["default"] : patch["value"]
+    end
+    return control["default"]
+end
+
+# Registry discovery: what the server can build, constrain and optimize
+function list_templates_endpoint(req::HTTP.Request)
+    return HTTP.Response(200, [], JSON3.write(Dict("templates" => describe_templates())))
+end
+
+function list_constraints_endpoint(req::HTTP.Request)
+    return HTTP.Response(200, [], JSON3.write(Dict("constraints" => describe_constraints())))
+end
+
+function list_objectives_endpoint(req::HTTP.Request)
+    return HTTP.Response(200, [], JSON3.write(Dict("objectives" => describe_objectives())))
+end
+
+function list_solvers_endpoint(req::HTTP.Request)
+    return HTTP.Response(200, [], JSON3.write(Dict("solvers" => describe_solvers())))
+end
+
+# Natural language queries are parsed in the frontend. The server only proxies
+# the prompt to Gemini so the API key never reaches the browser.
+function nl_query_endpoint(req::HTTP.Request)
+    model_id = extract_model_id(req.target)
+    
+    if !haskey(ACTIVE_MODELS, model_id)
+        return HTTP.Response(404, [], JSON3.write(Dict("error" => "Model not found")))
+    end
+    
+    api_key = get(ENV, "GEMINI_API_KEY", "")
+    if isempty(api_key)
+        error_response = Dict(
+            "error" => "Natural language service not configured",
+            "message" => "GEMINI_API_KEY is not set on the server"
+        )
+        return HTTP.Response(503, [], JSON3.write(error_response))
+    end
+    
+    body = String(req.body)
+    request_data = try
+        isempty(body) ? Dict() : JSON3.read(body)
+    catch e
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Invalid request body", "message" => string(e))))
+    end
+    request_data isa AbstractDict ||
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Invalid request body", "message" => "Expected a JSON object")))
+    prompt = string(get(request_data, "prompt", ""))
+    
+    # Without a model from the client the server's GEMINI_MODEL applies
+    requested_model = get(request_data, "model", nothing)
+    llm_model = requested_model === nothing || isempty(string(requested_model)) ?
+        get(ENV, "GEMINI_MODEL", "gemini-pro") : string(requested_model)
+    
+    if isempty(prompt)
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Prompt is required")))
+    end
+    
+    # The model name becomes part of the upstream URL
+    if !occursin(r"^[A-Za-z0-9.\-]+$", llm_model)
+        return HTTP.Response(400, [], JSON3.write(Dict("error" => "Invalid model name: $llm_model")))
+    end
+    
+    try
+        text = forward_to_gemini(prompt, api_key, llm_model)
+        return HTTP.Response(200, [], JSON3.write(Dict("text" => text, "provider" => "gemini")))
+        
+    catch e
+        error_response = Dict(
+            "error" => "Failed to query language model",
+            "message" => string(e)
+        )
+        return HTTP.Response(502, [], JSON3.write(error_response))
+    end
+end
 
 # Helper functions
 function extract_model_id(target::String)::String
@@ -303,7 +878,50 @@ function extract_model_id(target::String)::String
     throw(ArgumentError("Invalid model URL: $target"))
 end
 
-# Gemini API integration has been moved to the frontend
+# First date range index of a spec as {"start", "end"}, for model listings
+function date_range_summary(spec::ModelSpec)
+    for name in sort(collect(keys(spec.indexes)))
+        index = spec.indexes[name]
+        index isa DateRangeIndex && return index_to_dict(index)
+    end
+    return nothing
+end
+
+function extract_job_id(target::String)::String
+    # Extract job ID from URL path like "/jobs/job_3/events"
+    parts = split(target, "/")
+    job_index = findfirst(x -> x == "jobs", parts)
+    if job_index !== nothing && length(parts) > job_index
+        return parts[job_index + 1]
+    end
+    throw(ArgumentError("Invalid job URL: $target"))
+end
+
+function forward_to_gemini(prompt::String, api_key::String, model::AbstractString)::String
+    url = "https://generativelanguage.googleapis.com/v1beta/models/$(model):generateContent"
+    
+    request_body = Dict(
+        "contents" => [Dict("parts" => [Dict("text" => prompt)])],
+        "generationConfig" => Dict(
+            "temperature" => 0.1,
+            "maxOutputTokens" => 1500,
+            "topP" => 0.8,
+            "topK" => 40
+        )
+    )
+    
+    # Send the key as a header so it does not end up in proxy or access logs
+    headers = ["Content-Type" => "application/json", "x-goog-api-key" => api_key]
+    response = HTTP.post(url, headers, JSON3.write(request_body))
+    data = JSON3.read(String(response.body))
+    
+    candidates = get(data, :candidates, [])
+    if isempty(candidates)
+        throw(ErrorException("Gemini returned no candidates"))
+    end
+    
+    return String(candidates[1].content.parts[1].text)
+end
 
 function generate_ui_updates(patches::Vector{Dict{String, Any}})::Vector{Dict{String, Any}}
     ui_updates = Dict{String, Any}[]
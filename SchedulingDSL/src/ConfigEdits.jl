@@ -0,0 +1,106 @@
+# Config edits
+#
+# The config editor sends back the whole config as text. It is validated
+# like an import, then compared with the model's effective config section
+# by section, and each changed entry becomes a patch. The old values are
+# returned with the patches so the client can record an undoable batch.
+# Changes patches cannot express (the template, a parameter's type or
+# schema, adding or removing parameters) are reported as errors instead.
+
+const PARAMETER_DEFINITION_KEYS = ("type", "schema", "key", "value_type")
+
+# Entries parsed and written back, so defaults and formatting do not show as changes
+normalized_index(config) = plain_value(index_to_dict(parse_index(config)))
+normalized_parameter(config) = plain_value(parameter_to_dict(parse_parameter(config)))
+normalized_overrides(entries) = plain_value([override_to_dict(parse_override(entry)) for entry in entries])
+
+function section_entries(config::Dict{String, Any}, section::String)
+    entries = get(config, section, nothing)
+    return entries === nothing ? Dict{String, Any}() : entries
+end
+
+# Patches turning the effective config `current` into the edited config text
+function config_edit_patches(current::Dict{String, Any}, edited_file::ImportedFile)
+    edited, errors, warnings = import_config(edited_file)
+    patches = Dict{String, Any}[]
+    old_values = Any[]
+    isempty(errors) || return patches, old_values, errors, warnings
+
+    issue(path, message) = ConfigIssue(collect(Any, path), config_line(edited_file.content, collect(Any, path)), message)
+    function add_patch!(operation, path, value, old_value)
+        push!(patches, Dict{String, Any}("operation" => operation, "path" => path, "value" => value))
+        push!(old_values, old_value)
+    end
+
+    if edited["template"] != current["template"]
+        push!(errors, issue(["template"], "The template of an existing model cannot be changed; import the config as a new model instead"))
+    end
+
+    current_indexes = section_entries(current, "indexes")
+    edited_indexes = section_entries(edited, "indexes")
+    for name in sort(collect(union(keys(current_indexes), keys(edited_indexes))))
+        old_value = haskey(current_indexes, name) ? current_indexes[name] : nothing
+        new_value = haskey(edited_indexes, name) ? normalized_index(edited_indexes[name]) : nothing
+        new_value == old_value && continue
+        if new_value === nothing
+            add_patch!("delete", ["indexes", name], nothing, old_value)
+        else
+            add_patch!("replace", ["indexes", name], new_value, old_value)
+        end
+    end
+
+    current_parameters = section_entries(current, "parameters")
+    edited_parameters = section_entries(edited, "parameters")
+    for name in sort(collect(union(keys(current_parameters), keys(edited_parameters))))
+        if !haskey(edited_parameters, name)
+            push!(errors, issue(["parameters"], "Parameter '$name' cannot be removed"))
+            continue
+        elseif !haskey(current_parameters, name)
+            push!(errors, issue(["parameters", name], "Parameter '$name' cannot be added to an existing model"))
+            continue
+        end
+
+        old_param = current_parameters[name]
+        new_param = normalized_parameter(edited_parameters[name])
+        new_param == old_param && continue
+
+        changed = findfirst(k -> get(new_param, k, nothing) != get(old_param, k, nothing), PARAMETER_DEFINITION_KEYS)
+        if changed !== nothing
+            key = PARAMETER_DEFINITION_KEYS[changed]
+            push!(errors, issue(["parameters", name, key], "The $key of parameter '$name' cannot be changed"))
+        elseif old_param["type"] == "scalar"
+            add_patch!("replace", ["parameters", name], new_param["value"], old_param["value"])
+        elseif old_param["source"]["type"] == "override" && new_param["source"]["type"] == "override"
+            # Edited inline data is a data patch, like the ones controls send
+            add_patch!("replace", ["parameters", name], new_param["source"]["data"], old_param["source"]["data"])
+        else
+            add_patch!("replace", ["parameters", name, "source"], new_param["source"], old_param["source"])
+        end
+    end
+
+    current_options = section_entries(current, "options")
+    edited_options = section_entries(edited, "options")
+    for key in sort(collect(union(keys(current_options), keys(edited_options))))
+        old_value = get(current_options, key, nothing)
+        if !haskey(edited_options, key)
+            add_patch!("delete", ["options", key], nothing, old_value)
+        elseif edited_options[key] != old_value
+            add_patch!("replace", ["options", key], edited_options[key], old_value)
+        end
+    end
+
+    current_overrides = section_entries(current, "overrides")
+    edited_overrides = section_entries(edited, "overrides")
+    for section in sort(collect(union(keys(current_overrides), keys(edited_overrides))))
+        old_value = get(current_overrides, section, nothing)
+        if !haskey(edited_overrides, section)
+            add_patch!("delete", ["overrides", section], nothing, old_value)
+            continue
+        end
+        new_value = normalized_overrides(edited_overrides[section])
+        new_value == old_value || add_patch!("replace", ["overrides", section], new_value, old_value)
+    end
+
+    isempty(errors) || return Dict{String, Any}[], Any[], errors, warnings
+    return patches, old_values, errors, warnings
+end
@@ -0,0 +1,257 @@
+# Config import and export
+#
+# An import is the text of a YAML or JSON config plus the data files it
+# references, all uploaded together. Validation collects every problem it
+# finds, each with the config path and, where it can be located in the
+# text, the line number. Referenced CSV and JSON files that were uploaded
+# are inlined as override data, so the stored model does not depend on
+# files that only exist on the client.
+
+const CONFIG_SECTIONS = ("template", "indexes", "parameters", "options", "overrides")
+
+struct ImportedFile
+    filename::String
+    content::String
+end
+
+struct ConfigIssue
+    path::Vector{Any}
+    line::Union{Nothing, Int}
+    message::String
+end
+
+issue_to_dict(issue::ConfigIssue) = Dict{String, Any}(
+    "path" => join(string.(issue.path), "."),
+    "line" => issue.line,
+    "message" => issue.message
+)
+
+issue_message(e) = e isa ArgumentError ? e.msg : sprint(showerror, e)
+
+is_json_config(filename::AbstractString) = endswith(lowercase(filename), ".json")
+
+# Parse config text into a Dict; on a syntax error, return the line it occurred on
+function read_config_text(config::ImportedFile)
+    try
+        if is_json_config(config.filename)
+            return JSON3.read(config.content, Dict{String, Any}), nothing
+        else
+            parsed = YAML.load(config.content)
+            parsed isa AbstractDict || return nothing, ConfigIssue(Any[], 1, "Config must be a mapping of sections")
+            return Dict{String, Any}(string(k) => v for (k, v) in parsed), nothing
+        end
+    catch e
+        return nothing, ConfigIssue(Any[], syntax_error_line(config.content, e), "Syntax error: $(first(split(issue_message(e), '\n')))")
+    end
+end
+
+# YAML errors name their line; JSON3 errors give a byte position
+function syntax_error_line(text::AbstractString, e)::Union{Nothing, Int}
+    message = sprint(showerror, e)
+    m = match(r"line (\d+)", message)
+    m !== nothing && return parse(Int, m.captures[1])
+    m = match(r"byte position (\d+)", message)
+    if m !== nothing
+        position = min(parse(Int, m.captures[1]), ncodeunits(text) + 1)
+        return count(==(UInt8('\n')), view(codeunits(text), 1:position - 1)) + 1
+    end
+    return nothing
+end
+
+# Line of the key at path in the config text, or of the deepest parent
+# that can be found. Keys are searched in order below their parent; list
+# entries (integer path parts) are counted by their YAML "- " markers.
+function config_line(text::AbstractString, path::Vector)::Union{Nothing, Int}
+    lines = split(text, '\n')
+    found = nothing
+    from = 1
+    for key in path
+        line = key isa Integer ? list_item_line(lines, from, key) : key_line(lines, from, string(key))
+        line === nothing && break
+        found = line
+        # A list entry's first key is on the same line as its marker
+        from = key isa Integer ? line : line + 1
+    end
+    return found
+end
+
+function key_line(lines, from::Int, key::String)::Union{Nothing, Int}
+    pattern = Regex("(^|[\\s{,-])[\"']?\\Q$(key)\\E[\"']?\\s*:")
+    for i in from:length(lines)
+        occursin(pattern, lines[i]) && return i
+    end
+    return nothing
+end
+
+function list_item_line(lines, from::Int, position::Int)::Union{Nothing, Int}
+    indent = nothing
+    seen = 0
+    for i in from:length(lines)
+        m = match(r"^(\s*)-(\s|$)", lines[i])
+        m === nothing && continue
+        indent === nothing && (indent = length(m.captures[1]))
+        length(m.captures[1]) == indent || continue
+        seen += 1
+        seen == position && return i
+    end
+    return nothing
+end
+
+# The uploaded file a source path refers to, matched by path or file name
+function find_imported_file(files::Vector{ImportedFile}, path::AbstractString)
+    for file in files
+        file.filename == path && return file
+    end
+    name = basename(path)
+    for file in files
+        basename(file.filename) == name && return file
+    end
+    return nothing
+end
+
+plain_value(value::Dates.TimeType) = string(value)
+plain_value(value::Missing) = nothing
+plain_value(value::Symbol) = String(value)
+plain_value(value::AbstractString) = String(value)
+plain_value(value::AbstractDict) = Dict{String, Any}(string(k) => plain_value(v) for (k, v) in pairs(value))
+plain_value(value::AbstractVector) = Any[plain_value(v) for v in value]
+plain_value(value) = value
+
+# Rows of an uploaded CSV as override data in schema column order, the
+# same row format as parameter patches
+function imported_csv_data(file::ImportedFile, schema::Vector{String}, options)
+    df = CSV.read(IOBuffer(file.content), DataFrame; Dict{Symbol, Any}(Symbol(k) => v for (k, v) in options)...)
+    missing_columns = setdiff(schema, String.(propertynames(df)))
+    isempty(missing_columns) || throw(ArgumentError("$(file.filename) is missing column(s) $(join(missing_columns, ", "))"))
+    return plain_value(table_rows(df[:, Symbol.(schema)]))
+end
+
+function imported_json_data(file::ImportedFile, key_path)
+    data = JSON3.read(file.content)
+    for key in key_path
+        (data isa AbstractDict && haskey(data, key)) ||
+            throw(ArgumentError("Key path $(join(key_path, '.')) not found in $(file.filename)"))
+        data = data[key]
+    end
+    return plain_value(data)
+end
+
+# Validate a config and inline its uploaded data files. Returns the
+# resolved config (nothing when there are errors), the errors and warnings.
+function import_config(config::ImportedFile, files::Vector{ImportedFile}=ImportedFile[])
+    errors = ConfigIssue[]
+    warnings = ConfigIssue[]
+    config_dict, syntax_issue = read_config_text(config)
+    if syntax_issue !== nothing
+        return nothing, [syntax_issue], warnings
+    end
+    # YAML dates and other scalars become what they would be in JSON
+    config_dict = plain_value(config_dict)
+
+    issue(path, message) = ConfigIssue(collect(Any, path), config_line(config.content, collect(Any, path)), message)
+
+    for key in keys(config_dict)
+        key in CONFIG_SECTIONS || push!(warnings, issue([key], "Unknown config section '$key' is ignored"))
+    end
+
+    template = get(config_dict, "template", nothing)
+    if template === nothing || isempty(string(template))
+        push!(errors, ConfigIssue(["template"], nothing, "Required field 'template' is missing"))
+    elseif !(string(template) in list_templates())
+        push!(errors, issue(["template"], "Unknown template '$template'. Available templates: $(join(sort(list_templates()), ", "))"))
+    end
+
+    for (name, index_config) in get(config_dict, "indexes", Dict())
+        try
+            parse_index(index_config)
+        catch e
+            push!(errors, issue(["indexes", name], issue_message(e)))
+        end
+    end
+
+    parameters = get(config_dict, "parameters", Dict())
+    for (name, param_config) in parameters
+        try
+            parse_parameter(param_config)
+        catch e
+            push!(errors, issue(["parameters", name], issue_message(e)))
+            continue
+        end
+
+        source_config = get(param_config, "source", nothing)
+        source_config isa AbstractDict || continue
+        source_type = get(source_config, "type", "")
+        source_type in ("csv", "json") || continue
+
+        path = string(get(source_config, "path", ""))
+        file = find_imported_file(files, path)
+        if file === nothing
+            isfile(path) && continue
+            push!(errors, issue(["parameters", name, "source", "path"], "Data file $path was not uploaded and does not exist on the server"))
+            continue
+        end
+
+        try
+            data = if source_type == "csv"
+                imported_csv_data(file, string.(get(param_config, "schema", String[])), get(source_config, "options", Dict()))
+            else
+                imported_json_data(file, get(source_config, "key_path", String[]))
+            end
+            param_config["source"] = Dict{String, Any}("type" => "override", "data" => data)
+        catch e
+            push!(errors, issue(["parameters", name, "source", "path"], "Could not read $(file.filename): $(first(split(issue_message(e), '\n')))"))
+        end
+    end
+
+    options = get(config_dict, "options", Dict())
+    if haskey(options, "solver")
+        try
+            solver_settings(options["solver"])
+        catch e
+            push!(errors, issue(["options", "solver"], issue_message(e)))
+        end
+    end
+
+    registered = Dict("constraints" => list_constraints(), "objective" => list_objectives())
+    for (section, entries) in get(config_dict, "overrides", Dict())
+        if !haskey(registered, section)
+            push!(warnings, issue(["overrides", section], "Unknown override section '$section' is ignored"))
+            continue
+        end
+        for (i, entry) in enumerate(entries)
+            function_name = string(get(entry, "function", ""))
+            function_name in registered[section] ||
+                push!(errors, issue(["overrides", section, i, "function"], "Unknown $(section == "objective" ? "objective" : "constraint") function '$function_name'"))
+        end
+    end
+
+    if isempty(errors)
+        # Whatever the checks above do not cover still fails here
+        try
+            parse_config_dict(config_dict)
+        catch e
+            push!(errors, ConfigIssue(Any[], nothing, issue_message(e)))
+        end
+    end
+
+    return isempty(errors) ? config_dict : nothing, errors, warnings
+end
+
+# The model's current config: the spec with patched parameter data inlined
+function effective_config(spec::ModelSpec)::Dict{String, Any}
+    config = spec_to_dict(spec)
+    for (name, param) in spec.parameters
+        data = param isa TableParameter || param isa DictParameter ? param.data : nothing
+        data === nothing && continue
+        config["parameters"][String(name)]["source"] = Dict{String, Any}(
+            "type" => "override",
+            "data" => data isa DataFrame ? table_rows(data) : data
+        )
+    end
+    return plain_value(config)
+end
+
+# YAML with the sections in their usual order
+function config_to_yaml(config::Dict{String, Any})::String
+    return join([YAML.yaml(Dict(section => config[section])) for section in CONFIG_SECTIONS if haskey(config, section)], "\n")
+end
@@ -60,12 +60,7 @@ function parse_config_dict(config_dict)::ModelSpec
             overrides[section_symbol] = Override[]
             
             for override_config in override_list
-                name = get(override_config, "name", "")
-                func_name = get(override_config, "function", "")
-                args = get(override_config, "args", Dict())
-                
-                push!(overrides[section_symbol], 
-                      Override(name, func_name, Dict{Symbol, Any}(Symbol(k) => v for (k, v) in args)))
+                push!(overrides[section_symbol], parse_override(override_config))
             end
         end
     end
@@ -79,8 +74,9 @@ function parse_index(index_config)::IndexSpec
     index_type = get(index_config, "type", "")
     
     if index_type == "date_range"
-        start_str = get(index_config, "start", "")
-        end_str = get(index_config, "end", "")
+        # YAML reads unquoted dates as Dates rather than strings
+        start_str = string(get(index_config, "start", ""))
+        end_str = string(get(index_config, "end", ""))
         
         if isempty(start_str) || isempty(end_str)
             throw(ArgumentError("Date range index requires start and end dates"))
@@ -97,13 +93,59 @@ function parse_index(index_config)::IndexSpec
             throw(ArgumentError("List index requires values"))
         end
         
-        return ListIndex(values)
+        # YAML and JSON arrays are not Vector{String}
+        return ListIndex([string(v) for v in values])
+        
+    elseif index_type == "shifts"
+        values = get(index_config, "values", Any[])
+        if isempty(values)
+            throw(ArgumentError("Shift index requires values"))
+        end
+        
+        return ShiftIndex(Shift[parse_shift(shift_config) for shift_config in values])
         
     else
         throw(ArgumentError("Unknown index type: $index_type"))
     end
 end
 
+# A shift has a name, a start time and either an end time or a duration
+# in hours. An end at or before the start falls on the next day.
+function parse_shift(shift_config)::Shift
+    name = string(get(shift_config, "name", ""))
+    isempty(name) && throw(ArgumentError("Every shift requires a name"))
+    haskey(shift_config, "start") || throw(ArgumentError("Shift $name requires a start time"))
+    start = parse_clock_time(shift_config["start"], "Start of shift $name")
+    
+    if haskey(shift_config, "duration")
+        duration = round(Int, Float64(shift_config["duration"]) * 60)
+    elseif haskey(shift_config, "end")
+        stop = parse_clock_time(shift_config["end"], "End of shift $name")
+        duration = stop > start ? stop - start : stop + 24 * 60 - start
+    else
+        throw(ArgumentError("Shift $name requires an end time or a duration"))
+    end
+    
+    return Shift(name, start, duration)
+end
+
+# Minutes after midnight of a "HH:MM" time or a whole hour
+function parse_clock_time(value, what::String)::Int
+    if value isa Real
+        0 <= value <= 24 || throw(ArgumentError("$what must be an hour from 0 to 24 or a time in quotes like \"09:30\""))
+        return round(Int, value * 60)
+    end
+    
+    m = match(r"^(\d{1,2}):(\d{2})$", strip(string(value)))
+    m === nothing && throw(ArgumentError("$what must be a time like \"09:30\", got $value"))
+    hours, minutes = parse(Int, m[1]), parse(Int, m[2])
+    (hours < 24 || (hours == 24 && minutes == 0)) && minutes < 60 ||
+        throw(ArgumentError("$what is not a valid time: $value"))
+    return hours * 60 + minutes
+end
+
+clock_time(minutes::Int) = lpad(fld(mod(minutes, 24 * 60), 60), 2, "0") * ":" * lpad(mod(minutes, 60), 2, "0")
+
 function parse_parameter(param_config)::ParameterSpec
     param_type = get(param_config, "type", "")
     
@@ -137,7 +179,8 @@ function parse_parameter(param_config)::ParameterSpec
         value_type = get(param_config, "value_type", "Any")
         
         # Convert type string to actual type
-        julia_type = if value_type == "Int"
+        # Exported configs name the type as Julia prints it
+        julia_type = if value_type in ("Int", "Int64")
             Int
         elseif value_type == "Float64"
             Float64
@@ -210,16 +253,35 @@ function spec_to_dict(spec::ModelSpec)::Dict{String, Any}
     if !isempty(spec.overrides)
         result["overrides"] = Dict{String, Any}()
         for (section, override_list) in spec.overrides
-            result["overrides"][String(section)] = [
-                Dict("name" => o.name, "function" => o.function_name, "args" => o.args)
-                for o in override_list
-            ]
+            result["overrides"][String(section)] = [override_to_dict(o) for o in override_list]
         end
     end
     
     return result
 end
 
+# Accepts Dicts from YAML as well as JSON3 objects from API patches
+function parse_override(override_config)::Override
+    config = Dict{String, Any}(String(k) => v for (k, v) in pairs(override_config))
+    name = String(get(config, "name", ""))
+    func_name = String(get(config, "function", ""))
+    args = get(config, "args", Dict())
+    args === nothing && (args = Dict())
+    weight = get(config, "weight", 1.0)
+    weight isa Real || throw(ArgumentError("Override $name has non-numeric weight: $weight"))
+    
+    return Override(name, func_name, Dict{Symbol, Any}(Symbol(k) => v for (k, v) in pairs(args)), weight)
+end
+
+function override_to_dict(override::Override)::Dict{String, Any}
+    return Dict{String, Any}(
+        "name" => override.name,
+        "function" => override.function_name,
+        "args" => override.args,
+        "weight" => override.weight
+    )
+end
+
 function index_to_dict(index::IndexSpec)::Dict{String, Any}
     if index isa DateRangeIndex
         return Dict(
@@ -232,6 +294,16 @@ function index_to_dict(index::IndexSpec)::Dict{String, Any}
             "type" => "list",
             "values" => index.values
         )
+    elseif index isa ShiftIndex
+        return Dict(
+            "type" => "shifts",
+            "values" => [Dict{String, Any}(
+                "name" => shift.name,
+                "start" => clock_time(shift.start),
+                "end" => clock_time(shift_end(shift)),
+                "duration" => shift_hours(shift)
+            ) for shift in index.shifts]
+        )
     else
         throw(ArgumentError("Unknown index type: $(typeof(index))"))
     end
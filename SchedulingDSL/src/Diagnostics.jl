@@ -0,0 +1,113 @@
+# Infeasibility diagnosis
+#
+# Templates and build_model tag the constraints that come from user data
+# (demand rows, options, overrides) with an origin:
+#   "key"         - groups constraints that share a cause
+#   "kind"        - "demand", "option" or "override"
+#   "description" - what the constraints represent
+#   "explain"     - violation -> sentence naming the problem
+#   "relax"       - violation -> Dict("label", "patches", "old_values") or nothing
+# When a model is infeasible, a copy is solved with those constraints made
+# elastic and the violated origins are reported as culprits.
+
+function note_origin!(model::Model, constraints, origin::Dict{String, Any})
+    origins = get!(model.ext, :origins, Dict{ConstraintRef, Dict{String, Any}}())
+    for constraint in constraints
+        origins[constraint] = origin
+    end
+    return model
+end
+
+# Tag every constraint added while running f
+function track_constraints!(f::Function, model::Model, origin::Dict{String, Any})
+    before = Set(all_constraints(model; include_variable_in_set_constraints=false))
+    f()
+    added = filter(c -> !(c in before), all_constraints(model; include_variable_in_set_constraints=false))
+    note_origin!(model, added, origin)
+end
+
+function override_origin(spec::ModelSpec, override::Override)::Dict{String, Any}
+    current = [override_to_dict(o) for o in get(spec.overrides, :constraints, Override[])]
+    remaining = filter(o -> o["name"] != override.name, current)
+    
+    return Dict{String, Any}(
+        "key" => "override:$(override.name)",
+        "kind" => "override",
+        "description" => "constraint $(override.name) ($(override.function_name))",
+        "explain" => violation -> "Constraint $(override.name) ($(override.function_name)) blocks $(format_violation(violation)) required assignment(s)",
+        "relax" => violation -> Dict{String, Any}(
+            "label" => "Remove constraint $(override.name)",
+            "patches" => [Dict("operation" => "replace", "path" => ["overrides", "constraints"], "value" => remaining)],
+            "old_values" => [current]
+        )
+    )
+end
+
+format_violation(violation::Real) = isapprox(violation, round(violation); atol=1e-6) ?
+    string(round(Int, violation)) : string(round(violation; digits=2))
+
+# Rows of a table parameter in schema order, as sent in parameter patches
+table_rows(data::DataFrame)::Vector{Vector{Any}} = [collect(Any, row) for row in eachrow(data)]
+
+const INFEASIBLE_STATUSES = (MOI.INFEASIBLE, MOI.INFEASIBLE_OR_UNBOUNDED, MOI.LOCALLY_INFEASIBLE)
+
+function diagnose_infeasibility(model::Model)::Dict{String, Any}
+    origins = get(model.ext, :origins, Dict{ConstraintRef, Dict{String, Any}}())
+    if isempty(origins)
+        return Dict{String, Any}("status" => "inconclusive", "culprits" => Dict{String, Any}[],
+            "message" => "No constraints from demand, options or overrides to relax")
+    end
+    
+    # Work on a copy so the cached model stays as the user configured it.
+    # Extension data has no copy method and is not needed on the copy.
+    ext = copy(model.ext)
+    empty!(model.ext)
+    elastic, reference_map = try
+        copy_model(model)
+    finally
+        merge!(model.ext, ext)
+    end
+    set_optimizer(elastic, HiGHS.Optimizer)
+    set_silent(elastic)
+    
+    # Only the violation counts, not the original objective
+    @objective(elastic, Min, 0)
+    penalties = Dict{ConstraintRef, Float64}(reference_map[c] => 1.0 for c in keys(origins))
+    slacks = relax_with_penalty!(elastic, penalties)
+    optimize!(elastic)
+    
+    if termination_status(elastic) != MOI.OPTIMAL
+        return Dict{String, Any}("status" => "inconclusive", "culprits" => Dict{String, Any}[],
+            "message" => "The model stays infeasible with demand, options and overrides relaxed")
+    end
+    
+    # Sum violations per origin
+    violations = Dict{String, Float64}()
+    grouped = Dict{String, Dict{String, Any}}()
+    for (constraint, origin) in origins
+        violation = value(slacks[reference_map[constraint]])
+        violation > 1e-6 || continue
+        violations[origin["key"]] = get(violations, origin["key"], 0.0) + violation
+        grouped[origin["key"]] = origin
+    end
+    
+    culprits = Dict{String, Any}[]
+    for (key, origin) in grouped
+        violation = violations[key]
+        push!(culprits, Dict{String, Any}(
+            "key" => key,
+            "kind" => origin["kind"],
+            "description" => origin["description"],
+            "violation" => violation,
+            "message" => origin["explain"](violation),
+            "relaxation" => origin["relax"] === nothing ? nothing : origin["relax"](violation)
+        ))
+    end
+    sort!(culprits, by = c -> (c["kind"], c["key"]))
+    
+    return Dict{String, Any}(
+        "status" => "diagnosed",
+        "culprits" => culprits,
+        "message" => "$(length(culprits)) requirement(s) cannot be met together"
+    )
+end
@@ -27,6 +27,41 @@ struct ListIndex <: IndexSpec
     end
 end
 
+# A named shift: start and length in minutes after midnight. Shifts that
+# run past midnight end on the next day.
+struct Shift
+    name::String
+    start::Int
+    duration::Int
+    
+    function Shift(name::String, start::Int, duration::Int)
+        0 <= start < 24 * 60 || throw(ArgumentError("Shift $name must start between 00:00 and 23:59"))
+        0 < duration <= 24 * 60 || throw(ArgumentError("Shift $name must last more than 0 and at most 24 hours"))
+        new(name, start, duration)
+    end
+end
+
+shift_end(shift::Shift) = shift.start + shift.duration
+shift_hours(shift::Shift) = shift.duration / 60
+
+# The whole clock hours a shift covers, as (day offset, hour) pairs
+function shift_hour_slots(shift::Shift)::Vector{Tuple{Int, Int}}
+    first_hour = cld(shift.start, 60)
+    last_hour = fld(shift_end(shift), 60) - 1
+    return [(fld(h, 24), mod(h, 24)) for h in first_hour:last_hour]
+end
+
+struct ShiftIndex <: IndexSpec
+    shifts::Vector{Shift}
+    
+    function ShiftIndex(shifts::Vector{Shift})
+        length(shifts) > 0 || throw(ArgumentError("Shift index needs at least one shift"))
+        names = [shift.name for shift in shifts]
+        allunique(names) || throw(ArgumentError("Shift names must be unique"))
+        new(shifts)
+    end
+end
+
 # Parameter specifications
 struct TableParameter <: ParameterSpec
     schema::Vector{Symbol}
@@ -63,9 +98,10 @@ struct Override
     name::String
     function_name::String
     args::Dict{Symbol, Any}
+    weight::Float64  # Blending weight, only used for objectives
     
-    function Override(name::String, function_name::String, args=Dict{Symbol, Any}())
-        new(name, function_name, args)
+    function Override(name::String, function_name::String, args=Dict{Symbol, Any}(), weight::Real=1.0)
+        new(name, function_name, args, Float64(weight))
     end
 end
 
@@ -95,11 +131,19 @@ function get_index_values(spec::ModelSpec, index_name::Symbol)
         return collect(index.start:Day(1):index.end_date)
     elseif index isa ListIndex
         return index.values
+    elseif index isa ShiftIndex
+        return [shift.name for shift in index.shifts]
     else
         throw(ArgumentError("Unknown index type: $(typeof(index))"))
     end
 end
 
+# The model's shifts, or nothing when it plans whole days
+function get_shifts(spec::ModelSpec)
+    index = get(spec.indexes, :shifts, nothing)
+    return index isa ShiftIndex ? index.shifts : nothing
+end
+
 function get_parameter_data(spec::ModelSpec, param_name::Symbol)
     param = get(spec.parameters, param_name, nothing)
     param === nothing && throw(ArgumentError("Parameter $param_name not found"))
@@ -120,7 +164,7 @@ function validate_spec(spec::ModelSpec)::Bool
     for (name, index) in spec.indexes
         if index isa DateRangeIndex
             # Already validated in constructor
-        elseif index isa ListIndex
+        elseif index isa ListIndex || index isa ShiftIndex
             # Already validated in constructor
         else
             throw(ArgumentError("Unknown index type for $name: $(typeof(index))"))
@@ -148,7 +192,7 @@ function apply_config_patch(spec::ModelSpec, patch::ConfigPatch)::ModelSpec
     # Deep copy the spec
     new_spec = deepcopy(spec)
     
-    if patch.operation == "merge" && length(patch.path) >= 2
+    if patch.operation in ("merge", "replace") && length(patch.path) >= 2
         section = patch.path[1]
         key = Symbol(patch.path[2])
         
@@ -156,17 +200,67 @@ function apply_config_patch(spec::ModelSpec, patch::ConfigPatch)::ModelSpec
             if haskey(new_spec.parameters, key)
                 # Update parameter data
                 param = new_spec.parameters[key]
-                if param isa TableParameter && patch.value isa Vector
-                    # Convert to DataFrame
-                    df = DataFrame([col => [row[i] for row in patch.value] 
-                                  for (i, col) in enumerate(param.schema)])
-                    new_spec.parameters[key] = TableParameter(param.schema, param.source, df)
-                elseif param isa DictParameter && patch.value isa Dict
-                    new_spec.parameters[key] = DictParameter(param.key, param.source, patch.value)
+                # Patches from the API arrive as JSON3 arrays and objects
+                if length(patch.path) >= 3 && patch.path[3] == "source" && !(param isa ScalarParameter)
+                    # A new source replaces any patched data
+                    source = create_source(patch.value)
+                    new_spec.parameters[key] = param isa TableParameter ?
+                        TableParameter(param.schema, source) : DictParameter(param.key, source)
+                elseif param isa TableParameter && patch.value isa AbstractVector
+                    # Rows are arrays in schema order or objects keyed by column
+                    new_spec.parameters[key] = TableParameter(param.schema, param.source, as_dataframe(patch.value, param.schema))
+                elseif param isa DictParameter && patch.value isa AbstractDict
+                    data = Dict{String, Any}(String(k) => v for (k, v) in pairs(patch.value))
+                    new_spec.parameters[key] = DictParameter(param.key, param.source, data)
+                elseif param isa ScalarParameter
+                    new_spec.parameters[key] = ScalarParameter(patch.value, param.type)
                 end
             end
+        elseif section == "indexes"
+            existing = get(new_spec.indexes, key, nothing)
+            if patch.value isa AbstractVector && existing isa ShiftIndex
+                new_spec.indexes[key] = parse_index(Dict("type" => "shifts", "values" => patch.value))
+            elseif patch.value isa AbstractVector
+                # Date range and multiselect controls send plain values
+                new_spec.indexes[key] = existing isa DateRangeIndex ?
+                    DateRangeIndex(Date(patch.value[1]), Date(patch.value[2])) :
+                    ListIndex([string(v) for v in patch.value])
+            else
+                new_spec.indexes[key] = parse_index(patch.value)
+            end
         elseif section == "options"
-            new_spec.options[key] = patch.value
+            # Solver settings are checked here so a bad patch is rejected
+            new_spec.options[key] = key == :solver ? solver_settings(patch.value) : patch.value
+        elseif section == "overrides"
+            entries = patch.value isa AbstractVector ? patch.value : [patch.value]
+            overrides = Override[parse_override(entry) for entry in entries]
+            
+            if patch.operation == "replace"
+                new_spec.overrides[key] = overrides
+            else
+                # Merging replaces entries with the same name and appends the rest
+                existing = get(new_spec.overrides, key, Override[])
+                names = Set(o.name for o in overrides)
+                new_spec.overrides[key] = vcat(filter(o -> !(o.name in names), existing), overrides)
+            end
+        end
+    elseif patch.operation == "delete" && length(patch.path) >= 2
+        # Deleting is how undo reverts a patch that introduced a new key
+        section = patch.path[1]
+        key = Symbol(patch.path[2])
+        
+        if section == "options"
+            delete!(new_spec.options, key)
+        elseif section == "indexes"
+            delete!(new_spec.indexes, key)
+        elseif section == "overrides" && haskey(new_spec.overrides, key)
+            if length(patch.path) >= 3
+                # ["overrides", "constraints", name] removes a single entry
+                name = patch.path[3]
+                filter!(o -> o.name != name, new_spec.overrides[key])
+            else
+                delete!(new_spec.overrides, key)
+            end
         end
     end
     
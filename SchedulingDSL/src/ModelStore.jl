@@ -0,0 +1,81 @@
+# Model store
+#
+# Models are saved as one JSON file per model in a directory, so model ids
+# held by the frontend survive server restarts. Each file holds
+#   "id", "name", "created_at", "updated_at", "forked_from"
+#   "config"   - the config the model was created from
+#   "patches"  - every patch applied since, in order, with "applied_at"
+#   "solution" - the last solution, or nothing
+# The current spec is rebuilt by replaying the patches on the config, so
+# patched parameter data is restored too.
+
+const MODEL_STORE = Ref{Union{Nothing, String}}(nothing)
+
+const STORED_FIELDS = ("id", "name", "created_at", "updated_at", "forked_from", "config", "patches", "solution")
+
+model_path(model_id::AbstractString) = joinpath(MODEL_STORE[], "$(model_id).json")
+
+# Use dir as the store and load every model saved there
+function open_model_store!(dir::String)
+    mkpath(dir)
+    MODEL_STORE[] = dir
+
+    for file in readdir(dir; join=true)
+        endswith(file, ".json") || continue
+        try
+            record = JSON3.read(read(file, String), Dict{String, Any})
+            ACTIVE_MODELS[record["id"]] = restore_model(record)
+        catch e
+            @warn "Skipping unreadable model file $file" exception=e
+        end
+    end
+
+    # New ids continue after the highest stored one
+    counters = [parse(Int, m.captures[1]) for m in
+                (match(r"^model_(\d+)$", id) for id in keys(ACTIVE_MODELS)) if m !== nothing]
+    MODEL_COUNTER[] = max(MODEL_COUNTER[], maximum(counters; init=0))
+
+    @info "Loaded $(length(ACTIVE_MODELS)) model(s) from $dir"
+    return dir
+end
+
+function restore_model(record::Dict{String, Any})::Dict{String, Any}
+    spec = parse_config_dict(record["config"])
+    for patch in record["patches"]
+        spec = apply_config_patch(spec, ConfigPatch(patch["operation"], patch["path"], get(patch, "value", nothing)))
+    end
+
+    return Dict{String, Any}(
+        "id" => record["id"],
+        "name" => record["name"],
+        "spec" => spec,
+        "model" => nothing,
+        "solution" => record["solution"] === nothing ? nothing : label_positional_variables!(record["solution"], spec),
+        "created_at" => DateTime(record["created_at"]),
+        "updated_at" => DateTime(something(get(record, "updated_at", nothing), record["created_at"])),
+        "status" => record["solution"] === nothing ? "created" : "solved",
+        "forked_from" => get(record, "forked_from", nothing),
+        "config" => record["config"],
+        "patches" => record["patches"]
+    )
+end
+
+# Write the model to the store; a no-op when no store is open
+function save_model(model_id::String)
+    MODEL_STORE[] === nothing && return nothing
+
+    model_data = ACTIVE_MODELS[model_id]
+    record = Dict{String, Any}(field => get(model_data, field, nothing) for field in STORED_FIELDS)
+
+    # Write then rename, so a crash never leaves a half-written file
+    path = model_path(model_id)
+    write("$path.tmp", JSON3.write(record))
+    mv("$path.tmp", path; force=true)
+    return path
+end
+
+function remove_saved_model(model_id::String)
+    MODEL_STORE[] === nothing && return nothing
+    rm(model_path(model_id); force=true)
+    return nothing
+end
@@ -2,6 +2,7 @@ module SchedulingDSL
 
 using JuMP
 using HiGHS
+using Cbc
 using DataFrames
 using CSV
 using JSON3
@@ -13,16 +14,26 @@ using Dates
 include("ModelSpec.jl")
 include("ConfigParser.jl")
 include("Sources.jl")
+include("SolveJobs.jl")
+include("SolverSettings.jl")
 include("TemplateRegistry.jl")
+include("Diagnostics.jl")
+include("ConfigImport.jl")
+include("ConfigEdits.jl")
 include("Templates/WorkScheduling.jl")
 include("API.jl")
+include("ModelStore.jl")
 
 # Export main functions and types
 export ModelSpec, IndexSpec, ParameterSpec, DataSource
-export DateRangeIndex, ListIndex, TableParameter, DictParameter
+export DateRangeIndex, ListIndex, ShiftIndex, Shift, TableParameter, DictParameter
 export CSVSource, JSONSource, APISource, FunctionSource
 export parse_config, parse_config_dict, load_data, build_model, solve_model
 export register_template!, get_template, register_constraint!, register_objective!
+export list_templates, list_constraints, list_objectives, ArgumentSpec
+export describe_templates, describe_constraints, describe_objectives
+export register_metrics!, compute_metrics, diagnose_infeasibility
+export solver_settings, describe_solvers
 export apply_config_patch, create_ui_spec, start_api_server
 
 end # module SchedulingDSL
\ No newline at end of file
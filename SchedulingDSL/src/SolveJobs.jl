@@ -0,0 +1,169 @@
+# Background solve jobs
+#
+# A job solves a model on its own task and records solver progress while
+# HiGHS runs: every improving solution and MIP log line adds an event with
+#   "elapsed"   - seconds since the solve started
+#   "incumbent" - objective of the best solution found so far (or nothing)
+#   "bound"     - best proven bound (or nothing)
+#   "gap"       - relative gap between the two (or nothing)
+# Cancelling interrupts HiGHS at its next check; the best incumbent found
+# so far is still extracted by solve_model. A job only ends "cancelled"
+# when the solve was actually cut short (termination status INTERRUPTED),
+# or when it was cancelled before the solver started.
+#
+# HiGHS solves inside a ccall that keeps its thread busy until it
+# returns, so the server needs at least two threads (julia -t 2 or more):
+# with one, requests for progress or cancellation wait for the solve.
+# Progress and cancellation need HiGHS (HiGHS.jl 1.9 or later for the
+# callback API); other solvers run unmonitored.
+
+mutable struct SolveMonitor
+    progress::Vector{Dict{String, Any}}
+    cancel_requested::Threads.Atomic{Bool}
+    lock::ReentrantLock
+end
+
+SolveMonitor() = SolveMonitor(Dict{String, Any}[], Threads.Atomic{Bool}(false), ReentrantLock())
+
+mutable struct SolveJob
+    id::String
+    model_id::String
+    status::String              # "running", "completed", "cancelled" or "failed"
+    monitor::SolveMonitor
+    result::Union{Nothing, Dict{String, Any}}
+    error::Union{Nothing, String}
+    created_at::DateTime
+    finished_at::Union{Nothing, DateTime}
+end
+
+const SOLVE_JOBS = Dict{String, SolveJob}()
+const JOB_COUNTER = Ref(0)
+const JOBS_LOCK = ReentrantLock()
+
+const FINISHED_JOB_STATUSES = ("completed", "cancelled", "failed")
+
+# Thrown by solve_model when the job was cancelled before solving began
+struct SolveCancelled <: Exception end
+
+Base.showerror(io::IO, ::SolveCancelled) = print(io, "Solve cancelled before it started")
+
+# HiGHS reports missing values as ±kHighsInf; JSON has no Inf
+finite_value(value::Real) = isfinite(value) && abs(value) < 1e20 ? Float64(value) : nothing
+
+function record_progress!(monitor::SolveMonitor, elapsed::Real, incumbent::Real, bound::Real, gap::Real)
+    event = Dict{String, Any}(
+        "elapsed" => Float64(elapsed),
+        "incumbent" => finite_value(incumbent),
+        "bound" => finite_value(bound),
+        "gap" => finite_value(gap)
+    )
+    lock(monitor.lock) do
+        push!(monitor.progress, event)
+    end
+    return event
+end
+
+progress_since(monitor::SolveMonitor, from::Int) = lock(monitor.lock) do
+    monitor.progress[from+1:end]
+end
+
+# Called by HiGHS from inside the solve; user_data is the monitor
+function highs_progress_callback(callback_type::Cint, message::Ptr{Cchar},
+                                 data_out::Ptr{HiGHS.HighsCallbackDataOut},
+                                 data_in::Ptr{HiGHS.HighsCallbackDataIn},
+                                 user_data::Ptr{Cvoid})::Cvoid
+    monitor = unsafe_pointer_to_objref(user_data)::SolveMonitor
+    if callback_type == HiGHS.kHighsCallbackMipInterrupt
+        if monitor.cancel_requested[]
+            # user_interrupt is the first field of HighsCallbackDataIn
+            unsafe_store!(Ptr{Cint}(data_in), Cint(1))
+        end
+    else
+        out = unsafe_load(data_out)
+        record_progress!(monitor, out.running_time, out.mip_primal_bound, out.mip_dual_bound, out.mip_gap)
+    end
+    return nothing
+end
+
+# optimize! with progress reported to the monitor and cancellation honoured
+function monitored_optimize!(model::Model, monitor::Union{Nothing, SolveMonitor})
+    (monitor === nothing || solver_name(model) != "HiGHS") && return optimize!(model)
+
+    # Copy the model into HiGHS now so the callback is set on the instance
+    # optimize! will run
+    MOI.Utilities.attach_optimizer(model)
+    highs = unsafe_backend(model)
+    callback = @cfunction(highs_progress_callback, Cvoid,
+        (Cint, Ptr{Cchar}, Ptr{HiGHS.HighsCallbackDataOut}, Ptr{HiGHS.HighsCallbackDataIn}, Ptr{Cvoid}))
+
+    GC.@preserve monitor begin
+        HiGHS.Highs_setCallback(highs, callback, pointer_from_objref(monitor))
+        for callback_type in (HiGHS.kHighsCallbackMipImprovingSolution,
+                              HiGHS.kHighsCallbackMipLogging,
+                              HiGHS.kHighsCallbackMipInterrupt)
+            HiGHS.Highs_startCallback(highs, callback_type)
+        end
+        try
+            optimize!(model)
+        finally
+            HiGHS.Highs_setCallback(highs, C_NULL, C_NULL)
+        end
+    end
+
+    return model
+end
+
+# Start solve(monitor) on a separate task and return the job at once
+function start_solve_job(solve::Function, model_id::String)::SolveJob
+    job = lock(JOBS_LOCK) do
+        JOB_COUNTER[] += 1
+        job = SolveJob("job_$(JOB_COUNTER[])", model_id, "running", SolveMonitor(),
+                       nothing, nothing, now(), nothing)
+        SOLVE_JOBS[job.id] = job
+        job
+    end
+
+    Threads.@spawn begin
+        try
+            job.result = solve(job.monitor)
+            job.status = get(job.result, "status", nothing) == string(MOI.INTERRUPTED) ? "cancelled" : "completed"
+        catch e
+            if e isa SolveCancelled
+                job.status = "cancelled"
+            else
+                job.error = sprint(showerror, e)
+                job.status = "failed"
+            end
+        finally
+            job.finished_at = now()
+        end
+    end
+
+    return job
+end
+
+get_solve_job(job_id::AbstractString) = lock(() -> get(SOLVE_JOBS, job_id, nothing), JOBS_LOCK)
+
+function cancel_solve_job!(job::SolveJob)::SolveJob
+    job.status in FINISHED_JOB_STATUSES || (job.monitor.cancel_requested[] = true)
+    return job
+end
+
+is_finished(job::SolveJob) = job.status in FINISHED_JOB_STATUSES
+
+function job_to_dict(job::SolveJob; include_progress::Bool=true)::Dict{String, Any}
+    result = Dict{String, Any}(
+        "job_id" => job.id,
+        "model_id" => job.model_id,
+        "status" => job.status,
+        "cancel_requested" => job.monitor.cancel_requested[],
+        "created_at" => job.created_at,
+        "finished_at" => job.finished_at,
+        "result" => job.result,
+        "error" => job.error
+    )
+    if include_progress
+        result["progress"] = progress_since(job.monitor, 0)
+    end
+    return result
+end
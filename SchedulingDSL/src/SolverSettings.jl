@@ -0,0 +1,98 @@
+# Solver settings
+#
+# options.solver holds the settings a model is solved with, so a run can be
+# reproduced from the stored config:
+#   "solver"       - "highs" or "cbc"
+#   "time_limit"   - seconds
+#   "relative_gap" - stop once the relative MIP gap is below this
+#   "absolute_gap" - stop once the absolute MIP gap is below this
+#   "threads"      - number of solver threads
+#   "seed"         - random seed
+# Settings left out keep the solver's defaults.
+
+const DEFAULT_SOLVER = "highs"
+
+# Solver-specific names of the raw parameters behind each setting
+const SOLVERS = Dict{String, Dict{String, Any}}(
+    "highs" => Dict{String, Any}(
+        "label" => "HiGHS",
+        "optimizer" => HiGHS.Optimizer,
+        "parameters" => Dict(
+            "time_limit" => "time_limit",
+            "relative_gap" => "mip_rel_gap",
+            "absolute_gap" => "mip_abs_gap",
+            "threads" => "threads",
+            "seed" => "random_seed"
+        )
+    ),
+    "cbc" => Dict{String, Any}(
+        "label" => "Cbc",
+        "optimizer" => Cbc.Optimizer,
+        "parameters" => Dict(
+            "time_limit" => "seconds",
+            "relative_gap" => "ratioGap",
+            "absolute_gap" => "allowableGap",
+            "threads" => "threads",
+            "seed" => "randomCbcSeed"
+        )
+    )
+)
+
+const INTEGER_SOLVER_SETTINGS = ("threads", "seed")
+
+# Check and normalize options.solver; throws ArgumentError naming the problem
+function solver_settings(settings)::Dict{String, Any}
+    settings === nothing && return Dict{String, Any}("solver" => DEFAULT_SOLVER)
+    settings isa AbstractDict || throw(ArgumentError("options.solver must be an object"))
+
+    normalized = Dict{String, Any}(String(k) => v for (k, v) in pairs(settings) if v !== nothing)
+    solver = lowercase(string(get(normalized, "solver", DEFAULT_SOLVER)))
+    haskey(SOLVERS, solver) ||
+        throw(ArgumentError("Unknown solver $solver; use one of $(join(sort(collect(keys(SOLVERS))), ", "))"))
+    normalized["solver"] = solver
+
+    parameters = SOLVERS[solver]["parameters"]
+    for (name, value) in normalized
+        name == "solver" && continue
+        haskey(parameters, name) ||
+            throw(ArgumentError("Unknown solver setting $name; use one of $(join(sort(collect(keys(parameters))), ", "))"))
+        value isa Real && value >= 0 ||
+            throw(ArgumentError("Solver setting $name must be a non-negative number, got $value"))
+        if name in INTEGER_SOLVER_SETTINGS
+            isinteger(value) || throw(ArgumentError("Solver setting $name must be an integer, got $value"))
+            normalized[name] = Int(value)
+        else
+            normalized[name] = Float64(value)
+        end
+    end
+
+    return normalized
+end
+
+# Attach the configured solver to a built model and pass on its settings
+function configure_solver!(model::Model, spec::ModelSpec)::Model
+    settings = solver_settings(get(spec.options, :solver, nothing))
+    solver = SOLVERS[settings["solver"]]
+
+    set_optimizer(model, solver["optimizer"])
+    set_silent(model)
+
+    for (name, value) in settings
+        name == "solver" && continue
+        set_attribute(model, solver["parameters"][name], value)
+    end
+
+    model.ext[:solver_settings] = settings
+    return model
+end
+
+function describe_solvers()::Vector{Dict{String, Any}}
+    return [
+        Dict{String, Any}(
+            "name" => name,
+            "label" => solver["label"],
+            "settings" => sort(collect(keys(solver["parameters"])))
+        )
+        for (name, solver) in sort(collect(SOLVERS), by=first)
+    ]
+end
@@ -138,8 +138,22 @@ function to_dataframe(data::Vector{Vector{Any}}, schema::Vector{Symbol})::DataFr
     return df
 end
 
+# Inline override data arrives as rows (arrays or objects) rather than a table
+function as_dataframe(data, schema::Vector{Symbol})::DataFrame
+    data isa DataFrame && return data
+    
+    rows = collect(data)
+    if isempty(rows)
+        return DataFrame([col => Any[] for col in schema])
+    elseif first(rows) isa AbstractDict
+        return to_dataframe(Dict{String, Any}[Dict{String, Any}(String(k) => v for (k, v) in pairs(row)) for row in rows], schema)
+    else
+        return to_dataframe(Vector{Any}[collect(Any, row) for row in rows], schema)
+    end
+end
+
 # Source creation helpers
-function create_source(source_config::Dict{String, Any})::DataSource
+function create_source(source_config)::DataSource
     source_type = get(source_config, "type", "")
     
     if source_type == "csv"
@@ -4,10 +4,37 @@
 const MODEL_TEMPLATES = Dict{String, Function}()
 const CONSTRAINT_FUNCTIONS = Dict{String, Function}()
 const OBJECTIVE_FUNCTIONS = Dict{String, Function}()
+const METRIC_FUNCTIONS = Dict{String, Function}()
+
+# Argument schemas describe what each registered function accepts, so API
+# clients can discover and validate configurable items
+struct ArgumentSpec
+    name::String
+    type::String  # "candidate", "skill", "hour", "integer", "number", "string", "boolean"
+    default::Any
+    description::String
+    min::Union{Nothing, Real}
+    max::Union{Nothing, Real}
+    
+    function ArgumentSpec(name::String, type::String; default=nothing, description::String="",
+                          min::Union{Nothing, Real}=nothing, max::Union{Nothing, Real}=nothing)
+        new(name, type, default, description, min, max)
+    end
+end
+
+const TEMPLATE_INFO = Dict{String, Dict{String, Any}}()
+const CONSTRAINT_INFO = Dict{String, Dict{String, Any}}()
+const OBJECTIVE_INFO = Dict{String, Dict{String, Any}}()
+
+function registry_info(description::String, args::Vector{ArgumentSpec})::Dict{String, Any}
+    return Dict{String, Any}("description" => description, "args" => args)
+end
 
 # Template registration functions
-function register_template!(name::String, template_func::Function)
+function register_template!(name::String, template_func::Function;
+                            description::String="", args::Vector{ArgumentSpec}=ArgumentSpec[])
     MODEL_TEMPLATES[name] = template_func
+    TEMPLATE_INFO[name] = registry_info(description, args)
     @info "Registered template: $name"
 end
 
@@ -23,8 +50,10 @@ function list_templates()::Vector{String}
 end
 
 # Constraint registration functions
-function register_constraint!(name::String, constraint_func::Function)
+function register_constraint!(name::String, constraint_func::Function;
+                              description::String="", args::Vector{ArgumentSpec}=ArgumentSpec[])
     CONSTRAINT_FUNCTIONS[name] = constraint_func
+    CONSTRAINT_INFO[name] = registry_info(description, args)
     @info "Registered constraint: $name"
 end
 
@@ -40,8 +69,10 @@ function list_constraints()::Vector{String}
 end
 
 # Objective registration functions
-function register_objective!(name::String, objective_func::Function)
+function register_objective!(name::String, objective_func::Function;
+                             description::String="", args::Vector{ArgumentSpec}=ArgumentSpec[])
     OBJECTIVE_FUNCTIONS[name] = objective_func
+    OBJECTIVE_INFO[name] = registry_info(description, args)
     @info "Registered objective: $name"
 end
 
@@ -56,6 +87,49 @@ function list_objectives()::Vector{String}
     return collect(keys(OBJECTIVE_FUNCTIONS))
 end
 
+# Metric registration: each template can report metrics computed from the
+# solved model and its loaded spec, (model, spec) -> Dict{String, Any}
+function register_metrics!(template_name::String, metrics_func::Function)
+    METRIC_FUNCTIONS[template_name] = metrics_func
+    @info "Registered metrics: $template_name"
+end
+
+function compute_metrics(model::Model, spec::ModelSpec)::Dict{String, Any}
+    metrics_func = get(METRIC_FUNCTIONS, spec.template, nothing)
+    if metrics_func === nothing || result_count(model) == 0
+        return Dict{String, Any}()
+    end
+    return metrics_func(model, spec)
+end
+
+# Registry descriptions for the HTTP API
+function argument_to_dict(arg::ArgumentSpec)::Dict{String, Any}
+    result = Dict{String, Any}(
+        "name" => arg.name,
+        "type" => arg.type,
+        "default" => arg.default,
+        "description" => arg.description
+    )
+    arg.min !== nothing && (result["min"] = arg.min)
+    arg.max !== nothing && (result["max"] = arg.max)
+    return result
+end
+
+function describe_registered(names::Vector{String}, info::Dict{String, Dict{String, Any}})::Vector{Dict{String, Any}}
+    return [
+        Dict{String, Any}(
+            "name" => name,
+            "description" => get(get(info, name, Dict()), "description", ""),
+            "args" => [argument_to_dict(arg) for arg in get(get(info, name, Dict()), "args", ArgumentSpec[])]
+        )
+        for name in sort(names)
+    ]
+end
+
+describe_templates() = describe_registered(list_templates(), TEMPLATE_INFO)
+describe_constraints() = describe_registered(list_constraints(), CONSTRAINT_INFO)
+describe_objectives() = describe_registered(list_objectives(), OBJECTIVE_INFO)
+
 # Model building function
 function build_model(spec::ModelSpec)::Model
     # Get the template function
@@ -67,11 +141,19 @@ function build_model(spec::ModelSpec)::Model
     # Build the base model
     model = template_func(loaded_spec)
     
+    # Kept for metrics, which need the demand and cost data
+    model.ext[:spec] = loaded_spec
+    
+    # Solver and settings from options.solver
+    configure_solver!(model, loaded_spec)
+    
     # Apply constraint overrides
     if haskey(loaded_spec.overrides, :constraints)
         for override in loaded_spec.overrides[:constraints]
             constraint_func = get_constraint(override.function_name)
-            constraint_func(model, loaded_spec, override.args)
+            track_constraints!(model, override_origin(loaded_spec, override)) do
+                constraint_func(model, loaded_spec, override.args)
+            end
         end
     end
     
@@ -79,32 +161,121 @@ function build_model(spec::ModelSpec)::Model
     if haskey(loaded_spec.overrides, :objective)
         objective_overrides = loaded_spec.overrides[:objective]
         if !isempty(objective_overrides)
-            # Use the first objective override
-            override = objective_overrides[1]
-            objective_func = get_objective(override.function_name)
-            objective_func(model, loaded_spec, override.args)
+            apply_objectives!(model, loaded_spec, objective_overrides)
         end
     end
     
     return model
 end
 
+const OBJECTIVE_MODES = ("weighted", "lexicographic")
+
+# Each objective function sets the model objective; the expressions are
+# collected and combined according to options.objective_mode:
+#   weighted      - minimize the weighted sum, maximized terms negated
+#   lexicographic - optimize in list order, see solve_model
+# Two-stage models register the cost of their call-ins as risk_term. It is
+# charged under every objective, or the solver would call staff in for free:
+# added to the weighted sum, and to each lexicographic stage (subtracted
+# when the stage maximizes).
+function apply_objectives!(model::Model, spec::ModelSpec, overrides::Vector{Override})
+    mode = String(get(spec.options, :objective_mode, "weighted"))
+    mode in OBJECTIVE_MODES ||
+        throw(ArgumentError("Unknown objective_mode $mode; use one of $(join(OBJECTIVE_MODES, ", "))"))
+    
+    terms = Dict{String, Any}[]
+    for override in overrides
+        objective_func = get_objective(override.function_name)
+        objective_func(model, spec, override.args)
+        push!(terms, Dict{String, Any}(
+            "name" => override.name,
+            "function" => override.function_name,
+            "weight" => override.weight,
+            "sense" => objective_sense(model),
+            "expression" => objective_function(model)
+        ))
+    end
+    
+    recourse = haskey(object_dictionary(model), :risk_term) ? model[:risk_term] : nothing
+    if recourse !== nothing
+        for term in terms
+            term["stage_expression"] = term["sense"] == MOI.MAX_SENSE ?
+                term["expression"] - recourse : term["expression"] + recourse
+        end
+    end
+    
+    model.ext[:objectives] = terms
+    model.ext[:objective_mode] = mode
+    
+    if mode == "weighted" && (length(terms) > 1 || recourse !== nothing)
+        @objective(model, Min, sum(
+            term["weight"] * (term["sense"] == MOI.MAX_SENSE ? -term["expression"] : term["expression"])
+            for term in terms) + something(recourse, 0))
+    elseif mode == "lexicographic"
+        set_objective(model, terms[1]["sense"], get(terms[1], "stage_expression", terms[1]["expression"]))
+    end
+    
+    return model
+end
+
+# Optimize objectives one after another, holding each optimum (within a
+# relative tolerance) while the next is optimized. Returns the constraints
+# holding earlier optima so the caller can remove them after reading results.
+function solve_lexicographic!(model::Model; tolerance::Float64=1e-6,
+                              monitor::Union{Nothing, SolveMonitor}=nothing)::Vector{ConstraintRef}
+    terms = model.ext[:objectives]
+    locks = ConstraintRef[]
+    
+    for (i, term) in enumerate(terms)
+        set_objective(model, term["sense"], get(term, "stage_expression", term["expression"]))
+        monitored_optimize!(model, monitor)
+        (termination_status(model) == MOI.OPTIMAL && i < length(terms)) || break
+        
+        # The term itself is held, without the call-in cost of its stage
+        best = value(term["expression"])
+        slack = tolerance * max(1.0, abs(best))
+        if term["sense"] == MOI.MAX_SENSE
+            push!(locks, @constraint(model, term["expression"] >= best - slack))
+        else
+            push!(locks, @constraint(model, term["expression"] <= best + slack))
+        end
+    end
+    
+    return locks
+end
+
+function objective_term_values(model::Model)::Vector{Dict{String, Any}}
+    has_values = result_count(model) > 0
+    return [
+        Dict{String, Any}(
+            "name" => term["name"],
+            "function" => term["function"],
+            "weight" => term["weight"],
+            "sense" => term["sense"] == MOI.MAX_SENSE ? "max" : "min",
+            "value" => has_values ? value(term["expression"]) : nothing
+        )
+        for term in get(model.ext, :objectives, Dict{String, Any}[])
+    ]
+end
+
 # Load all parameter data from sources
 function load_spec_data(spec::ModelSpec)::ModelSpec
     loaded_parameters = Dict{Symbol, ParameterSpec}()
     
     for (name, param) in spec.parameters
         if param isa TableParameter
-            data = load_data(param.source)
-            loaded_parameters[name] = TableParameter(param.schema, param.source, data)
+            # Data patched in through the API takes precedence over the source
+            data = param.data !== nothing ? param.data : load_data(param.source)
+            loaded_parameters[name] = TableParameter(param.schema, param.source, as_dataframe(data, param.schema))
         elseif param isa DictParameter
-            data = load_data(param.source)
+            data = param.data !== nothing ? param.data : load_data(param.source)
             # Convert to Dict if needed
             if data isa DataFrame
                 # Assume first column is key, second is value
                 dict_data = Dict(row[1] => row[2] for row in eachrow(data))
             else
-                dict_data = data
+                # JSON objects come back with Symbol keys
+                dict_data = Dict{String, Any}(String(k) => v for (k, v) in pairs(data))
             end
             loaded_parameters[name] = DictParameter(param.key, param.source, dict_data)
         else
@@ -115,41 +286,161 @@ function load_spec_data(spec::ModelSpec)::ModelSpec
     return ModelSpec(spec.template, spec.indexes, loaded_parameters, spec.options, spec.overrides)
 end
 
-# Model solving function
-function solve_model(model::Model)::Dict{String, Any}
-    optimize!(model)
+# Problems that don't stop a build, such as pins that no longer fit the
+# indexes; solve_model returns them with the solution
+add_model_warning!(model::Model, message::String) = push!(get!(model.ext, :warnings, String[]), message)
+
+# Model solving function. With a monitor, progress is recorded while
+# HiGHS runs and the solve can be cancelled, see SolveJobs.jl
+function solve_model(model::Model; monitor::Union{Nothing, SolveMonitor}=nothing)::Dict{String, Any}
+    monitor !== nothing && monitor.cancel_requested[] && throw(SolveCancelled())
+    
+    locks = ConstraintRef[]
+    if get(model.ext, :objective_mode, "weighted") == "lexicographic"
+        locks = solve_lexicographic!(model; monitor=monitor)
+    else
+        monitored_optimize!(model, monitor)
+    end
     
     status = termination_status(model)
     
     result = Dict{String, Any}(
         "status" => string(status),
+        "primal_status" => string(primal_status(model)),
         "objective_value" => nothing,
         "solve_time" => solve_time(model),
         "variables" => Dict{String, Any}()
     )
     
-    if status == MOI.OPTIMAL
+    # Interrupted or time-limited solves still report their best incumbent
+    if result_count(model) > 0 && primal_status(model) == MOI.FEASIBLE_POINT
         result["objective_value"] = objective_value(model)
         
-        # Extract variable values
+        # Extract variable values, containers with the labels of their axes
+        spec = get(model.ext, :spec, nothing)
         for (name, var) in object_dictionary(model)
             if var isa VariableRef
                 result["variables"][String(name)] = value(var)
-            elseif var isa Array{VariableRef}
-                # Handle arrays of variables
-                result["variables"][String(name)] = value.(var)
+            elseif var isa AbstractArray && eltype(var) <: VariableRef
+                result["variables"][String(name)] = labelled_values(var, spec)
             end
         end
     end
     
+    result["solver_settings"] = get(model.ext, :solver_settings, nothing)
+    result["objective_mode"] = get(model.ext, :objective_mode, "weighted")
+    result["objectives"] = objective_term_values(model)
+    result["warnings"] = get(model.ext, :warnings, String[])
+    
+    # Solution quality: how far the incumbent may be from the optimum
+    result["relative_gap"] = finite_or_nothing(model, relative_gap)
+    result["objective_bound"] = finite_or_nothing(model, objective_bound)
+    
+    result["metrics"] = haskey(model.ext, :spec) ? compute_metrics(model, model.ext[:spec]) : Dict{String, Any}()
+    
+    # Removing the lexicographic locks invalidates the results, so this
+    # comes last; the cached model must stay re-solvable
+    foreach(ref -> delete(model, ref), locks)
+    
     return result
 end
 
+# Solved values of a variable container as {dims, coords, values}: one
+# name per axis, the labels along each axis, and the values nested in
+# dims order. Sparse containers list {index, value} entries instead.
+function labelled_values(var::AbstractArray, spec::Union{Nothing, ModelSpec})::Dict{String, Any}
+    if var isa JuMP.Containers.SparseAxisArray
+        keys_in_order = sort(collect(keys(var.data)))
+        axis_labels = [unique(key[i] for key in keys_in_order) for i in 1:ndims(var)]
+        dims = axis_names(spec, axis_labels)
+        return Dict{String, Any}(
+            "dims" => dims,
+            "coords" => Dict{String, Any}(dim => plain_label.(labels) for (dim, labels) in zip(dims, axis_labels)),
+            "entries" => [Dict{String, Any}("index" => collect(Any, plain_label.(key)), "value" => value(var.data[key]))
+                          for key in keys_in_order]
+        )
+    end
+    
+    axis_labels = [collect(axis) for axis in axes(var)]
+    dims = axis_names(spec, axis_labels)
+    solved = value.(var)
+    return Dict{String, Any}(
+        "dims" => dims,
+        "coords" => Dict{String, Any}(dim => plain_label.(labels) for (dim, labels) in zip(dims, axis_labels)),
+        "values" => nested_values(solved isa Array ? solved : solved.data)
+    )
+end
+
+# Axes are named after the spec index with the same labels, others dim1, dim2, ...
+function axis_names(spec::Union{Nothing, ModelSpec}, axis_labels::Vector)::Vector{String}
+    index_names = spec === nothing ? Symbol[] : sort(collect(keys(spec.indexes)))
+    dims = String[]
+    for (position, labels) in enumerate(axis_labels)
+        found = findfirst(name -> get_index_values(spec, name) == labels && !(string(name) in dims), index_names)
+        push!(dims, found === nothing ? "dim$position" : string(index_names[found]))
+    end
+    return dims
+end
+
+plain_label(label::Union{Number, AbstractString}) = label
+plain_label(label) = string(label)
+
+nested_values(data::AbstractVector) = collect(Any, data)
+nested_values(data::AbstractArray) = Any[nested_values(selectdim(data, 1, i)) for i in axes(data, 1)]
+
+# Axes of the work_scheduling variables, as the template declares them
+const POSITIONAL_VARIABLE_AXES = Dict(
+    "assign" => [:candidates, :days, :skills],
+    "hire" => [:candidates]
+)
+
+# Solutions stored before variables carried their labels hold bare nested
+# arrays. Label them from the spec they were solved with; variables whose
+# axes are unknown or no longer match get numbered axes.
+function label_positional_variables!(solution::AbstractDict, spec::ModelSpec)
+    variables = get(solution, "variables", nothing)
+    variables isa AbstractDict || return solution
+    
+    for (name, values) in variables
+        values isa AbstractVector || continue
+        shape = nested_shape(values)
+        index_names = get(POSITIONAL_VARIABLE_AXES, String(name), Symbol[])
+        if length(index_names) == length(shape) &&
+           all(haskey(spec.indexes, index) && length(get_index_values(spec, index)) == len
+               for (index, len) in zip(index_names, shape))
+            dims = string.(index_names)
+            coords = Dict{String, Any}(string(index) => plain_label.(get_index_values(spec, index)) for index in index_names)
+        else
+            dims = ["dim$position" for position in eachindex(shape)]
+            coords = Dict{String, Any}(dim => collect(1:len) for (dim, len) in zip(dims, shape))
+        end
+        variables[name] = Dict{String, Any}("dims" => dims, "coords" => coords, "values" => values)
+    end
+    
+    return solution
+end
+
+nested_shape(values) = values isa AbstractVector ?
+    (isempty(values) ? [0] : [length(values); nested_shape(first(values))]) : Int[]
+
+# Solver attributes are unavailable without a result (and JSON has no Inf)
+function finite_or_nothing(model::Model, attribute::Function)
+    result_count(model) > 0 || return nothing
+    try
+        value = attribute(model)
+        return isfinite(value) ? value : nothing
+    catch
+        return nothing
+    end
+end
+
 # UI specification generation for natural language interface
-function create_ui_spec(spec::ModelSpec, query::String="")::Dict{String, Any}
+# original is the spec the model was created from; its list index values
+# stay selectable after a patch deselects them
+function create_ui_spec(spec::ModelSpec, query::String=""; original::ModelSpec=spec)::Dict{String, Any}
     ui_spec = Dict{String, Any}(
         "visualization_type" => infer_visualization_type(spec),
-        "controls" => create_controls(spec),
+        "controls" => create_controls(spec; original=original),
         "filters" => create_filters(spec),
         "metrics" => create_metrics(spec),
         "query_context" => query
@@ -170,7 +461,7 @@ function infer_visualization_type(spec::ModelSpec)::String
     end
 end
 
-function create_controls(spec::ModelSpec)::Vector{Dict{String, Any}}
+function create_controls(spec::ModelSpec; original::ModelSpec=spec)::Vector{Dict{String, Any}}
     controls = Dict{String, Any}[]
     
     # Create controls for indexes
@@ -183,10 +474,11 @@ function create_controls(spec::ModelSpec)::Vector{Dict{String, Any}}
                 "maps_to" => "indexes.$(name)"
             ))
         elseif index isa ListIndex
+            initial = get(original.indexes, name, nothing)
             push!(controls, Dict(
                 "type" => "multiselect",
                 "label" => titlecase(replace(string(name), "_" => " ")),
-                "options" => index.values,
+                "options" => initial isa ListIndex ? unique(vcat(initial.values, index.values)) : index.values,
                 "default" => index.values,
                 "maps_to" => "indexes.$(name)"
             ))
@@ -240,7 +532,7 @@ function create_metrics(spec::ModelSpec)::Vector{String}
     
     # Add template-specific metrics
     if spec.template == "work_scheduling"
-        append!(metrics, ["total_cost", "coverage_rate", "staff_utilization"])
+        append!(metrics, ["total_cost", "coverage_rate", "shortfall_count", "staff_utilization", "cost_per_assignment", "relative_gap"])
     elseif contains(spec.template, "routing")
         append!(metrics, ["total_distance", "vehicle_utilization"])
     end
@@ -9,32 +9,81 @@ function work_scheduling_template(spec::ModelSpec)::Model
     candidates = get_index_values(spec, :candidates)
     skills = get_index_values(spec, :skills)
     scenarios = haskey(spec.indexes, :scenarios) ? get_index_values(spec, :scenarios) : ["base"]
+    shifts = get_shifts(spec)
     
     # Extract parameters
     demand_data = get_parameter_data(spec, :demand)
     candidate_skills_data = get_parameter_data(spec, :candidate_skills)
     cost_data = haskey(spec.parameters, :cost_month) ? get_parameter_data(spec, :cost_month) : nothing
+    hourly = is_hourly_demand(demand_data)
+    hourly && shifts === nothing && throw(ArgumentError("Hourly demand requires a shifts index"))
+    
+    # With a risk measure over several scenarios the model has two stages:
+    # the plan is made before the scenario is known, and staff called in
+    # for a scenario cover what the plan leaves open in it
+    risk_measure = scenario_risk_measure(spec, scenarios)
+    risk_measure !== nothing && shifts !== nothing &&
+        throw(ArgumentError("risk_measure is not supported together with a shifts index"))
     
     # Decision variables
     @variable(model, assign[candidates, days, skills], Bin)
     @variable(model, hire[candidates], Bin)
+    if risk_measure !== nothing
+        @variable(model, recourse[candidates, days, skills, scenarios], Bin)
+    end
+    
+    # With shifts, every day assignment is worked in exactly one shift
+    if shifts !== nothing
+        shift_names = [shift.name for shift in shifts]
+        @variable(model, shift_assign[candidates, days, shift_names, skills], Bin)
+        for candidate in candidates, day in days, skill in skills
+            @constraint(model, assign[candidate, day, skill] ==
+                sum(shift_assign[candidate, day, name, skill] for name in shift_names))
+        end
+        add_shift_overlap_constraints!(model, shifts, candidates, days, skills)
+    end
     
-    # Demand constraints
+    # Demand constraints, per day or per hour of the day
     for scenario in scenarios
         for day in days
             for skill in skills
+                qualified = [c for c in candidates if has_skill(candidate_skills_data, c, skill)]
+                
+                if hourly
+                    row_indexes = findall(row ->
+                        row.scenario == scenario &&
+                        Date(row.day) == day &&
+                        row.skill == skill,
+                        eachrow(demand_data))
+                    
+                    for row_index in row_indexes
+                        hour = Int(demand_data[row_index, :hour])
+                        covering = shifts_covering(shifts, days, day, hour)
+                        staffed = isempty(qualified) || isempty(covering) ? zero(AffExpr) :
+                            sum(shift_assign[c, d, name, skill] for c in qualified, (d, name) in covering)
+                        demand_constraint = @constraint(model, staffed >= demand_data[row_index, :value])
+                        note_origin!(model, [demand_constraint],
+                            demand_origin(demand_data, row_index, scenario, day, skill, qualified; hour=hour))
+                    end
+                    continue
+                end
+                
                 # Find demand for this scenario/day/skill
-                demand_rows = filter(row -> 
+                row_index = findfirst(row -> 
                     row.scenario == scenario && 
                     Date(row.day) == day && 
                     row.skill == skill, 
-                    demand_data)
+                    eachrow(demand_data))
                 
-                if !isempty(demand_rows)
-                    demand_value = demand_rows[1].value
-                    @constraint(model, 
-                        sum(assign[c, day, skill] for c in candidates 
-                            if has_skill(candidate_skills_data, c, skill)) >= demand_value)
+                if row_index !== nothing
+                    demand_value = demand_data[row_index, :value]
+                    staffed = isempty(qualified) ? zero(AffExpr) : sum(assign[c, day, skill] for c in qualified)
+                    if risk_measure !== nothing && !isempty(qualified)
+                        staffed += sum(recourse[c, day, skill, scenario] for c in qualified)
+                    end
+                    demand_constraint = @constraint(model, staffed >= demand_value)
+                    note_origin!(model, [demand_constraint],
+                        demand_origin(demand_data, row_index, scenario, day, skill, qualified))
                 end
             end
         end
@@ -46,6 +95,11 @@ function work_scheduling_template(spec::ModelSpec)::Model
             for skill in skills
                 if !has_skill(candidate_skills_data, candidate, skill)
                     @constraint(model, assign[candidate, day, skill] == 0)
+                    if risk_measure !== nothing
+                        for scenario in scenarios
+                            @constraint(model, recourse[candidate, day, skill, scenario] == 0)
+                        end
+                    end
                 end
             end
         end
@@ -60,27 +114,228 @@ function work_scheduling_template(spec::ModelSpec)::Model
         end
     end
     
-    # Daily work limit per person
+    # Daily work limit per person; call-ins count towards it in their scenario
     max_daily_assignments = get(spec.options, :max_daily_assignments, 2)
+    daily_limits = ConstraintRef[]
     for candidate in candidates
         for day in days
-            @constraint(model, 
-                sum(assign[candidate, day, skill] for skill in skills) <= max_daily_assignments)
+            if risk_measure === nothing
+                push!(daily_limits, @constraint(model, 
+                    sum(assign[candidate, day, skill] for skill in skills) <= max_daily_assignments))
+                continue
+            end
+            for scenario in scenarios
+                push!(daily_limits, @constraint(model, 
+                    sum(assign[candidate, day, skill] + recourse[candidate, day, skill, scenario]
+                        for skill in skills) <= max_daily_assignments))
+                for skill in skills
+                    @constraint(model, assign[candidate, day, skill] + recourse[candidate, day, skill, scenario] <= 1)
+                end
+            end
         end
     end
+    note_origin!(model, daily_limits, daily_limit_origin(spec, max_daily_assignments))
     
     # Objective function
     if cost_data !== nothing
-        @objective(model, Min, 
+        first_stage = @expression(model, 
             sum(cost_data[candidate] * hire[candidate] for candidate in candidates if haskey(cost_data, candidate)))
     else
         # Default objective: minimize total assignments
-        @objective(model, Min, sum(assign))
+        first_stage = @expression(model, sum(assign))
+    end
+    
+    if risk_measure === nothing
+        @objective(model, Min, first_stage)
+    else
+        model[:first_stage_cost] = first_stage
+        add_recourse_objective!(model, spec, risk_measure, scenarios, candidates, days, skills, cost_data)
+        @objective(model, Min, first_stage + model[:risk_term])
     end
     
     return model
 end
 
+const RISK_MEASURES = ("expected", "cvar")
+const DEFAULT_CVAR_ALPHA = 0.9
+const DEFAULT_RECOURSE_PREMIUM = 1.5
+
+# options.risk_measure of a two-stage model; nothing when the plan alone
+# has to cover every scenario (no risk measure, or only one scenario)
+function scenario_risk_measure(spec::ModelSpec, scenarios)::Union{Nothing, String}
+    measure = get(spec.options, :risk_measure, nothing)
+    measure === nothing && return nothing
+    measure = lowercase(string(measure))
+    measure in RISK_MEASURES ||
+        throw(ArgumentError("Unknown risk_measure $measure; use one of $(join(RISK_MEASURES, ", "))"))
+    return length(scenarios) > 1 ? measure : nothing
+end
+
+# Probability of each scenario from options.scenario_probabilities, which
+# need not add up to one; equal probabilities when unset
+function scenario_probabilities(spec::ModelSpec, scenarios)::Dict{String, Float64}
+    given = get(spec.options, :scenario_probabilities, nothing)
+    given === nothing && return Dict{String, Float64}(string(s) => 1 / length(scenarios) for s in scenarios)
+    
+    weights = Dict{String, Float64}(string(k) => Float64(v) for (k, v) in pairs(given))
+    for scenario in scenarios
+        haskey(weights, string(scenario)) ||
+            throw(ArgumentError("scenario_probabilities has no probability for $scenario"))
+        weights[string(scenario)] >= 0 ||
+            throw(ArgumentError("scenario_probabilities: $scenario has a negative probability"))
+    end
+    total = sum(weights[string(s)] for s in scenarios)
+    total > 0 || throw(ArgumentError("scenario_probabilities must not all be zero"))
+    return Dict{String, Float64}(string(s) => weights[string(s)] / total for s in scenarios)
+end
+
+function cvar_alpha(spec::ModelSpec)::Float64
+    alpha = Float64(get(spec.options, :cvar_alpha, DEFAULT_CVAR_ALPHA))
+    0 <= alpha < 1 || throw(ArgumentError("cvar_alpha must be at least 0 and below 1, got $alpha"))
+    return alpha
+end
+
+# Cost of calling someone in for one assignment: options.recourse_premium
+# times their monthly cost spread over the days of the horizon. Without
+# cost data a call-in costs the premium against one per planned assignment.
+# With cost data every candidate needs a cost, or calling them in is free.
+function call_in_costs(spec::ModelSpec, candidates, days, cost_data)::Dict{String, Float64}
+    premium = Float64(get(spec.options, :recourse_premium, DEFAULT_RECOURSE_PREMIUM))
+    premium >= 0 || throw(ArgumentError("recourse_premium must not be negative, got $premium"))
+    cost_data === nothing && return Dict{String, Float64}(candidate => premium for candidate in candidates)
+    
+    unpriced = [candidate for candidate in candidates if !haskey(cost_data, candidate)]
+    isempty(unpriced) || throw(ArgumentError(
+        "cost_month has no cost for $(join(unpriced, ", ")); two-stage models need one to price call-ins"))
+    return Dict{String, Float64}(candidate => premium * cost_data[candidate] / length(days) for candidate in candidates)
+end
+
+# The call-in cost of each scenario as scenario_cost, and the part of the
+# objective that weighs them as risk_term: their expected value, or their
+# CVaR, the expected cost of the worst (1 - cvar_alpha) share of outcomes
+function add_recourse_objective!(model::Model, spec::ModelSpec, risk_measure::String,
+                                 scenarios, candidates, days, skills, cost_data)
+    recourse = model[:recourse]
+    costs = call_in_costs(spec, candidates, days, cost_data)
+    probabilities = scenario_probabilities(spec, scenarios)
+    
+    @expression(model, scenario_cost[scenario in scenarios],
+        sum(costs[c] * recourse[c, day, skill, scenario] for c in candidates, day in days, skill in skills))
+    
+    if risk_measure == "expected"
+        model[:risk_term] = @expression(model,
+            sum(probabilities[string(s)] * scenario_cost[s] for s in scenarios))
+    else
+        alpha = cvar_alpha(spec)
+        @variable(model, value_at_risk)
+        @variable(model, tail_excess[scenarios] >= 0)
+        for s in scenarios
+            @constraint(model, tail_excess[s] >= scenario_cost[s] - value_at_risk)
+        end
+        model[:risk_term] = @expression(model,
+            value_at_risk + sum(probabilities[string(s)] * tail_excess[s] for s in scenarios) / (1 - alpha))
+    end
+end
+
+# CVaR of discrete outcomes: the expected cost of the worst (1 - alpha)
+# probability mass
+function conditional_value_at_risk(costs::Vector{Float64}, probabilities::Vector{Float64}, alpha::Float64)::Float64
+    tail = 1 - alpha
+    remaining = tail
+    total = 0.0
+    for i in sortperm(costs; rev=true)
+        weight = min(probabilities[i], remaining)
+        total += weight * costs[i]
+        remaining -= weight
+        remaining <= 1e-12 && break
+    end
+    return total / tail
+end
+
+# Demand tables with an hour column give the staff needed per hour of the day
+is_hourly_demand(demand_data::DataFrame) = "hour" in names(demand_data)
+
+# A person works one shift at a time: at the start of every shift, at most
+# one of the shifts running then, including overnight ones from the day
+# before, may be theirs
+function add_shift_overlap_constraints!(model::Model, shifts::Vector{Shift}, candidates, days, skills)
+    shift_assign = model[:shift_assign]
+    for (i, day) in enumerate(days), shift in shifts
+        running = [(day, s.name) for s in shifts if s.start <= shift.start < shift_end(s)]
+        if i > 1
+            append!(running, [(days[i - 1], s.name) for s in shifts if shift_end(s) - 24 * 60 > shift.start])
+        end
+        for candidate in candidates
+            @constraint(model, sum(shift_assign[candidate, d, name, skill]
+                                   for (d, name) in running, skill in skills) <= 1)
+        end
+    end
+end
+
+# The (start day, shift) pairs that work through a whole hour of a day
+function shifts_covering(shifts::Vector{Shift}, days, day::Date, hour::Int)::Vector{Tuple{Date, String}}
+    covering = Tuple{Date, String}[]
+    for shift in shifts, (offset, slot_hour) in shift_hour_slots(shift)
+        start_day = day - Day(offset)
+        slot_hour == hour && start_day in days && push!(covering, (start_day, shift.name))
+    end
+    return covering
+end
+
+# Diagnosis origins for the constraints built from user data
+function demand_origin(demand_data::DataFrame, row_index::Int, scenario, day::Date, skill::String,
+                       qualified::Vector; hour::Union{Nothing, Int}=nothing)::Dict{String, Any}
+    demand = demand_data[row_index, :value]
+    scenario_note = scenario == "base" ? "" : " ($scenario scenario)"
+    slot = hour === nothing ? "on $day" : "on $day at $(clock_time(hour * 60))"
+    
+    explain = function (violation)
+        if length(qualified) < demand
+            available = isempty(qualified) ? "no" : "only $(length(qualified))"
+            return "$skill demand $slot$scenario_note needs $demand but $available skilled staff are available"
+        end
+        return "$skill demand $slot$scenario_note needs $demand but only " *
+               "$(demand - round(Int, violation)) can be staffed within the other constraints"
+    end
+    
+    relax = function (violation)
+        reduced = max(demand - ceil(Int, violation - 1e-6), 0)
+        old_rows = table_rows(demand_data)
+        new_rows = deepcopy(old_rows)
+        new_rows[row_index][columnindex(demand_data, :value)] = reduced
+        return Dict{String, Any}(
+            "label" => "Lower $skill demand $slot$scenario_note to $reduced",
+            "patches" => [Dict("operation" => "replace", "path" => ["parameters", "demand"], "value" => new_rows)],
+            "old_values" => [old_rows]
+        )
+    end
+    
+    return Dict{String, Any}(
+        "key" => hour === nothing ? "demand:$scenario:$day:$skill" : "demand:$scenario:$day:$hour:$skill",
+        "kind" => "demand",
+        "description" => "$skill demand $slot$scenario_note",
+        "explain" => explain,
+        "relax" => relax
+    )
+end
+
+function daily_limit_origin(spec::ModelSpec, max_daily_assignments)::Dict{String, Any}
+    return Dict{String, Any}(
+        "key" => "option:max_daily_assignments",
+        "kind" => "option",
+        "description" => "at most $max_daily_assignments assignment(s) per person per day",
+        "explain" => violation -> "max_daily_assignments = $max_daily_assignments leaves " *
+                                  "$(format_violation(violation)) required assignment(s) unstaffed",
+        "relax" => violation -> Dict{String, Any}(
+            "label" => "Allow $(max_daily_assignments + 1) assignments per person per day",
+            "patches" => [Dict("operation" => "merge", "path" => ["options", "max_daily_assignments"],
+                               "value" => max_daily_assignments + 1)],
+            # Unset options are removed again on undo
+            "old_values" => [get(spec.options, :max_daily_assignments, nothing)]
+        )
+    )
+end
+
 # Helper function to check if candidate has skill
 function has_skill(candidate_skills_data::DataFrame, candidate::String, skill::String)::Bool
     skill_rows = filter(row -> 
@@ -91,22 +346,268 @@ function has_skill(candidate_skills_data::DataFrame, candidate::String, skill::S
     return !isempty(skill_rows) && skill_rows[1].has_skill
 end
 
+# Metrics reported with every solve, from the solved model and loaded data
+function work_scheduling_metrics(model::Model, spec::ModelSpec)::Dict{String, Any}
+    assign = model[:assign]
+    hire = model[:hire]
+    days = get_index_values(spec, :days)
+    candidates = get_index_values(spec, :candidates)
+    skills = get_index_values(spec, :skills)
+    demand_data = get_parameter_data(spec, :demand)
+    cost_data = haskey(spec.parameters, :cost_month) ? get_parameter_data(spec, :cost_month) : nothing
+    max_daily_assignments = get(spec.options, :max_daily_assignments, 2)
+    shifts = get_shifts(spec)
+    
+    scenarios = haskey(spec.indexes, :scenarios) ? get_index_values(spec, :scenarios) : ["base"]
+    stochastic = haskey(object_dictionary(model), :recourse)
+    
+    is_assigned(candidate, day, skill) = value(assign[candidate, day, skill]) > 0.5
+    works_shift(candidate, day, name, skill) = value(model[:shift_assign][candidate, day, name, skill]) > 0.5
+    is_called_in(candidate, day, skill, scenario) = value(model[:recourse][candidate, day, skill, scenario]) > 0.5
+    
+    # Coverage per day (or hour) and skill of one scenario, with the staff
+    # called in for it; without a scenario the slot's demand is the highest
+    # across scenarios, which the plan alone covers
+    function coverage_slots(scenario)
+        rows = scenario === nothing ? demand_data : filter(row -> row.scenario == scenario, demand_data)
+        slots = Dict{String, Any}[]
+        if is_hourly_demand(demand_data)
+            for (day, hour, skill) in sort(unique((Date(row.day), Int(row.hour), row.skill) for row in eachrow(rows)))
+                (day in days && skill in skills) || continue
+                demand = maximum(row.value for row in eachrow(rows)
+                                 if Date(row.day) == day && row.hour == hour && row.skill == skill)
+                covering = shifts_covering(shifts, days, day, hour)
+                staffed = count(candidate -> any(works_shift(candidate, d, name, skill) for (d, name) in covering), candidates)
+                push!(slots, Dict{String, Any}(
+                    "day" => string(day),
+                    "hour" => hour,
+                    "skill" => skill,
+                    "demand" => demand,
+                    "assigned" => staffed,
+                    "shortfall" => max(demand - staffed, 0)
+                ))
+            end
+        else
+            for day in days, skill in skills
+                demand_rows = filter(row -> Date(row.day) == day && row.skill == skill, rows)
+                isempty(demand_rows) && continue
+                
+                demand = maximum(demand_rows.value)
+                planned = count(candidate -> is_assigned(candidate, day, skill), candidates)
+                called_in = stochastic && scenario !== nothing ?
+                    count(candidate -> is_called_in(candidate, day, skill, scenario), candidates) : 0
+                slot = Dict{String, Any}(
+                    "day" => string(day),
+                    "skill" => skill,
+                    "demand" => demand,
+                    "assigned" => planned + called_in,
+                    "shortfall" => max(demand - planned - called_in, 0)
+                )
+                if stochastic
+                    slot["planned"] = planned
+                    slot["called_in"] = called_in
+                end
+                push!(slots, slot)
+            end
+        end
+        scenario === nothing || foreach(slot -> slot["scenario"] = scenario, slots)
+        return slots
+    end
+    
+    # Two-stage plans are judged per scenario, with that scenario's call-ins
+    coverage = stochastic ?
+        reduce(vcat, [coverage_slots(scenario) for scenario in scenarios]; init=Dict{String, Any}[]) :
+        coverage_slots(nothing)
+    
+    # The schedule with real times; without shifts every assignment is a day
+    # shift. Call-ins are listed with the scenario they are made for.
+    schedule_entry(candidate, day, skill, shift, stage) = Dict{String, Any}(
+        "candidate" => candidate,
+        "day" => string(day),
+        "skill" => skill,
+        "shift" => shift.name,
+        "start" => string(DateTime(day) + Minute(shift.start)),
+        "end" => string(DateTime(day) + Minute(shift.start + shift.duration)),
+        "hours" => shift_hours(shift),
+        "stage" => stage
+    )
+    schedule = Dict{String, Any}[]
+    for candidate in candidates, day in days, skill in skills
+        is_assigned(candidate, day, skill) || continue
+        worked = shifts === nothing ? [DEFAULT_SHIFT] :
+            filter(shift -> works_shift(candidate, day, shift.name, skill), shifts)
+        for shift in worked
+            push!(schedule, schedule_entry(candidate, day, skill, shift, "plan"))
+        end
+    end
+    if stochastic
+        for scenario in scenarios, candidate in candidates, day in days, skill in skills
+            is_called_in(candidate, day, skill, scenario) || continue
+            entry = schedule_entry(candidate, day, skill, DEFAULT_SHIFT, "recourse")
+            entry["scenario"] = scenario
+            push!(schedule, entry)
+        end
+    end
+    planned_schedule = filter(entry -> entry["stage"] == "plan", schedule)
+    hours_of(candidate) = sum(entry["hours"] for entry in planned_schedule if entry["candidate"] == candidate; init=0.0)
+    
+    total_demand = sum(slot["demand"] for slot in coverage; init=0)
+    covered_demand = sum(min(slot["assigned"], slot["demand"]) for slot in coverage; init=0)
+    
+    # Utilization against each person's capacity of max_daily_assignments per day
+    capacity = max_daily_assignments * length(days)
+    staff = Dict{String, Any}[]
+    for candidate in candidates
+        assignments = count(is_assigned(candidate, day, skill) for day in days, skill in skills)
+        push!(staff, Dict{String, Any}(
+            "candidate" => candidate,
+            "hired" => value(hire[candidate]) > 0.5,
+            "assignments" => assignments,
+            "hours" => hours_of(candidate),
+            "capacity" => capacity,
+            "utilization" => capacity > 0 ? 100 * assignments / capacity : 0.0,
+            "cost" => cost_data !== nothing ? get(cost_data, candidate, nothing) : nothing
+        ))
+    end
+    
+    hired = filter(member -> member["hired"], staff)
+    total_assignments = sum(member["assignments"] for member in staff; init=0)
+    hired_assignments = sum(member["assignments"] for member in hired; init=0)
+    total_cost = cost_data === nothing ? nothing :
+        sum(something(member["cost"], 0) for member in hired; init=0)
+    
+    # Coverage and cost of every scenario: the plan's cost is the same in
+    # all of them, call-ins add to it in the scenarios they are made for
+    scenario_results = Dict{String, Any}[]
+    if length(scenarios) > 1
+        first_stage_cost = stochastic ? value(model[:first_stage_cost]) : total_cost
+        probabilities = stochastic ? scenario_probabilities(spec, scenarios) : nothing
+        for scenario in scenarios
+            slots = stochastic ? filter(slot -> slot["scenario"] == scenario, coverage) : coverage_slots(scenario)
+            demand = sum(slot["demand"] for slot in slots; init=0)
+            covered = sum(min(slot["assigned"], slot["demand"]) for slot in slots; init=0)
+            recourse_cost = stochastic ? value(model[:scenario_cost][scenario]) : 0.0
+            push!(scenario_results, Dict{String, Any}(
+                "scenario" => scenario,
+                "probability" => stochastic ? probabilities[string(scenario)] : nothing,
+                "demand" => demand,
+                "covered_demand" => covered,
+                "coverage_rate" => demand > 0 ? 100 * covered / demand : 100.0,
+                "shortfall_total" => sum(slot["shortfall"] for slot in slots; init=0),
+                "planned_assignments" => total_assignments,
+                "call_ins" => count(entry -> get(entry, "scenario", nothing) == scenario, schedule),
+                "first_stage_cost" => first_stage_cost,
+                "recourse_cost" => recourse_cost,
+                "total_cost" => first_stage_cost === nothing ? nothing : first_stage_cost + recourse_cost
+            ))
+        end
+    end
+    
+    # The risk the two-stage objective weighed, next to the other measure
+    risk = nothing
+    if stochastic
+        costs = Float64[result["total_cost"] for result in scenario_results]
+        weights = Float64[result["probability"] for result in scenario_results]
+        alpha = cvar_alpha(spec)
+        risk = Dict{String, Any}(
+            "measure" => scenario_risk_measure(spec, scenarios),
+            "alpha" => alpha,
+            "first_stage_cost" => value(model[:first_stage_cost]),
+            "expected_cost" => sum(costs .* weights),
+            "cvar" => conditional_value_at_risk(costs, weights, alpha),
+            "worst_case_cost" => maximum(costs)
+        )
+    end
+    
+    return Dict{String, Any}(
+        "total_assignments" => total_assignments,
+        "total_demand" => total_demand,
+        "covered_demand" => covered_demand,
+        "coverage_rate" => total_demand > 0 ? 100 * covered_demand / total_demand : 100.0,
+        "shortfall_count" => count(slot -> slot["shortfall"] > 0, coverage),
+        "shortfall_total" => sum(slot["shortfall"] for slot in coverage; init=0),
+        "coverage" => coverage,
+        "max_daily_assignments" => max_daily_assignments,
+        "staff_utilization" => isempty(hired) || capacity == 0 ? 0.0 : 100 * hired_assignments / (capacity * length(hired)),
+        "staff" => staff,
+        "schedule" => schedule,
+        "total_hours" => sum(entry["hours"] for entry in planned_schedule; init=0.0),
+        "total_cost" => total_cost,
+        "cost_per_assignment" => total_cost !== nothing && total_assignments > 0 ? total_cost / total_assignments : nothing,
+        "scenarios" => scenario_results,
+        "risk" => risk
+    )
+end
+
 # Register the template
 function __init__()
-    register_template!("work_scheduling", work_scheduling_template)
+    register_template!("work_scheduling", work_scheduling_template;
+        description="Assign staff to skills per day to cover demand at minimum cost",
+        args=[
+            ArgumentSpec("max_daily_assignments", "integer"; default=2, min=1,
+                         description="Maximum skill assignments per person per day"),
+            ArgumentSpec("risk_measure", "string";
+                         description="expected or cvar: plan first and call staff in per scenario, weighing the call-in costs by this measure"),
+            ArgumentSpec("cvar_alpha", "number"; default=DEFAULT_CVAR_ALPHA, min=0, max=1,
+                         description="Share of best outcomes CVaR leaves out"),
+            ArgumentSpec("recourse_premium", "number"; default=DEFAULT_RECOURSE_PREMIUM, min=0,
+                         description="Call-in cost per assignment relative to a day of the monthly cost")
+        ])
+    register_metrics!("work_scheduling", work_scheduling_metrics)
     
     # Register common constraints
-    register_constraint!("time_window", time_window_constraint)
-    register_constraint!("max_consecutive_days", max_consecutive_days_constraint)
-    register_constraint!("min_rest_days", min_rest_days_constraint)
+    register_constraint!("time_window", time_window_constraint;
+        description="Only let a staff member work within a daily time window",
+        args=[
+            ArgumentSpec("candidate", "candidate"; description="Staff member the window applies to"),
+            ArgumentSpec("start_time", "hour"; default=9, min=0, max=24, description="Earliest start hour"),
+            ArgumentSpec("end_time", "hour"; default=17, min=0, max=24, description="Latest end hour")
+        ])
+    register_constraint!("max_consecutive_days", max_consecutive_days_constraint;
+        description="Limit how many days in a row anyone can work",
+        args=[
+            ArgumentSpec("max_consecutive", "integer"; default=5, min=1,
+                         description="Maximum consecutive working days")
+        ])
+    register_constraint!("min_rest_days", min_rest_days_constraint;
+        description="Require rest days between working days",
+        args=[
+            ArgumentSpec("min_rest", "integer"; default=1, min=1,
+                         description="Minimum rest days between work periods")
+        ])
+    register_constraint!("fix_assignment", fix_assignment_constraint;
+        description="Pin one assignment on or off, e.g. a hand edit to the schedule",
+        args=[
+            ArgumentSpec("candidate", "candidate"; description="Staff member"),
+            ArgumentSpec("day", "string"; description="Day as YYYY-MM-DD"),
+            ArgumentSpec("skill", "skill"; description="Skill of the assignment"),
+            ArgumentSpec("assigned", "boolean"; default=true,
+                         description="Whether the assignment must be made (on) or must not be (off)")
+        ])
     
     # Register common objectives
-    register_objective!("minimize_cost", minimize_cost_objective)
-    register_objective!("maximize_coverage", maximize_coverage_objective)
-    register_objective!("balance_workload", balance_workload_objective)
+    register_objective!("minimize_cost", minimize_cost_objective;
+        description="Minimize the monthly cost of hired staff",
+        args=[
+            ArgumentSpec("multiplier", "number"; default=1.0, min=0,
+                         description="Scale factor applied to staff costs")
+        ])
+    register_objective!("maximize_coverage", maximize_coverage_objective;
+        description="Maximize the total number of assignments",
+        args=[
+            ArgumentSpec("weight", "number"; default=1.0, min=0,
+                         description="Scale factor applied to the assignment count")
+        ])
+    register_objective!("balance_workload", balance_workload_objective;
+        description="Minimize the largest individual workload")
 end
 
 # Constraint functions
+
+# Working hours of a day assignment when the model has no shifts
+const DEFAULT_SHIFT_HOURS = (9, 17)
+const DEFAULT_SHIFT = Shift("day", DEFAULT_SHIFT_HOURS[1] * 60, (DEFAULT_SHIFT_HOURS[2] - DEFAULT_SHIFT_HOURS[1]) * 60)
+
 function time_window_constraint(model::Model, spec::ModelSpec, args::Dict{Symbol, Any})
     candidate = get(args, :candidate, "")
     start_time = get(args, :start_time, 9)
@@ -117,14 +618,65 @@ function time_window_constraint(model::Model, spec::ModelSpec, args::Dict{Symbol
         days = get_index_values(spec, :days)
         skills = get_index_values(spec, :skills)
         
-        # Add constraint that this candidate can only work within time window
-        # This is a simplified version - in practice, you'd need time-based data
-        for day in days
-            for skill in skills
-                if hour(day) < start_time || hour(day) > end_time
+        candidate in get_index_values(spec, :candidates) ||
+            throw(ArgumentError("time_window: unknown candidate $candidate"))
+        
+        # The candidate can only work shifts that fit inside their window;
+        # without shifts every assignment is a full day shift
+        shifts = get_shifts(spec)
+        if shifts !== nothing
+            shift_assign = model[:shift_assign]
+            for shift in shifts
+                shift.start >= start_time * 60 && shift_end(shift) <= end_time * 60 && continue
+                for day in days
+                    for skill in skills
+                        @constraint(model, shift_assign[candidate, day, shift.name, skill] == 0)
+                    end
+                end
+            end
+        elseif start_time > DEFAULT_SHIFT_HOURS[1] || end_time < DEFAULT_SHIFT_HOURS[2]
+            for day in days
+                for skill in skills
                     @constraint(model, assign[candidate, day, skill] == 0)
                 end
             end
+            # Nor can they be called in
+            if haskey(object_dictionary(model), :recourse)
+                @constraint(model, [day in days, skill in skills, scenario in get_index_values(spec, :scenarios)],
+                    model[:recourse][candidate, day, skill, scenario] == 0)
+            end
+        end
+    end
+end
+
+function fix_assignment_constraint(model::Model, spec::ModelSpec, args::Dict{Symbol, Any})
+    candidate = string(get(args, :candidate, ""))
+    skill = string(get(args, :skill, ""))
+    assigned = get(args, :assigned, true)
+    
+    if haskey(object_dictionary(model), :assign)
+        assign = model[:assign]
+        day = try
+            Date(string(get(args, :day, "")))
+        catch
+            throw(ArgumentError("fix_assignment: invalid day $(get(args, :day, ""))"))
+        end
+        
+        # Pins outlive changes to the indexes; those that no longer fit are
+        # skipped rather than failing the build
+        missing_value = !(candidate in get_index_values(spec, :candidates)) ? "candidate $candidate is not planned" :
+            !(day in get_index_values(spec, :days)) ? "$day is outside the planning horizon" :
+            !(skill in get_index_values(spec, :skills)) ? "skill $skill is not planned" : nothing
+        if missing_value !== nothing
+            add_model_warning!(model, "Skipped pin of $candidate on $day ($skill): $missing_value")
+            return nothing
+        end
+        
+        @constraint(model, assign[candidate, day, skill] == (assigned ? 1 : 0))
+        # Pinned off also means they can't be called in for it
+        if !assigned && haskey(object_dictionary(model), :recourse)
+            @constraint(model, [scenario in get_index_values(spec, :scenarios)],
+                model[:recourse][candidate, day, skill, scenario] == 0)
         end
     end
 end
@@ -187,9 +739,10 @@ function minimize_cost_objective(model::Model, spec::ModelSpec, args::Dict{Symbo
         
         if haskey(object_dictionary(model), :hire)
             hire = model[:hire]
+            # The call-in cost of two-stage models is added by apply_objectives!
             @objective(model, Min, 
                 cost_multiplier * sum(cost_data[candidate] * hire[candidate] 
-                                    for candidate in candidates if haskey(cost_data, candidate)))
+                                   for candidate in candidates if haskey(cost_data, candidate)))
         end
     end
 end
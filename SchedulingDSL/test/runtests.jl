@@ -1,6 +1,48 @@
 using Test
 using SchedulingDSL
 
+# Two days with one cook needed in the kitchen each day, and two cooks:
+# Alice at 3000 a month and Bob at 4000
+const KITCHEN_CONFIG = Dict{String, Any}(
+    "template" => "work_scheduling",
+    "indexes" => Dict{String, Any}(
+        "days" => Dict{String, Any}("type" => "date_range", "start" => "2025-07-01", "end" => "2025-07-02"),
+        "candidates" => Dict{String, Any}("type" => "list", "values" => ["Alice", "Bob"]),
+        "skills" => Dict{String, Any}("type" => "list", "values" => ["kitchen"])
+    ),
+    "parameters" => Dict{String, Any}(
+        "demand" => Dict{String, Any}(
+            "type" => "table",
+            "schema" => ["scenario", "day", "skill", "value"],
+            "source" => Dict{String, Any}("type" => "override", "data" => Any[
+                Any["base", "2025-07-01", "kitchen", 1],
+                Any["base", "2025-07-02", "kitchen", 1]
+            ])
+        ),
+        "candidate_skills" => Dict{String, Any}(
+            "type" => "table",
+            "schema" => ["candidate", "skill", "has_skill"],
+            "source" => Dict{String, Any}("type" => "override", "data" => Any[
+                Any["Alice", "kitchen", true],
+                Any["Bob", "kitchen", true]
+            ])
+        ),
+        "cost_month" => Dict{String, Any}(
+            "type" => "dict",
+            "key" => "candidate",
+            "source" => Dict{String, Any}("type" => "override", "data" => Dict{String, Any}("Alice" => 3000, "Bob" => 4000))
+        )
+    ),
+    "options" => Dict{String, Any}("max_daily_assignments" => 1)
+)
+
+# Nested dicts are merged, anything else in overrides replaces the base value
+merge_config(base::AbstractDict, overrides::AbstractDict) = mergewith(merge_config, base, overrides)
+merge_config(base, override) = override
+
+# A fresh copy of the kitchen config with the given sections changed
+kitchen_config(overrides::AbstractDict=Dict{String, Any}()) = merge_config(deepcopy(KITCHEN_CONFIG), overrides)
+
 @testset "SchedulingDSL.jl" begin
     @testset "ModelSpec Tests" begin
         # Test DateRangeIndex
@@ -66,6 +108,17 @@ using SchedulingDSL
         @test haskey(spec.indexes, :days)
         @test haskey(spec.indexes, :candidates)
         @test spec.options[:max_daily_assignments] == 2
+
+        # Test weighted objective lists
+        config_dict["overrides"] = Dict(
+            "objective" => [
+                Dict("name" => "cost", "function" => "minimize_cost", "weight" => 0.25),
+                Dict("name" => "fairness", "function" => "balance_workload")
+            ]
+        )
+        weighted_spec = parse_config_dict(config_dict)
+        @test [o.weight for o in weighted_spec.overrides[:objective]] == [0.25, 1.0]
+        @test SchedulingDSL.spec_to_dict(weighted_spec)["overrides"]["objective"][1]["weight"] == 0.25
     end
     
     @testset "Template Registry Tests" begin
@@ -87,6 +140,481 @@ using SchedulingDSL
         
         register_constraint!("dummy_constraint", dummy_constraint)
         @test "dummy_constraint" in list_constraints()
+        
+        # Test argument schemas exposed for discovery
+        register_constraint!("dummy_window", dummy_constraint;
+            description="Dummy window",
+            args=[ArgumentSpec("start_time", "hour"; default=9, min=0, max=24)])
+        described = only(filter(c -> c["name"] == "dummy_window", describe_constraints()))
+        @test described["description"] == "Dummy window"
+        @test described["args"][1]["name"] == "start_time"
+        @test described["args"][1]["type"] == "hour"
+        @test described["args"][1]["default"] == 9
+        @test described["args"][1]["max"] == 24
+    end
+    
+    @testset "Solve Metrics Tests" begin
+        config_dict = kitchen_config()
+        solution = solve_model(build_model(parse_config_dict(config_dict)))
+        metrics = solution["metrics"]
+        @test solution["status"] == "OPTIMAL"
+        @test solution["primal_status"] == "FEASIBLE_POINT"
+        @test metrics["coverage_rate"] == 100.0
+        @test metrics["shortfall_count"] == 0
+        @test length(metrics["coverage"]) == 2
+        @test metrics["total_cost"] == 3000
+        
+        # Only Alice is hired, working one of her one-per-day slots each day
+        alice = only(filter(member -> member["candidate"] == "Alice", metrics["staff"]))
+        @test alice["hired"]
+        @test alice["utilization"] == 100.0
+        @test metrics["staff_utilization"] == 100.0
+    end
+    
+    @testset "Infeasibility Diagnosis Tests" begin
+        # 3 needed, only 2 skilled staff
+        config_dict = kitchen_config()
+        spec = apply_config_patch(parse_config_dict(config_dict), ConfigPatch("replace", ["parameters", "demand"], Any[
+            Any["base", "2025-07-01", "kitchen", 3],
+            Any["base", "2025-07-02", "kitchen", 1]
+        ]))
+        model = build_model(spec)
+        infeasible = solve_model(model)
+        @test infeasible["status"] in ("INFEASIBLE", "INFEASIBLE_OR_UNBOUNDED")
+        @test infeasible["primal_status"] != "FEASIBLE_POINT"
+        
+        diagnosis = diagnose_infeasibility(model)
+        @test diagnosis["status"] == "diagnosed"
+        culprit = only(diagnosis["culprits"])
+        @test culprit["key"] == "demand:base:2025-07-01:kitchen"
+        @test culprit["message"] == "kitchen demand on 2025-07-01 needs 3 but only 2 skilled staff are available"
+        @test culprit["relaxation"]["patches"][1]["value"][1][4] == 2
+    end
+    
+    @testset "Solve Job Tests" begin
+        config_dict = kitchen_config()
+        solution = solve_model(build_model(parse_config_dict(config_dict)))
+        
+        job = SchedulingDSL.start_solve_job("metrics_model") do monitor
+            solve_model(build_model(parse_config_dict(config_dict)); monitor=monitor)
+        end
+        @test startswith(job.id, "job_")
+        @test SchedulingDSL.get_solve_job(job.id) === job
+        timedwait(() -> SchedulingDSL.is_finished(job), 60.0)
+        @test job.status == "completed"
+        @test job.result["objective_value"] ≈ solution["objective_value"]
+        @test SchedulingDSL.job_to_dict(job)["result"]["status"] == "OPTIMAL"
+
+        failing = SchedulingDSL.start_solve_job(monitor -> error("no solver"), "metrics_model")
+        timedwait(() -> SchedulingDSL.is_finished(failing), 10.0)
+        @test failing.status == "failed"
+        @test occursin("no solver", failing.error)
+
+        # Cancelling a finished job leaves it as it was
+        @test SchedulingDSL.cancel_solve_job!(job).status == "completed"
+
+        # A cancel that arrives before solving starts ends the job as cancelled
+        early = SchedulingDSL.start_solve_job("metrics_model") do monitor
+            timedwait(() -> monitor.cancel_requested[], 10.0)
+            solve_model(build_model(parse_config_dict(config_dict)); monitor=monitor)
+        end
+        SchedulingDSL.cancel_solve_job!(early)
+        timedwait(() -> SchedulingDSL.is_finished(early), 10.0)
+        @test early.status == "cancelled"
+        @test early.result === nothing
+        @test early.error === nothing
+
+        # A solve that finishes despite the cancel still counts as completed
+        late = SchedulingDSL.start_solve_job("metrics_model") do monitor
+            timedwait(() -> monitor.cancel_requested[], 10.0)
+            Dict{String, Any}("status" => "OPTIMAL")
+        end
+        SchedulingDSL.cancel_solve_job!(late)
+        timedwait(() -> SchedulingDSL.is_finished(late), 10.0)
+        @test late.status == "completed"
+
+        # One solve per model at a time
+        @test SchedulingDSL.begin_solve!("metrics_model")
+        @test !SchedulingDSL.begin_solve!("metrics_model")
+        @test SchedulingDSL.begin_solve!("other_model")
+        SchedulingDSL.end_solve!("metrics_model")
+        SchedulingDSL.end_solve!("other_model")
+        @test SchedulingDSL.begin_solve!("metrics_model")
+        SchedulingDSL.end_solve!("metrics_model")
+    end
+    
+    @testset "Solver Settings Tests" begin
+        # Settings are kept in options.solver
+        @test solver_settings(nothing)["solver"] == "highs"
+        settings = solver_settings(Dict("solver" => "HiGHS", "time_limit" => 30, "seed" => 7))
+        @test settings == Dict{String, Any}("solver" => "highs", "time_limit" => 30.0, "seed" => 7)
+        @test_throws ArgumentError solver_settings(Dict("solver" => "gurobi"))
+        @test_throws ArgumentError solver_settings(Dict("threads" => 1.5))
+        @test_throws ArgumentError solver_settings(Dict("node_limit" => 10))
+        
+        config_dict = kitchen_config()
+        solution = solve_model(build_model(parse_config_dict(config_dict)))
+        cbc_spec = apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("replace", ["options", "solver"], Dict("solver" => "cbc", "seed" => 7, "time_limit" => 60)))
+        cbc_solution = solve_model(build_model(cbc_spec))
+        @test cbc_solution["status"] == "OPTIMAL"
+        @test cbc_solution["objective_value"] ≈ solution["objective_value"]
+        @test cbc_solution["solver_settings"]["solver"] == "cbc"
+        @test_throws ArgumentError apply_config_patch(cbc_spec,
+            ConfigPatch("replace", ["options", "solver"], Dict("solver" => "gurobi")))
+    end
+    
+    @testset "Pinned Assignment Tests" begin
+        # Bob is kept on day one, so hiring only Bob is cheapest
+        config_dict = kitchen_config()
+        pin = Dict("name" => "pin_Bob_2025-07-01_kitchen", "function" => "fix_assignment",
+                   "args" => Dict("candidate" => "Bob", "day" => "2025-07-01", "skill" => "kitchen", "assigned" => true))
+        pinned_spec = apply_config_patch(parse_config_dict(config_dict), ConfigPatch("replace", ["overrides", "constraints"], [pin]))
+        pinned_solution = solve_model(build_model(pinned_spec))
+        @test pinned_solution["status"] == "OPTIMAL"
+        @test pinned_solution["metrics"]["total_cost"] == 4000
+
+        @test isempty(pinned_solution["warnings"])
+
+        # Pins outside the current indexes are skipped with a warning
+        stale_pin = Dict("name" => "pin", "function" => "fix_assignment",
+                         "args" => Dict("candidate" => "Bob", "day" => "2025-08-01", "skill" => "kitchen"))
+        stale_solution = solve_model(build_model(apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("replace", ["overrides", "constraints"], [pin, stale_pin]))))
+        @test stale_solution["metrics"]["total_cost"] == 4000
+        @test occursin("outside the planning horizon", only(stale_solution["warnings"]))
+
+        bad_pin = Dict("name" => "pin", "function" => "fix_assignment",
+                       "args" => Dict("candidate" => "Bob", "day" => "someday", "skill" => "kitchen"))
+        @test_throws Exception build_model(apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("replace", ["overrides", "constraints"], [bad_pin])))
+    end
+    
+    @testset "Labelled Variable Tests" begin
+        # Variables come back with the labels of their axes
+        solution = solve_model(build_model(parse_config_dict(kitchen_config())))
+        assign = solution["variables"]["assign"]
+        @test assign["dims"] == ["candidates", "days", "skills"]
+        @test assign["coords"]["days"] == ["2025-07-01", "2025-07-02"]
+        @test assign["values"][1][2][1] ≈ 1.0  # Alice, 2025-07-02, kitchen
+        @test assign["values"][2][2][1] ≈ 0.0
+        @test solution["variables"]["hire"]["dims"] == ["candidates"]
+        @test solution["variables"]["hire"]["values"] ≈ [1.0, 0.0]
+    end
+    
+    @testset "Shift Tests" begin
+        shift_index = Dict{String, Any}("type" => "shifts", "values" => Any[
+            Dict{String, Any}("name" => "early", "start" => "06:00", "end" => "14:00"),
+            Dict{String, Any}("name" => "late", "start" => 14, "duration" => 8),
+            Dict{String, Any}("name" => "night", "start" => "22:00", "end" => "06:00")
+        ])
+        shifts = SchedulingDSL.parse_index(shift_index)
+        @test shifts isa ShiftIndex
+        @test [s.duration for s in shifts.shifts] == [480, 480, 480]
+        @test SchedulingDSL.shift_hour_slots(shifts.shifts[3])[3] == (1, 0)
+        @test SchedulingDSL.index_to_dict(shifts)["values"][3]["end"] == "06:00"
+        @test SchedulingDSL.parse_index(SchedulingDSL.index_to_dict(shifts)).shifts == shifts.shifts
+        @test_throws ArgumentError SchedulingDSL.parse_index(Dict("type" => "shifts", "values" => [Dict("name" => "x", "start" => "9am", "end" => "17:00")]))
+        @test_throws ArgumentError SchedulingDSL.parse_index(Dict("type" => "shifts", "values" => [Dict("name" => "x", "start" => "09:00")]))
+
+        # Hourly demand: someone in the kitchen at 08:00 both days and at 15:00 on the first
+        config_dict = kitchen_config(Dict{String, Any}(
+            "indexes" => Dict{String, Any}("shifts" => shift_index),
+            "parameters" => Dict{String, Any}(
+                "demand" => Dict{String, Any}(
+                    "schema" => ["scenario", "day", "hour", "skill", "value"],
+                    "source" => Dict{String, Any}("type" => "override", "data" => Any[
+                        Any["base", "2025-07-01", 8, "kitchen", 1],
+                        Any["base", "2025-07-01", 15, "kitchen", 1],
+                        Any["base", "2025-07-02", 8, "kitchen", 1]
+                    ])
+                )
+            ),
+            "options" => Dict{String, Any}("max_daily_assignments" => 2)
+        ))
+
+        solution = solve_model(build_model(parse_config_dict(config_dict)))
+        metrics = solution["metrics"]
+        @test solution["status"] == "OPTIMAL"
+        @test metrics["shortfall_count"] == 0
+        @test [slot["hour"] for slot in metrics["coverage"]] == [8, 15, 8]
+        # One kitchen shift per person a day, so both are needed on day one
+        @test metrics["total_cost"] == 7000
+        @test length(metrics["schedule"]) == 3
+        @test metrics["total_hours"] == 24.0
+        late = only(filter(entry -> entry["start"] == "2025-07-01T14:00:00", metrics["schedule"]))
+        @test late["shift"] == "late"
+        @test late["end"] == "2025-07-01T22:00:00"
+
+        # The night shift starting the day before covers early hours
+        night = only(filter(s -> s.name == "night", shifts.shifts))
+        days = [Date(2025, 7, 1), Date(2025, 7, 2)]
+        @test (Date(2025, 7, 1), "night") in SchedulingDSL.shifts_covering(shifts.shifts, days, Date(2025, 7, 2), 3)
+        @test isempty(SchedulingDSL.shifts_covering([night], days, Date(2025, 7, 1), 3))
+
+        # Time windows keep people to the shifts inside them
+        config_dict["overrides"] = Dict{String, Any}("constraints" => [
+            Dict("name" => "alice_mornings", "function" => "time_window",
+                 "args" => Dict("candidate" => "Alice", "start_time" => 6, "end_time" => 14))
+        ])
+        windowed = solve_model(build_model(parse_config_dict(config_dict)))
+        @test windowed["status"] == "OPTIMAL"
+        @test all(entry -> entry["shift"] == "early", filter(entry -> entry["candidate"] == "Alice", windowed["metrics"]["schedule"]))
+
+        # Hourly demand needs shifts to cover it
+        delete!(config_dict["indexes"], "shifts")
+        @test_throws ArgumentError build_model(parse_config_dict(config_dict))
+    end
+
+    @testset "Scenario Tests" begin
+        # One cook a day in the base scenario, two on day one with high demand
+        config_dict = kitchen_config(Dict{String, Any}(
+            "indexes" => Dict{String, Any}(
+                "scenarios" => Dict{String, Any}("type" => "list", "values" => ["base", "high_demand"])
+            ),
+            "parameters" => Dict{String, Any}(
+                "demand" => Dict{String, Any}(
+                    "source" => Dict{String, Any}("type" => "override", "data" => Any[
+                        Any["base", "2025-07-01", "kitchen", 1],
+                        Any["base", "2025-07-02", "kitchen", 1],
+                        Any["high_demand", "2025-07-01", "kitchen", 2],
+                        Any["high_demand", "2025-07-02", "kitchen", 1]
+                    ])
+                )
+            ),
+            "options" => Dict{String, Any}(
+                "risk_measure" => "expected",
+                "scenario_probabilities" => Dict{String, Any}("base" => 0.9, "high_demand" => 0.1),
+                "recourse_premium" => 3
+            )
+        ))
+
+        # Calling Bob in costs 3 * 4000 / 2 days, but only in one case out of ten
+        solution = solve_model(build_model(parse_config_dict(config_dict)))
+        metrics = solution["metrics"]
+        @test solution["status"] == "OPTIMAL"
+        @test solution["objective_value"] ≈ 3600
+        @test metrics["total_cost"] == 3000
+        @test metrics["shortfall_count"] == 0
+        @test length(metrics["coverage"]) == 4
+        high = only(filter(result -> result["scenario"] == "high_demand", metrics["scenarios"]))
+        @test high["call_ins"] == 1
+        @test high["recourse_cost"] ≈ 6000
+        @test high["coverage_rate"] == 100.0
+        @test high["probability"] ≈ 0.1
+        call_in = only(filter(entry -> entry["stage"] == "recourse", metrics["schedule"]))
+        @test (call_in["candidate"], call_in["day"], call_in["scenario"]) == ("Bob", "2025-07-01", "high_demand")
+        @test metrics["risk"]["measure"] == "expected"
+        @test metrics["risk"]["expected_cost"] ≈ 3600
+        @test metrics["risk"]["cvar"] ≈ 9000
+        @test solution["variables"]["recourse"]["dims"] == ["candidates", "days", "skills", "scenarios"]
+
+        # CVaR only weighs the worst tenth, where hiring both is cheaper
+        cvar_spec = apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("merge", ["options", "risk_measure"], "cvar"))
+        cvar_metrics = solve_model(build_model(cvar_spec))["metrics"]
+        @test cvar_metrics["total_cost"] == 7000
+        @test all(result -> result["call_ins"] == 0, cvar_metrics["scenarios"])
+        @test cvar_metrics["risk"]["cvar"] ≈ 7000
+        @test SchedulingDSL.conditional_value_at_risk([9000.0, 3000.0], [0.1, 0.9], 0.8) ≈ 6000
+
+        # Without a risk measure the plan alone covers every scenario
+        robust_spec = apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("delete", ["options", "risk_measure"], nothing))
+        robust_metrics = solve_model(build_model(robust_spec))["metrics"]
+        @test robust_metrics["total_cost"] == 7000
+        @test robust_metrics["risk"] === nothing
+        @test [result["total_cost"] for result in robust_metrics["scenarios"]] == [7000, 7000]
+
+        # Call-ins cost the same under any objective: balancing workload
+        # alone still staffs the base days with the plan
+        balanced_spec = apply_config_patch(parse_config_dict(config_dict), ConfigPatch("replace", ["overrides", "objective"],
+            [Dict("name" => "balance", "function" => "balance_workload")]))
+        balanced_metrics = solve_model(build_model(balanced_spec))["metrics"]
+        base = only(filter(result -> result["scenario"] == "base", balanced_metrics["scenarios"]))
+        @test base["call_ins"] == 0
+
+        # Pinning Bob off day one also rules out calling him in, so high
+        # demand can no longer be met
+        off_pin = Dict("name" => "pin_Bob_2025-07-01_kitchen", "function" => "fix_assignment",
+                       "args" => Dict("candidate" => "Bob", "day" => "2025-07-01", "skill" => "kitchen", "assigned" => false))
+        off_spec = apply_config_patch(parse_config_dict(config_dict), ConfigPatch("replace", ["overrides", "constraints"], [off_pin]))
+        @test solve_model(build_model(off_spec))["status"] in string.(SchedulingDSL.INFEASIBLE_STATUSES)
+
+        bad_spec = apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("merge", ["options", "risk_measure"], "worst_case"))
+        @test_throws ArgumentError build_model(bad_spec)
+
+        # Call-ins of a candidate without a cost can't be priced
+        unpriced_spec = apply_config_patch(parse_config_dict(config_dict),
+            ConfigPatch("replace", ["parameters", "cost_month"], Dict("Alice" => 3000)))
+        @test_throws ArgumentError build_model(unpriced_spec)
+    end
+
+    @testset "Model Store Tests" begin
+        store = mktempdir()
+        SchedulingDSL.open_model_store!(store)
+        
+        config = Dict{String, Any}(
+            "template" => "work_scheduling",
+            "indexes" => Dict{String, Any}("candidates" => Dict{String, Any}("type" => "list", "values" => ["Alice", "Bob"])),
+            "options" => Dict{String, Any}("max_daily_assignments" => 2)
+        )
+        SchedulingDSL.ACTIVE_MODELS["model_41"] = Dict{String, Any}(
+            "id" => "model_41",
+            "name" => "saved",
+            "spec" => parse_config_dict(config),
+            "model" => nothing,
+            "solution" => Dict{String, Any}("status" => "OPTIMAL", "objective_value" => 3000.0),
+            "created_at" => SchedulingDSL.Dates.now(),
+            "status" => "solved",
+            "config" => config,
+            "patches" => Any[Dict{String, Any}("operation" => "merge", "path" => ["options", "max_daily_assignments"], "value" => 3)]
+        )
+        SchedulingDSL.save_model("model_41")
+        @test isfile(joinpath(store, "model_41.json"))
+        
+        # Test restoring after a restart: the patches are replayed on the config
+        empty!(SchedulingDSL.ACTIVE_MODELS)
+        SchedulingDSL.open_model_store!(store)
+        restored = SchedulingDSL.ACTIVE_MODELS["model_41"]
+        @test restored["name"] == "saved"
+        @test restored["status"] == "solved"
+        @test restored["spec"].options[:max_daily_assignments] == 3
+        @test restored["solution"]["objective_value"] == 3000.0
+        @test SchedulingDSL.MODEL_COUNTER[] >= 41
+        
+        # Test solutions stored with positional variables are labelled on restore
+        positional = Dict{String, Any}("variables" => Dict{String, Any}(
+            "assign" => Any[Any[1.0, 0.0], Any[0.0, 1.0]],
+            "other" => Any[2.0, 3.0]
+        ))
+        SchedulingDSL.label_positional_variables!(positional, restored["spec"])
+        @test positional["variables"]["other"]["dims"] == ["dim1"]
+        @test positional["variables"]["other"]["values"] == [2.0, 3.0]
+        # assign has three axes, so two levels of nesting no longer match
+        @test positional["variables"]["assign"]["dims"] == ["dim1", "dim2"]
+        hired = SchedulingDSL.label_positional_variables!(
+            Dict{String, Any}("variables" => Dict{String, Any}("hire" => Any[1.0, 0.0])), restored["spec"])
+        @test hired["variables"]["hire"]["coords"]["candidates"] == ["Alice", "Bob"]
+        
+        # Test reopened controls show the last value patched onto them
+        slider = Dict{String, Any}("maps_to" => "parameters.cost_month.multiplier", "default" => 1.0)
+        patches = Any[
+            Dict{String, Any}("operation" => "merge", "path" => ["parameters", "cost_month", "multiplier"], "value" => 1.5),
+            Dict{String, Any}("operation" => "merge", "path" => ["options", "max_daily_assignments"], "value" => 3)
+        ]
+        @test SchedulingDSL.current_control_value(slider, patches) == 1.5
+        @test SchedulingDSL.current_control_value(slider, Any[]) == 1.0
+        
+        # Test deselected candidates stay selectable
+        narrowed = apply_config_patch(restored["spec"], ConfigPatch("merge", ["indexes", "candidates"], ["Alice"]))
+        candidates = only(filter(c -> c["maps_to"] == "indexes.candidates",
+            create_ui_spec(narrowed; original=restored["spec"])["controls"]))
+        @test candidates["default"] == ["Alice"]
+        @test candidates["options"] == ["Alice", "Bob"]
+        
+        # Test the date range shown in model listings
+        @test SchedulingDSL.date_range_summary(restored["spec"]) === nothing
+        dated = apply_config_patch(restored["spec"], ConfigPatch("merge", ["indexes", "days"],
+            Dict("type" => "date_range", "start" => "2025-07-01", "end" => "2025-07-31")))
+        @test SchedulingDSL.date_range_summary(dated) == Dict("type" => "date_range", "start" => "2025-07-01", "end" => "2025-07-31")
+        
+        SchedulingDSL.remove_saved_model("model_41")
+        @test !isfile(joinpath(store, "model_41.json"))
+        
+        empty!(SchedulingDSL.ACTIVE_MODELS)
+        SchedulingDSL.MODEL_STORE[] = nothing
+    end
+    
+    @testset "Config Import Tests" begin
+        config_text = read(joinpath(@__DIR__, "..", "config", "example.yaml"), String)
+        config = SchedulingDSL.ImportedFile("example.yaml", config_text)
+        files = [SchedulingDSL.ImportedFile(name, read(joinpath(@__DIR__, "..", "data", name), String))
+                 for name in ("demand.csv", "candidate_skills.csv", "cost_month.json")]
+        
+        # Test uploaded data files are inlined as override data
+        imported, errors, warnings = SchedulingDSL.import_config(config, files)
+        @test isempty(errors)
+        @test imported["parameters"]["demand"]["source"]["type"] == "override"
+        @test imported["parameters"]["demand"]["source"]["data"][1] == ["base", "2025-07-01", "kitchen", 2]
+        @test imported["parameters"]["cost_month"]["source"]["data"]["Alice"] == 3500
+        @test parse_config_dict(imported).indexes[:days].start == Date(2025, 7, 1)
+        
+        # Test a missing data file is reported on the line that references it
+        _, errors, _ = SchedulingDSL.import_config(config, files[2:end])
+        @test length(errors) == 1
+        @test errors[1].path == ["parameters", "demand", "source", "path"]
+        @test errors[1].line == findfirst(l -> occursin("data/demand.csv", l), split(config_text, '\n'))
+        
+        # Test errors in indexes and overrides are all collected
+        broken = replace(config_text, "end: 2025-07-30" => "end: 2025-06-30", "\"max_consecutive_days\"" => "\"max_consecutive\"")
+        _, errors, _ = SchedulingDSL.import_config(SchedulingDSL.ImportedFile("example.yaml", broken), files)
+        @test [join(string.(e.path), ".") for e in errors] == ["indexes.days", "overrides.constraints.2.function"]
+        @test errors[2].line == findfirst(l -> occursin("max_consecutive\"", l), split(broken, '\n'))
+        
+        # Test syntax errors carry a line number
+        _, errors, _ = SchedulingDSL.import_config(SchedulingDSL.ImportedFile("bad.json", "{\n  \"template\": \"work_scheduling\",\n  oops\n}"))
+        @test length(errors) == 1
+        @test errors[1].line == 3
+        
+        # Test the effective config keeps patched data and exports as YAML
+        spec = apply_config_patch(parse_config_dict(imported), ConfigPatch("merge", ["parameters", "cost_month"], Dict("Alice" => 4000)))
+        exported = SchedulingDSL.effective_config(spec)
+        @test exported["parameters"]["cost_month"]["source"]["data"]["Alice"] == 4000
+        yaml = SchedulingDSL.config_to_yaml(exported)
+        @test occursin("template: work_scheduling", yaml)
+        @test parse_config_dict(SchedulingDSL.YAML.load(yaml)).parameters[:cost_month].source.data["Alice"] == 4000
+    end
+    
+    @testset "Config Edit Tests" begin
+        config = Dict{String, Any}(
+            "template" => "work_scheduling",
+            "indexes" => Dict{String, Any}("candidates" => Dict{String, Any}("type" => "list", "values" => ["Alice", "Bob"])),
+            "parameters" => Dict{String, Any}("cost_month" => Dict{String, Any}(
+                "type" => "dict", "key" => "candidate",
+                "source" => Dict{String, Any}("type" => "override", "data" => Dict("Alice" => 3000, "Bob" => 3200))
+            )),
+            "options" => Dict{String, Any}("max_daily_assignments" => 2, "horizon" => "month")
+        )
+        spec = parse_config_dict(config)
+        current = SchedulingDSL.effective_config(spec)
+        edit(edited) = SchedulingDSL.config_edit_patches(current, SchedulingDSL.ImportedFile("config.json", SchedulingDSL.JSON3.write(edited)))
+        
+        # Test the exported YAML round-trips without changes
+        patches, _, errors, _ = SchedulingDSL.config_edit_patches(current,
+            SchedulingDSL.ImportedFile("config.yaml", SchedulingDSL.config_to_yaml(current)))
+        @test isempty(errors)
+        @test isempty(patches)
+        
+        # Test each changed entry becomes a patch with the value it replaces
+        edited = deepcopy(current)
+        edited["options"]["max_daily_assignments"] = 3
+        delete!(edited["options"], "horizon")
+        edited["parameters"]["cost_month"]["source"]["data"]["Alice"] = 3500
+        edited["overrides"] = Dict("constraints" => [Dict("name" => "rest", "function" => "min_rest_days", "args" => Dict("min_rest" => 1))])
+        patches, old_values, errors, _ = edit(edited)
+        @test isempty(errors)
+        @test [p["path"] for p in patches] == [["parameters", "cost_month"], ["options", "horizon"],
+                                              ["options", "max_daily_assignments"], ["overrides", "constraints"]]
+        @test [p["operation"] for p in patches] == ["replace", "delete", "replace", "replace"]
+        @test old_values[2] == "month"
+        @test old_values[4] === nothing
+        
+        # Test the patches reproduce the edited config
+        for p in patches
+            spec = apply_config_patch(spec, ConfigPatch(p["operation"], p["path"], p["value"]))
+        end
+        @test spec.options == Dict{Symbol, Any}(:max_daily_assignments => 3)
+        @test spec.parameters[:cost_month].data["Alice"] == 3500
+        @test spec.overrides[:constraints][1].function_name == "min_rest_days"
+        
+        # Test changes patches cannot express are errors
+        edited = deepcopy(current)
+        edited["parameters"]["cost_month"]["key"] = "person"
+        patches, _, errors, _ = edit(edited)
+        @test isempty(patches)
+        @test errors[1].path == ["parameters", "cost_month", "key"]
     end
     
     @testset "Config Patching Tests" begin
@@ -99,5 +627,43 @@ using SchedulingDSL
         
         @test updated_spec.options[:max_daily_assignments] == 3
         @test spec.options != updated_spec.options  # Original unchanged
+        
+        # Test replace and delete, used to revert patches on undo
+        replaced_spec = apply_config_patch(updated_spec, ConfigPatch("replace", ["options", "max_daily_assignments"], 1))
+        @test replaced_spec.options[:max_daily_assignments] == 1
+        
+        deleted_spec = apply_config_patch(replaced_spec, ConfigPatch("delete", ["options", "max_daily_assignments"], nothing))
+        @test !haskey(deleted_spec.options, :max_daily_assignments)
+
+        # Test constraint overrides
+        window = Dict("name" => "alice_hours", "function" => "time_window",
+                      "args" => Dict("candidate" => "Alice", "start_time" => 9, "end_time" => 13))
+        rest = Dict("name" => "rest", "function" => "min_rest_days", "args" => Dict("min_rest" => 1))
+
+        with_window = apply_config_patch(spec, ConfigPatch("replace", ["overrides", "constraints"], [window]))
+        @test length(with_window.overrides[:constraints]) == 1
+        @test with_window.overrides[:constraints][1].args[:end_time] == 13
+
+        merged = apply_config_patch(with_window, ConfigPatch("merge", ["overrides", "constraints"], [rest]))
+        @test [o.name for o in merged.overrides[:constraints]] == ["alice_hours", "rest"]
+
+        removed = apply_config_patch(merged, ConfigPatch("delete", ["overrides", "constraints", "alice_hours"], nothing))
+        @test [o.name for o in removed.overrides[:constraints]] == ["rest"]
+
+        cleared = apply_config_patch(removed, ConfigPatch("delete", ["overrides", "constraints"], nothing))
+        @test !haskey(cleared.overrides, :constraints)
+
+        # Test the full-table patches the data grids send
+        demand_spec = parse_config_dict(Dict(
+            "template" => "work_scheduling",
+            "parameters" => Dict("demand" => Dict(
+                "type" => "table", "schema" => ["scenario", "day", "skill", "value"],
+                "source" => Dict("type" => "override", "data" => [["base", "2025-07-01", "kitchen", 2]])
+            ))
+        ))
+        rows = [["base", "2025-07-01", "kitchen", 3], ["base", "2025-07-02", "kitchen", 1]]
+        edited = apply_config_patch(demand_spec, ConfigPatch("replace", ["parameters", "demand"], rows))
+        @test SchedulingDSL.get_parameter_data(edited, :demand).value == [3, 1]
+        @test SchedulingDSL.table_rows(SchedulingDSL.get_parameter_data(edited, :demand)) == rows
     end
 end
\ No newline at end of file
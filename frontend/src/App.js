@@ -1,14 +1,26 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Layout, Typography, Card, Space, message } from 'antd';
 import NaturalLanguageInput from './components/NaturalLanguageInput';
 import DynamicControls from './components/DynamicControls';
 import VisualizationPanel from './components/VisualizationPanel';
 import MetricsPanel from './components/MetricsPanel';
+import ChangePreview from './components/ChangePreview';
+import HistoryControls from './components/HistoryControls';
+import ScenarioWorkspace from './components/ScenarioWorkspace';
+import LLMSettings from './components/LLMSettings';
+import InfeasibilityPanel from './components/InfeasibilityPanel';
+import SolveProgress from './components/SolveProgress';
+import ModelLibrary from './components/ModelLibrary';
+import ConfigEditor from './components/ConfigEditor';
+import ParameterGrids from './components/ParameterGrids';
+import usePatchHistory from './hooks/usePatchHistory';
 import { ApiService } from './services/ApiService';
 import { GeminiService } from './services/GeminiService';
+import { buildChangeProposal, createPatchBatch, getValueAtPath } from './utils/patches';
+import { describeModelContext } from './services/nlContext';
 import './App.css';
 
-const { Header, Content } = Layout;
+const { Header, Content, Sider } = Layout;
 const { Title, Text } = Typography;
 
 // Example configuration for demo
@@ -96,48 +108,154 @@ const DEMO_CONFIG = {
     }
   },
   options: {
-    max_daily_assignments: 2
+    max_daily_assignments: 2,
+    risk_measure: "expected",
+    scenario_probabilities: { base: 0.8, high_demand: 0.2 }
   },
   overrides: {
     objective: [{
       name: "cost_optimization",
-      function: "minimize_cost_objective",
+      function: "minimize_cost",
       args: { multiplier: 1.0 }
     }]
   }
 };
 
+// Stable fallback so panels keyed on the override lists do not reset each render
+const NO_OVERRIDES = [];
+
+// The model reopened on the next page load
+const LAST_MODEL_STORAGE_KEY = 'schedulingdsl.lastModel';
+
+// A stored model with its UI spec, controls at the server's current values
+// and last solution, ready to show
+const fetchModelView = async (id, variantName) => {
+  const [model, ui] = await Promise.all([
+    ApiService.getModel(id),
+    ApiService.createUISpec(id, "")
+  ]);
+  
+  const controls = {};
+  ui.controls.forEach(control => {
+    controls[control.maps_to] = control.value ?? control.default;
+  });
+  
+  let solution = null;
+  if (model.status === 'solved') {
+    try {
+      solution = await ApiService.getSolution(id);
+    } catch (error) {
+      console.warn('Could not load the saved solution:', error);
+    }
+  }
+  
+  return { model, ui, controls, solution, name: variantName || model.name };
+};
+
+// The model from the last visit if the server still has it, otherwise a
+// new model from the demo configuration
+const fetchStartupView = async () => {
+  const lastModelId = window.localStorage.getItem(LAST_MODEL_STORAGE_KEY);
+  if (lastModelId) {
+    try {
+      return { ...await fetchModelView(lastModelId), reopened: true };
+    } catch (error) {
+      console.warn('Could not reopen the last model:', error);
+    }
+  }
+  
+  // Create model with demo configuration
+  const model = await ApiService.createModel(DEMO_CONFIG);
+  return { ...await fetchModelView(model.model_id, 'baseline'), reopened: false };
+};
+
 function App() {
   const [modelId, setModelId] = useState(null);
   const [uiSpec, setUiSpec] = useState(null);
   const [solution, setSolution] = useState(null);
   const [loading, setLoading] = useState(false);
   const [controls, setControls] = useState({});
+  const [pendingChanges, setPendingChanges] = useState(null);
+  const [variants, setVariants] = useState([]);
+  const [registry, setRegistry] = useState(null);
+  const [modelConfig, setModelConfig] = useState(null);
+  const [solveJob, setSolveJob] = useState(null);
+  const [solveProgress, setSolveProgress] = useState([]);
+  const [cancelling, setCancelling] = useState(false);
+  // Latest visualization_focus from a query; a new object each time so
+  // asking for the same focus again re-applies it
+  const [visualizationFocus, setVisualizationFocus] = useState(null);
+  // Solver settings edited since the last solve; applied as an undoable
+  // options.solver patch when the model is solved
+  const [solverSettingsDraft, setSolverSettingsDraft] = useState(null);
+  const history = usePatchHistory(modelId, setControls);
 
   useEffect(() => {
     initializeDemo();
   }, []);
 
+  useEffect(() => {
+    if (modelId) {
+      window.localStorage.setItem(LAST_MODEL_STORAGE_KEY, modelId);
+    }
+    setSolverSettingsDraft(null);
+  }, [modelId]);
+
+  // Only registry entries served by the backend carry argument schemas
+  const constraintSchemas = useMemo(
+    () => (registry?.constraints || []).filter(c => typeof c === 'object'),
+    [registry]
+  );
+  const objectiveSchemas = useMemo(
+    () => (registry?.objectives || []).filter(o => typeof o === 'object'),
+    [registry]
+  );
+  const solverSettings = solverSettingsDraft || modelConfig?.options?.solver || {};
+
+  // Store drafted solver settings with the model before it is solved
+  const applySolverSettingsDraft = async () => {
+    if (!solverSettingsDraft) return;
+    await history.apply(createPatchBatch({
+      label: 'Change solver settings',
+      patches: [{ operation: 'replace', path: ['options', 'solver'], value: solverSettingsDraft }],
+      oldValues: [getValueAtPath(modelConfig, ['options', 'solver'])]
+    }));
+    setSolverSettingsDraft(null);
+  };
+
+  // Every applied, undone or redone batch changes the config on the server
+  useEffect(() => {
+    if (!modelId) return;
+    ApiService.getModel(modelId)
+      .then(model => setModelConfig(model.spec))
+      .catch(error => console.warn('Could not refresh model config:', error));
+  }, [modelId, history.past]);
+
   const initializeDemo = async () => {
     try {
       setLoading(true);
       
-      // Create model with demo configuration
-      const model = await ApiService.createModel(DEMO_CONFIG);
-      setModelId(model.model_id);
+      // What the server can configure; the NL layer falls back to its
+      // built-in list if this is unavailable
+      try {
+        setRegistry(await ApiService.getRegistry());
+      } catch (error) {
+        console.warn('Could not load the template registry:', error);
+      }
       
-      // Get UI specification
-      const ui = await ApiService.createUISpec(model.model_id, "");
-      setUiSpec(ui);
+      const view = await fetchStartupView();
+      setModelId(view.model.id);
+      setUiSpec(view.ui);
+      setControls(view.controls);
+      setSolution(view.solution);
+      setVariants([{
+        modelId: view.model.id,
+        name: view.name,
+        controls: view.controls,
+        solution: view.solution
+      }]);
       
-      // Initialize controls with default values
-      const initialControls = {};
-      ui.controls.forEach(control => {
-        initialControls[control.maps_to] = control.default;
-      });
-      setControls(initialControls);
-      
-      message.success('Demo initialized successfully!');
+      message.success(view.reopened ? `Reopened ${view.model.name}` : 'Demo initialized successfully!');
     } catch (error) {
       message.error('Failed to initialize demo: ' + error.message);
     } finally {
@@ -145,15 +263,80 @@ function App() {
     }
   };
 
+  const showModelView = (view) => {
+    setModelId(view.model.id);
+    setUiSpec(view.ui);
+    setControls(view.controls);
+    setSolution(view.solution);
+    setPendingChanges(null);
+    setVariants([{
+      modelId: view.model.id,
+      name: view.name,
+      controls: view.controls,
+      solution: view.solution
+    }]);
+  };
+
+  const handleOpenModel = async (id) => {
+    try {
+      setLoading(true);
+      const view = await fetchModelView(id);
+      showModelView(view);
+      message.success(`Opened ${view.model.name}`);
+    } catch (error) {
+      message.error('Failed to open model: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // New models start from the demo configuration
+  const handleCreateModel = async () => {
+    try {
+      setLoading(true);
+      const model = await ApiService.createModel(DEMO_CONFIG);
+      showModelView(await fetchModelView(model.model_id));
+      message.success(`Created ${model.model_id}`);
+    } catch (error) {
+      message.error('Failed to create model: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleModelRenamed = (id, name) => {
+    setVariants(prev => prev.map(variant => (
+      variant.modelId === id ? { ...variant, name } : variant
+    )));
+  };
+
+  // Deleting the open model moves on to the most recent remaining one
+  const handleModelDeleted = async (id, remainingModels) => {
+    setVariants(prev => prev.filter(variant => variant.modelId !== id));
+    if (id !== modelId) return;
+    
+    if (remainingModels.length > 0) {
+      await handleOpenModel(remainingModels[0].id);
+    } else {
+      await handleCreateModel();
+    }
+  };
+
   const handleNaturalLanguageQuery = async (query) => {
     try {
       setLoading(true);
       
+      // The live config gives the NL layer the model's real indexes and
+      // parameters, and the review step the old values
+      const model = await ApiService.getModel(modelId);
+      
       // Get current UI state for context
       const currentUIState = {
         controls: controls,
         uiSpec: uiSpec,
-        modelId: modelId
+        modelId: modelId,
+        modelConfig: model.spec,
+        registry: registry || undefined
       };
       
       // Parse natural language query using Gemini
@@ -161,47 +344,66 @@ function App() {
       
       console.log('NLP Result:', nlpResult);
       
-      // Apply UI updates directly
-      if (nlpResult.ui_updates && nlpResult.ui_updates.length > 0) {
-        const updatedControls = { ...controls };
-        
-        nlpResult.ui_updates.forEach(update => {
-          updatedControls[update.control_id] = update.value;
-          message.info(`Updated ${update.control_id}: ${update.explanation}`);
-        });
-        
-        setControls(updatedControls);
+      const proposal = buildChangeProposal(nlpResult, controls, model.spec);
+
+      // A query that only asks to look at something changes nothing that
+      // needs review, so its focus applies at once
+      if (proposal.items.length === 0 && proposal.rejected.length === 0 &&
+          proposal.visualization_focus && proposal.visualization_focus !== 'general') {
+        setVisualizationFocus({ name: proposal.visualization_focus, requestedAt: Date.now() });
+        return;
       }
+
+      // Nothing is applied yet: the user reviews the changes first
+      setPendingChanges({ ...proposal, query });
+      message.info('Review the proposed changes before applying them');
       
-      // Apply config patches to model if any
-      if (nlpResult.config_patches && nlpResult.config_patches.length > 0) {
-        await ApiService.updateModelConfig(modelId, { patches: nlpResult.config_patches });
-      }
+    } catch (error) {
+      console.error('Natural language processing error:', error);
+      message.error('Failed to process query: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApplyChanges = async (acceptedItems) => {
+    try {
+      setLoading(true);
+      
+      const uiItems = acceptedItems.filter(item => item.kind === 'control');
+      const configItems = acceptedItems.filter(item => item.kind === 'config');
+      
+      // Record accepted changes as a single undoable batch
+      await history.apply(createPatchBatch({
+        label: `"${pendingChanges.query}"`,
+        patches: configItems.map(item => item.patch),
+        oldValues: configItems.map(item => item.oldValue),
+        controlsBefore: Object.fromEntries(uiItems.map(item => [item.target, item.oldValue])),
+        controlsAfter: Object.fromEntries(uiItems.map(item => [item.target, item.newValue]))
+      }));
       
       // Update visualization focus if specified
-      if (nlpResult.visualization_focus) {
-        // Store focus for visualization component
-        setSolution(prev => ({
-          ...prev,
-          visualization_focus: nlpResult.visualization_focus
-        }));
+      if (pendingChanges.visualization_focus) {
+        setVisualizationFocus({ name: pendingChanges.visualization_focus, requestedAt: Date.now() });
       }
       
-      message.success('Query processed successfully!');
+      setPendingChanges(null);
+      message.success(`Applied ${acceptedItems.length} change(s)`);
       
     } catch (error) {
-      console.error('Natural language processing error:', error);
-      message.error('Failed to process query: ' + error.message);
+      message.error('Failed to apply changes: ' + error.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleDiscardChanges = () => {
+    setPendingChanges(null);
+    message.info('Proposed changes discarded');
+  };
+
   const handleControlChange = async (controlId, value) => {
     try {
-      const updatedControls = { ...controls, [controlId]: value };
-      setControls(updatedControls);
-      
       // Create patch for the control change
       const patch = {
         operation: "merge",
@@ -210,7 +412,14 @@ function App() {
       };
       
       // Apply patch to model
-      await ApiService.updateModelConfig(modelId, { patches: [patch] });
+      await history.apply(createPatchBatch({
+        label: `Change ${controlId}`,
+        patches: [patch],
+        oldValues: [controls[controlId]],
+        controlsBefore: { [controlId]: controls[controlId] },
+        controlsAfter: { [controlId]: value },
+        coalesceKey: controlId
+      }));
       
       message.success('Control updated successfully!');
     } catch (error) {
@@ -218,21 +427,251 @@ function App() {
     }
   };
 
+  // Config-only edits from the constraint and objective panels
+  const applyConfigPatches = async (patches, label) => {
+    try {
+      await history.apply(createPatchBatch({
+        label,
+        patches,
+        oldValues: patches.map(patch => getValueAtPath(modelConfig, patch.path))
+      }));
+      message.success(label);
+    } catch (error) {
+      message.error('Failed to update model config: ' + error.message);
+    }
+  };
+
+  // Data grid edits replace the whole parameter, so undo restores it
+  // exactly. Resolves to whether the edit was applied.
+  const handleParameterEdit = async (name, value, oldValue, label) => {
+    try {
+      await history.apply(createPatchBatch({
+        label,
+        patches: [{ operation: 'replace', path: ['parameters', name], value }],
+        oldValues: [oldValue]
+      }));
+      return true;
+    } catch (error) {
+      message.error('Failed to update parameter data: ' + error.message);
+      return false;
+    }
+  };
+
+  // Edits from the config editor, as one undoable batch. Patched options
+  // that have a control move the control along with them.
+  const handleConfigEdit = async (patches, oldValues) => {
+    const touchedControls = patches
+      .map(patch => patch.path.join('.'))
+      .filter(controlId => controlId in controls);
+    await history.apply(createPatchBatch({
+      label: 'Edit config',
+      patches,
+      // null means the entry did not exist, so undo removes it again
+      oldValues: oldValues.map(value => value ?? undefined),
+      controlsBefore: Object.fromEntries(touchedControls.map(id => [id, controls[id]])),
+      controlsAfter: Object.fromEntries(patches
+        .filter(patch => touchedControls.includes(patch.path.join('.')))
+        .map(patch => [patch.path.join('.'), patch.value]))
+    }));
+    message.success(`Applied ${patches.length} config change(s)`);
+  };
+
+  // The whole list is replaced so undo restores it exactly
+  const handleConstraintsChange = (nextConstraints, label) => applyConfigPatches(
+    [{ operation: 'replace', path: ['overrides', 'constraints'], value: nextConstraints }],
+    label
+  );
+
+  // Schedule edits become fix_assignment constraints, replacing earlier
+  // pins of the same assignment, and the model is solved around them
+  const handlePinAssignments = async (pins) => {
+    const pinName = ({ candidate, day, skill }) => `pin_${candidate}_${day}_${skill}`;
+    const names = new Set(pins.map(pinName));
+    try {
+      // The server's config rather than modelConfig, which may not have
+      // caught up with the last edit yet
+      const { spec } = await ApiService.getModel(modelId);
+      const current = spec?.overrides?.constraints;
+      const nextConstraints = [
+        ...(current || []).filter(constraint => !names.has(constraint.name)),
+        ...pins.map(pin => ({
+          name: pinName(pin),
+          function: 'fix_assignment',
+          args: { candidate: pin.candidate, day: pin.day, skill: pin.skill, assigned: pin.assigned }
+        }))
+      ];
+      await history.apply(createPatchBatch({
+        label: `Pin ${pins.length} assignment(s)`,
+        patches: [{ operation: 'replace', path: ['overrides', 'constraints'], value: nextConstraints }],
+        oldValues: [current]
+      }));
+    } catch (error) {
+      message.error('Failed to pin assignments: ' + error.message);
+      return;
+    }
+    await handleSolveModel();
+  };
+
+  const handleClearPins = () => handleConstraintsChange(
+    (modelConfig?.overrides?.constraints || []).filter(constraint => constraint.function !== 'fix_assignment'),
+    'Clear pinned assignments'
+  );
+
+  const handleUndo = async () => {
+    try {
+      const batch = await history.undo();
+      if (batch) {
+        message.info(`Undid ${batch.label}`);
+      }
+    } catch (error) {
+      message.error('Failed to undo: ' + error.message);
+    }
+  };
+
+  const handleRedo = async () => {
+    try {
+      const batch = await history.redo();
+      if (batch) {
+        message.info(`Redid ${batch.label}`);
+      }
+    } catch (error) {
+      message.error('Failed to redo: ' + error.message);
+    }
+  };
+
   const handleSolveModel = async () => {
     try {
       setLoading(true);
+      setSolveProgress([]);
+      await applySolverSettingsDraft();
       
-      // Solve the model
-      const result = await ApiService.solveModel(modelId);
+      // Solve in a background job, streaming progress until it finishes
+      const result = await ApiService.runSolveJob(modelId, {
+        onStart: setSolveJob,
+        onProgress: (event) => setSolveProgress(progress => [...progress, event])
+      });
+      // Cancelled before solving started: there is nothing to replace the current solution with
+      if (result.job_status === 'cancelled' && !result.status) {
+        message.info('Solve cancelled before it started');
+        return;
+      }
       setSolution(result);
+      // Pins that no longer fit the model were left out
+      (result.warnings || []).forEach(warning => message.warning(warning));
       
-      if (result.status === 'OPTIMAL') {
+      if (result.job_status === 'cancelled') {
+        if (result.objective_value !== null && result.objective_value !== undefined) {
+          message.info('Solve cancelled: showing the best solution found');
+        } else {
+          message.warning('Solve cancelled before a solution was found');
+        }
+      } else if (result.status === 'OPTIMAL') {
         message.success('Model solved successfully!');
+      } else if (result.diagnosis) {
+        message.error('No feasible solution: see the diagnosis for what to relax');
       } else {
         message.warning(`Model solved with status: ${result.status}`);
       }
     } catch (error) {
       message.error('Failed to solve model: ' + error.message);
+    } finally {
+      setSolveJob(null);
+      setCancelling(false);
+      setLoading(false);
+    }
+  };
+
+  const handleCancelSolve = async () => {
+    try {
+      setCancelling(true);
+      await ApiService.cancelSolveJob(solveJob.job_id);
+    } catch (error) {
+      setCancelling(false);
+      message.error('Failed to cancel solve: ' + error.message);
+    }
+  };
+
+  // One click: apply the relaxation as an undoable batch, then re-solve
+  const handleRelax = async (relaxation) => {
+    try {
+      await history.apply(createPatchBatch({
+        label: relaxation.label,
+        patches: relaxation.patches,
+        // null means the value was unset, so undo removes it again
+        oldValues: relaxation.old_values.map(value => value ?? undefined)
+      }));
+      message.info(`Applied: ${relaxation.label}`);
+    } catch (error) {
+      message.error('Failed to apply relaxation: ' + error.message);
+      return;
+    }
+    await handleSolveModel();
+  };
+
+  // The active variant's live state lives in controls/solution; the other
+  // variants keep the snapshot taken when the user switched away from them
+  const workspaceVariants = variants.map(variant => (
+    variant.modelId === modelId ? { ...variant, controls, solution } : variant
+  ));
+
+  const handleForkVariant = async (name) => {
+    try {
+      setLoading(true);
+      const fork = await ApiService.forkModel(modelId, name);
+      
+      setVariants([
+        ...workspaceVariants,
+        { modelId: fork.model_id, name, controls: { ...controls }, solution: null }
+      ]);
+      setModelId(fork.model_id);
+      setSolution(null);
+      
+      message.success(`Created variant "${name}". Controls now edit this variant.`);
+    } catch (error) {
+      message.error('Failed to fork model: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleActivateVariant = (variantId) => {
+    const target = workspaceVariants.find(variant => variant.modelId === variantId);
+    if (!target) return;
+    
+    setVariants(workspaceVariants);
+    setModelId(target.modelId);
+    setControls(target.controls);
+    setSolution(target.solution);
+    message.info(`Now editing "${target.name}"`);
+  };
+
+  const handleRemoveVariant = async (variantId) => {
+    try {
+      await ApiService.deleteModel(variantId);
+      setVariants(prev => prev.filter(variant => variant.modelId !== variantId));
+    } catch (error) {
+      message.error('Failed to delete variant: ' + error.message);
+    }
+  };
+
+  const handleSolveAllVariants = async () => {
+    try {
+      setLoading(true);
+      await applySolverSettingsDraft();
+      
+      const solved = [];
+      for (const variant of workspaceVariants) {
+        const result = await ApiService.runSolveJob(variant.modelId);
+        solved.push({ ...variant, solution: result });
+        if (variant.modelId === modelId) {
+          setSolution(result);
+        }
+      }
+      setVariants(solved);
+      
+      message.success(`Solved ${solved.length} variant(s)`);
+    } catch (error) {
+      message.error('Failed to solve variants: ' + error.message);
     } finally {
       setLoading(false);
     }
@@ -248,52 +687,181 @@ function App() {
           Natural Language Workforce Optimization
         </Text>
       </Header>
-      
-      <Content className="app-content">
-        <Space direction="vertical" size="large" style={{ width: '100%' }}>
-          {/* Natural Language Input */}
-          <Card title="Natural Language Query">
-            <NaturalLanguageInput 
-              onQuery={handleNaturalLanguageQuery}
-              loading={loading}
-            />
-          </Card>
-
-          {/* Dynamic Controls */}
-          {uiSpec && (
-            <Card title="Interactive Controls">
-              <DynamicControls
-                controls={uiSpec.controls}
-                values={controls}
-                onChange={handleControlChange}
-                onSolve={handleSolveModel}
+
+      <Layout>
+        <Sider
+          width={300}
+          theme="light"
+          collapsible
+          collapsedWidth={0}
+          breakpoint="lg"
+          className="app-sider"
+        >
+          <ModelLibrary
+            currentModelId={modelId}
+            refreshToken={`${modelId}:${solution?.status}:${history.past.length}`}
+            onOpenModel={handleOpenModel}
+            onCreateModel={handleCreateModel}
+            onModelRenamed={handleModelRenamed}
+            onModelDeleted={handleModelDeleted}
+            disabled={loading}
+          />
+        </Sider>
+        
+        <Content className="app-content">
+          <Space direction="vertical" size="large" style={{ width: '100%' }}>
+            {/* Natural Language Input */}
+            <Card title="Natural Language Query" extra={<LLMSettings />}>
+              <NaturalLanguageInput
+                onQuery={handleNaturalLanguageQuery}
                 loading={loading}
               />
             </Card>
-          )}
-
-          {/* Visualization */}
-          {solution && (
-            <Card title="Optimization Results">
-              <VisualizationPanel
-                solution={solution}
-                uiSpec={uiSpec}
-                controls={controls}
-              />
-            </Card>
-          )}
-
-          {/* Metrics */}
-          {solution && (
-            <Card title="Performance Metrics">
-              <MetricsPanel
-                solution={solution}
-                metrics={uiSpec?.metrics || []}
-              />
-            </Card>
-          )}
-        </Space>
-      </Content>
+
+            {/* Review step for natural language changes */}
+            {pendingChanges && (
+              <Card title="Review Proposed Changes">
+                <ChangePreview
+                  changes={pendingChanges}
+                  onApply={handleApplyChanges}
+                  onDiscard={handleDiscardChanges}
+                  loading={loading}
+                />
+              </Card>
+            )}
+
+            {/* Dynamic Controls */}
+            {uiSpec && (
+              <Card
+                title="Interactive Controls"
+                extra={
+                  <HistoryControls
+                    past={history.past}
+                    future={history.future}
+                    canUndo={history.canUndo}
+                    canRedo={history.canRedo}
+                    onUndo={handleUndo}
+                    onRedo={handleRedo}
+                  />
+                }
+              >
+                <DynamicControls
+                  key={modelId}
+                  controls={uiSpec.controls}
+                  values={controls}
+                  onChange={handleControlChange}
+                  onSolve={handleSolveModel}
+                  loading={loading}
+                  constraintSchemas={constraintSchemas}
+                  activeConstraints={modelConfig?.overrides?.constraints || NO_OVERRIDES}
+                  indexValues={describeModelContext({ uiSpec, modelConfig })}
+                  onConstraintsChange={handleConstraintsChange}
+                  objectiveSchemas={objectiveSchemas}
+                  activeObjectives={modelConfig?.overrides?.objective || NO_OVERRIDES}
+                  objectiveMode={modelConfig?.options?.objective_mode || 'weighted'}
+                  onObjectivesChange={applyConfigPatches}
+                  solvers={registry?.solvers}
+                  solverSettings={solverSettings}
+                  onSolverSettingsChange={setSolverSettingsDraft}
+                />
+              </Card>
+            )}
+
+            {/* Parameter data */}
+            {modelId && modelConfig && (
+              <Card title="Parameter Data">
+                <ParameterGrids
+                  modelId={modelId}
+                  modelConfig={modelConfig}
+                  version={history.past}
+                  solution={solution}
+                  onApply={handleParameterEdit}
+                  loading={loading}
+                />
+              </Card>
+            )}
+
+            {/* Config editor */}
+            {modelId && (
+              <Card title="Config Editor">
+                <ConfigEditor
+                  modelId={modelId}
+                  version={history.past}
+                  registry={registry}
+                  onApply={handleConfigEdit}
+                  loading={loading}
+                />
+              </Card>
+            )}
+
+            {/* Solve progress */}
+            {solveJob && (
+              <Card title="Solving">
+                <SolveProgress
+                  job={solveJob}
+                  progress={solveProgress}
+                  onCancel={handleCancelSolve}
+                  cancelling={cancelling}
+                />
+              </Card>
+            )}
+
+            {/* Visualization */}
+            {solution && (
+              <Card title="Optimization Results">
+                <VisualizationPanel
+                  solution={solution}
+                  uiSpec={uiSpec}
+                  modelId={modelId}
+                  modelConfig={modelConfig}
+                  focus={visualizationFocus}
+                  onPinAssignments={handlePinAssignments}
+                  onClearPins={handleClearPins}
+                  loading={loading}
+                />
+              </Card>
+            )}
+
+            {/* Infeasibility diagnosis */}
+            {solution?.diagnosis && (
+              <Card title="Why There Is No Solution">
+                <InfeasibilityPanel
+                  diagnosis={solution.diagnosis}
+                  onRelax={handleRelax}
+                  loading={loading}
+                />
+              </Card>
+            )}
+
+            {/* Metrics */}
+            {solution && (
+              <Card title="Performance Metrics">
+                <MetricsPanel
+                  solution={solution}
+                  metrics={uiSpec?.metrics || []}
+                />
+              </Card>
+            )}
+
+            {/* Scenario comparison */}
+            {uiSpec && (
+              <Card title="Scenario Comparison">
+                <ScenarioWorkspace
+                  variants={workspaceVariants}
+                  activeModelId={modelId}
+                  metrics={uiSpec.metrics || []}
+                  uiSpec={uiSpec}
+                  onFork={handleForkVariant}
+                  onActivate={handleActivateVariant}
+                  onRemove={handleRemoveVariant}
+                  onSolveAll={handleSolveAllVariants}
+                  loading={loading}
+                />
+              </Card>
+            )}
+          </Space>
+        </Content>
+      </Layout>
     </Layout>
   );
 }
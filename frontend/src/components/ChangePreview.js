@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { Table, Tag, Button, Space, Typography, Alert } from 'antd';
+import { CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import { formatValue } from '../utils/patches';
+
+const { Text } = Typography;
+
+const ChangePreview = ({ changes, onApply, onDiscard, loading }) => {
+  const [selectedKeys, setSelectedKeys] = useState([]);
+
+  // Everything is accepted by default; the user opts out of individual items
+  useEffect(() => {
+    setSelectedKeys(changes.items.map(item => item.key));
+  }, [changes]);
+
+  const columns = [
+    {
+      title: 'Type',
+      dataIndex: 'kind',
+      key: 'kind',
+      width: 100,
+      render: (kind) => (
+        <Tag color={kind === 'control' ? 'blue' : 'purple'}>
+          {kind === 'control' ? 'Control' : 'Config'}
+        </Tag>
+      )
+    },
+    {
+      title: 'Target',
+      dataIndex: 'target',
+      key: 'target',
+      render: (target) => <Text code>{target}</Text>
+    },
+    {
+      title: 'Change',
+      key: 'change',
+      render: (_, item) => (
+        <div className="change-diff">
+          <div className="change-old">- {formatValue(item.oldValue)}</div>
+          <div className="change-new">+ {formatValue(item.newValue)}</div>
+        </div>
+      )
+    },
+    {
+      title: 'Explanation',
+      dataIndex: 'explanation',
+      key: 'explanation'
+    }
+  ];
+
+  const handleApply = () => {
+    const accepted = changes.items.filter(item => selectedKeys.includes(item.key));
+    onApply(accepted);
+  };
+
+  // Suggestions that failed validation even after repair are shown, never applied
+  const rejectedAlert = changes.rejected?.length > 0 && (
+    <Alert
+      type="warning"
+      showIcon
+      message={`${changes.rejected.length} suggested change(s) could not be validated and were left out`}
+      description={
+        <ul style={{ margin: 0, paddingLeft: 20 }}>
+          {changes.rejected.map((entry, index) => (
+            <li key={index}>
+              <Text code>{formatValue(entry.item?.control_id ?? entry.item?.path)}</Text>
+              {' '}{entry.errors.join('; ')}
+            </li>
+          ))}
+        </ul>
+      }
+    />
+  );
+
+  if (changes.items.length === 0) {
+    return (
+      <Space direction="vertical" style={{ width: '100%' }}>
+        {rejectedAlert}
+        <Alert
+          type="info"
+          showIcon
+          message="The query did not produce any applicable control or config changes."
+        />
+        <Button onClick={onDiscard}>Dismiss</Button>
+      </Space>
+    );
+  }
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      {rejectedAlert}
+      <Table
+        dataSource={changes.items}
+        columns={columns}
+        rowSelection={{
+          selectedRowKeys: selectedKeys,
+          onChange: setSelectedKeys
+        }}
+        pagination={false}
+        size="small"
+      />
+
+      <Space>
+        <Button
+          type="primary"
+          icon={<CheckOutlined />}
+          onClick={handleApply}
+          loading={loading}
+          disabled={selectedKeys.length === 0}
+        >
+          Apply Selected ({selectedKeys.length})
+        </Button>
+        <Button icon={<CloseOutlined />} onClick={onDiscard} disabled={loading}>
+          Reject All
+        </Button>
+      </Space>
+    </Space>
+  );
+};
+
+export default ChangePreview;
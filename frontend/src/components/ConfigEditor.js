@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { Segmented, Button, Space, Alert, List, Tag, Tooltip, Typography, message } from 'antd';
+import { SaveOutlined, ReloadOutlined } from '@ant-design/icons';
+import { ApiService } from '../services/ApiService';
+
+const { Text } = Typography;
+
+// Milliseconds of no typing before the config is checked on the server
+const CHECK_DELAY = 600;
+
+const INDEX_TYPES = ['date_range', 'list', 'shifts'];
+const PARAMETER_TYPES = ['table', 'dict', 'scalar'];
+const SOURCE_TYPES = ['csv', 'json', 'override', 'api', 'function'];
+
+const registryNames = (entries) => (entries || []).map(entry => (typeof entry === 'object' ? entry.name : entry));
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+// Keys of the blocks enclosing a line, nearest first, found by indentation.
+// Works for block YAML and for indented JSON alike.
+const enclosingKeys = (lines, lineIndex) => {
+  const keys = [];
+  let indent = indentOf(lines[lineIndex]);
+  for (let i = lineIndex - 1; i >= 0 && indent > 0; i--) {
+    if (!lines[i].trim()) continue;
+    const lineIndent = indentOf(lines[i]);
+    if (lineIndent >= indent) continue;
+    const match = lines[i].match(/^\s*-?\s*"?(\w+)"?\s*:/);
+    if (match) keys.push(match[1]);
+    indent = lineIndent;
+  }
+  return keys;
+};
+
+// Values that fit the key being typed before the cursor, or null
+const completionsAt = (text, cursor, registry) => {
+  const lineStart = text.lastIndexOf('\n', cursor - 1) + 1;
+  const before = text.slice(lineStart, cursor);
+  const match = before.match(/^\s*-?\s*"?(\w+)"?\s*:\s*"?([\w-]*)$/);
+  if (!match) return null;
+
+  const [, key, prefix] = match;
+  const lines = text.slice(0, cursor).split('\n');
+  const parents = enclosingKeys(lines, lines.length - 1);
+  let options = [];
+  if (key === 'template') {
+    options = registryNames(registry?.templates);
+  } else if (key === 'type') {
+    if (parents[0] === 'source') options = SOURCE_TYPES;
+    else if (parents.includes('indexes')) options = INDEX_TYPES;
+    else if (parents.includes('parameters')) options = PARAMETER_TYPES;
+  } else if (key === 'function') {
+    if (parents.includes('constraints')) options = registryNames(registry?.constraints);
+    else if (parents.includes('objective')) options = registryNames(registry?.objectives);
+  }
+
+  const matches = options.filter(option => option.startsWith(prefix) && option !== prefix);
+  return matches.length > 0 ? { prefix, options: matches } : null;
+};
+
+// Plain text editor with line numbers, error markers in the gutter and
+// Tab completion of the suggested values
+const CodeEditor = ({ value, onChange, errorsByLine, registry, editorRef }) => {
+  const gutterRef = useRef(null);
+  const pendingCursor = useRef(null);
+  const [completions, setCompletions] = useState(null);
+
+  useLayoutEffect(() => {
+    if (pendingCursor.current !== null && editorRef.current) {
+      editorRef.current.setSelectionRange(pendingCursor.current, pendingCursor.current);
+      pendingCursor.current = null;
+    }
+  }, [value, editorRef]);
+
+  const updateCompletions = (event) => {
+    const { selectionStart, selectionEnd } = event.target;
+    setCompletions(selectionStart === selectionEnd ? completionsAt(event.target.value, selectionStart, registry) : null);
+  };
+
+  const replaceBeforeCursor = (length, insert) => {
+    const cursor = editorRef.current.selectionStart;
+    pendingCursor.current = cursor - length + insert.length;
+    onChange(value.slice(0, cursor - length) + insert + value.slice(cursor));
+  };
+
+  const complete = (option) => {
+    replaceBeforeCursor(completions.prefix.length, option);
+    setCompletions(null);
+    editorRef.current.focus();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Tab') {
+      event.preventDefault();
+      if (completions) complete(completions.options[0]);
+      else replaceBeforeCursor(0, '  ');
+    } else if (event.key === 'Escape') {
+      setCompletions(null);
+    }
+  };
+
+  const lineCount = value.split('\n').length;
+
+  return (
+    <Space direction="vertical" size="small" style={{ width: '100%' }}>
+      <div className="config-editor">
+        <div className="config-editor-gutter" ref={gutterRef}>
+          {Array.from({ length: lineCount }, (_, i) => {
+            const errors = errorsByLine[i + 1];
+            return errors ? (
+              <Tooltip key={i} title={errors.join('\n')} placement="right">
+                <div className="config-editor-line config-editor-line-error">{i + 1}</div>
+              </Tooltip>
+            ) : (
+              <div key={i} className="config-editor-line">{i + 1}</div>
+            );
+          })}
+        </div>
+        <textarea
+          ref={editorRef}
+          className="config-editor-text"
+          value={value}
+          spellCheck={false}
+          wrap="off"
+          onChange={(event) => { onChange(event.target.value); updateCompletions(event); }}
+          onSelect={updateCompletions}
+          onKeyDown={handleKeyDown}
+          onScroll={(event) => { gutterRef.current.scrollTop = event.target.scrollTop; }}
+        />
+      </div>
+      {completions && (
+        <Space size={4} wrap>
+          <Text type="secondary">Tab to complete:</Text>
+          {completions.options.map(option => (
+            <Tag key={option} color="blue" style={{ cursor: 'pointer' }} onClick={() => complete(option)}>
+              {option}
+            </Tag>
+          ))}
+        </Space>
+      )}
+    </Space>
+  );
+};
+
+// Edit the model's whole config as YAML or JSON. The server checks the
+// text as you type; saving applies the differences as one undoable batch
+// of patches.
+const ConfigEditor = ({ modelId, version, registry, onApply, loading }) => {
+  const [format, setFormat] = useState('yaml');
+  const [text, setText] = useState('');
+  const [savedText, setSavedText] = useState('');
+  const [check, setCheck] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const editorRef = useRef(null);
+  const checkCounter = useRef(0);
+  const loadedKey = useRef(null);
+  const dirty = text !== savedText;
+  const dirtyRef = useRef(dirty);
+  dirtyRef.current = dirty;
+
+  const load = useCallback(async () => {
+    if (!modelId) return;
+    try {
+      const content = format === 'yaml'
+        ? await ApiService.exportConfigYaml(modelId)
+        : JSON.stringify(await ApiService.getModelConfig(modelId), null, 2);
+      setText(content);
+      setSavedText(content);
+      setCheck(null);
+    } catch (error) {
+      message.error('Failed to load config: ' + error.message);
+    }
+  }, [modelId, format]);
+
+  // Reload whenever the config changes elsewhere (controls, undo, ...).
+  // Unsaved edits are kept, unless another model or format is shown.
+  useEffect(() => {
+    const key = `${modelId}:${format}`;
+    if (dirtyRef.current && loadedKey.current === key) return;
+    loadedKey.current = key;
+    load();
+  }, [load, version, modelId, format]);
+
+  // Check edits once typing pauses; late answers to older text are dropped
+  useEffect(() => {
+    if (!modelId || !dirty) return undefined;
+    const timer = setTimeout(async () => {
+      const request = ++checkCounter.current;
+      try {
+        const result = await ApiService.checkConfigEdit(modelId, text, format);
+        if (request === checkCounter.current) setCheck(result);
+      } catch (error) {
+        console.warn('Could not check config:', error);
+      }
+    }, CHECK_DELAY);
+    return () => clearTimeout(timer);
+  }, [modelId, text, format, dirty]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      checkCounter.current++;
+      const result = await ApiService.checkConfigEdit(modelId, text, format);
+      setCheck(result);
+      if (!result.valid) {
+        message.error('Fix the errors in the config before saving');
+        return;
+      }
+      if (result.patches.length === 0) {
+        message.info('The config has no changes');
+        setSavedText(text);
+        return;
+      }
+      await onApply(result.patches, result.old_values);
+      await load();
+    } catch (error) {
+      message.error('Failed to save config: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const jumpToLine = (line) => {
+    const editor = editorRef.current;
+    const offset = text.split('\n').slice(0, line - 1).reduce((total, current) => total + current.length + 1, 0);
+    editor.focus();
+    editor.setSelectionRange(offset, offset);
+    editor.scrollTop = (line - 3) * 20;
+  };
+
+  const errors = dirty && check ? check.errors : [];
+  const errorsByLine = errors.reduce((byLine, error) => {
+    if (error.line) byLine[error.line] = [...(byLine[error.line] || []), error.message];
+    return byLine;
+  }, {});
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Space wrap>
+        <Segmented
+          value={format}
+          onChange={setFormat}
+          options={[{ label: 'YAML', value: 'yaml' }, { label: 'JSON', value: 'json' }]}
+          disabled={dirty}
+        />
+        <Button icon={<ReloadOutlined />} onClick={load} disabled={!dirty}>
+          Discard edits
+        </Button>
+        <Button
+          type="primary"
+          icon={<SaveOutlined />}
+          onClick={handleSave}
+          loading={saving}
+          disabled={!dirty || loading || errors.length > 0}
+        >
+          Save
+        </Button>
+        {dirty && check?.valid && (
+          <Text type="secondary">
+            {check.patches.length === 0 ? 'No changes' : `${check.patches.length} change(s) to apply`}
+          </Text>
+        )}
+      </Space>
+
+      <CodeEditor
+        value={text}
+        onChange={setText}
+        errorsByLine={errorsByLine}
+        registry={registry}
+        editorRef={editorRef}
+      />
+
+      {errors.length > 0 && (
+        <>
+          <Alert type="error" showIcon message={`${errors.length} problem(s) in the config`} />
+          <List
+            size="small"
+            bordered
+            dataSource={errors}
+            renderItem={(error) => (
+              <List.Item
+                style={{ cursor: error.line ? 'pointer' : 'default' }}
+                onClick={() => error.line && jumpToLine(error.line)}
+              >
+                <Space align="start">
+                  <Tag color="red">{error.line ? `line ${error.line}` : error.path || 'config'}</Tag>
+                  <Text>{error.message}</Text>
+                </Space>
+              </List.Item>
+            )}
+          />
+        </>
+      )}
+      {dirty && check?.warnings?.length > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          message={check.warnings.map(warning => (warning.line ? `Line ${warning.line}: ` : '') + warning.message).join('; ')}
+        />
+      )}
+    </Space>
+  );
+};
+
+export default ConfigEditor;
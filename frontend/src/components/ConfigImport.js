@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Modal, Upload, List, Tag, Select, Input, Alert, Button, Space, Typography, message } from 'antd';
+import { InboxOutlined, DeleteOutlined } from '@ant-design/icons';
+import { ApiService } from '../services/ApiService';
+
+const { Text } = Typography;
+
+const CONFIG_EXTENSIONS = /\.(ya?ml|json)$/i;
+
+// A config is the YAML file, or a JSON file that names a template; the
+// other files are the data it references
+const guessConfigFile = (files) => (
+  files.find(file => /\.ya?ml$/i.test(file.filename)) ||
+  files.find(file => /\.json$/i.test(file.filename) && /"template"\s*:/.test(file.content))
+);
+
+const issueLocation = (issue) => [
+  issue.line ? `line ${issue.line}` : null,
+  issue.path || null
+].filter(Boolean).join(' · ');
+
+const IssueList = ({ issues, type }) => (
+  <List
+    size="small"
+    bordered
+    dataSource={issues}
+    renderItem={(issue) => (
+      <List.Item>
+        <Space align="start">
+          <Tag color={type === 'error' ? 'red' : 'orange'}>{issueLocation(issue) || type}</Tag>
+          <Text>{issue.message}</Text>
+        </Space>
+      </List.Item>
+    )}
+  />
+);
+
+// Drop a YAML or JSON config together with the CSV and JSON data files it
+// references; the server checks everything and reports problems by line
+const ConfigImport = ({ open, onClose, onImported }) => {
+  const [files, setFiles] = useState([]);
+  const [configName, setConfigName] = useState(null);
+  const [name, setName] = useState('');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // The chosen config, or the likeliest one until the user picks another
+  const configFile = files.find(f => f.filename === configName) || guessConfigFile(files);
+
+  const reset = () => {
+    setFiles([]);
+    setConfigName(null);
+    setName('');
+    setResult(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const addFile = async (file) => {
+    const content = await file.text();
+    setFiles(prev => [...prev.filter(f => f.filename !== file.name), { filename: file.name, content }]);
+    setResult(null);
+    // Files are only read here, never uploaded on their own
+    return false;
+  };
+
+  const removeFile = (filename) => {
+    setFiles(prev => prev.filter(f => f.filename !== filename));
+    setResult(null);
+  };
+
+  const requestParts = () => [configFile, files.filter(f => f !== configFile)];
+
+  const handleValidate = async () => {
+    try {
+      setBusy(true);
+      const [config, dataFiles] = requestParts();
+      setResult(await ApiService.validateConfig(config, dataFiles));
+    } catch (error) {
+      message.error('Failed to validate config: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Invalid configs are shown with their errors instead of being imported
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      const [config, dataFiles] = requestParts();
+      const validation = await ApiService.validateConfig(config, dataFiles);
+      setResult(validation);
+      if (!validation.valid) return;
+
+      const model = await ApiService.importConfig(config, dataFiles, name.trim() || undefined);
+      message.success(`Imported ${model.name}`);
+      reset();
+      onImported(model.model_id);
+    } catch (error) {
+      message.error('Failed to import config: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Import config"
+      open={open}
+      onCancel={handleClose}
+      width={640}
+      footer={[
+        <Button key="validate" onClick={handleValidate} disabled={!configFile} loading={busy}>
+          Validate
+        </Button>,
+        <Button key="import" type="primary" onClick={handleImport} disabled={!configFile} loading={busy}>
+          Create model
+        </Button>
+      ]}
+    >
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Upload.Dragger
+          multiple
+          accept=".yaml,.yml,.json,.csv"
+          showUploadList={false}
+          beforeUpload={addFile}
+        >
+          <p className="ant-upload-drag-icon"><InboxOutlined /></p>
+          <p className="ant-upload-text">Drop a config and its data files here</p>
+          <p className="ant-upload-hint">YAML or JSON config, plus the CSV and JSON files its parameters reference</p>
+        </Upload.Dragger>
+
+        {files.length > 0 && (
+          <List
+            size="small"
+            dataSource={files}
+            renderItem={(file) => (
+              <List.Item
+                actions={[
+                  <Button key="remove" size="small" type="text" icon={<DeleteOutlined />} onClick={() => removeFile(file.filename)} />
+                ]}
+              >
+                <Space>
+                  <Text>{file.filename}</Text>
+                  {file === configFile ? <Tag color="blue">config</Tag> : <Tag>data</Tag>}
+                </Space>
+              </List.Item>
+            )}
+          />
+        )}
+
+        {files.length > 0 && (
+          <Space wrap>
+            <Text>Config file</Text>
+            <Select
+              style={{ minWidth: 200 }}
+              value={configFile?.filename}
+              onChange={(value) => { setConfigName(value); setResult(null); }}
+              options={files.filter(f => CONFIG_EXTENSIONS.test(f.filename)).map(f => ({ value: f.filename, label: f.filename }))}
+              placeholder="Choose the config"
+            />
+            <Input
+              style={{ width: 220 }}
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder="Model name (optional)"
+              maxLength={80}
+            />
+          </Space>
+        )}
+
+        {result && result.valid && (
+          <Alert type="success" showIcon message="The config is valid" />
+        )}
+        {result && !result.valid && (
+          <>
+            <Alert type="error" showIcon message={`${result.errors.length} problem(s) found in ${configFile?.filename}`} />
+            <IssueList issues={result.errors} type="error" />
+          </>
+        )}
+        {result?.warnings?.length > 0 && <IssueList issues={result.warnings} type="warning" />}
+      </Space>
+    </Modal>
+  );
+};
+
+export default ConfigImport;
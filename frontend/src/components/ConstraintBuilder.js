@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import {
+  Form,
+  Select,
+  Input,
+  InputNumber,
+  Switch,
+  Button,
+  List,
+  Space,
+  Tag,
+  Typography,
+  Popconfirm,
+  Empty
+} from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+
+const { Option } = Select;
+const { Text } = Typography;
+
+// "time_window_Alice", "max_consecutive_days_2", ...
+const suggestName = (schema, args, constraints) => {
+  const candidate = args.candidate ? `_${args.candidate}` : '';
+  const base = `${schema.name}${candidate}`;
+  const taken = constraints.map(c => c.name);
+  if (!taken.includes(base)) {
+    return base;
+  }
+  let suffix = 2;
+  while (taken.includes(`${base}_${suffix}`)) {
+    suffix++;
+  }
+  return `${base}_${suffix}`;
+};
+
+const formatArgs = (args = {}) => {
+  return Object.entries(args)
+    .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join(', ');
+};
+
+const ConstraintBuilder = ({ schemas, constraints, candidates, skills, onChange, disabled }) => {
+  const [form] = Form.useForm();
+  const [editingName, setEditingName] = useState(null);
+  const selectedFunction = Form.useWatch('function', form);
+  const schema = schemas.find(s => s.name === selectedFunction);
+
+  const resetForm = () => {
+    form.resetFields();
+    setEditingName(null);
+  };
+
+  const handleSelectFunction = (name) => {
+    const next = schemas.find(s => s.name === name);
+    const defaults = Object.fromEntries(
+      (next?.args || [])
+        .filter(arg => arg.default !== null && arg.default !== undefined)
+        .map(arg => [arg.name, arg.default])
+    );
+    form.setFieldsValue({ args: defaults });
+  };
+
+  const handleEdit = (constraint) => {
+    setEditingName(constraint.name);
+    form.setFieldsValue({
+      function: constraint.function,
+      name: constraint.name,
+      args: constraint.args
+    });
+  };
+
+  const handleDelete = (constraint) => {
+    onChange(
+      constraints.filter(c => c.name !== constraint.name),
+      `Remove constraint ${constraint.name}`
+    );
+    if (editingName === constraint.name) {
+      resetForm();
+    }
+  };
+
+  const handleSubmit = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (error) {
+      // The form marks the missing arguments
+      return;
+    }
+    const args = values.args || {};
+    const others = constraints.filter(c => c.name !== editingName);
+    const entry = {
+      name: values.name?.trim() || suggestName(schema, args, others),
+      function: values.function,
+      args
+    };
+
+    const next = editingName
+      ? constraints.map(c => (c.name === editingName ? entry : c))
+      : [...constraints, entry];
+
+    onChange(next, `${editingName ? 'Edit' : 'Add'} constraint ${entry.name}`);
+    resetForm();
+  };
+
+  const renderArgInput = (arg) => {
+    switch (arg.type) {
+      case 'candidate':
+      case 'skill':
+        return (
+          <Select placeholder={`Select ${arg.type}`} showSearch>
+            {(arg.type === 'candidate' ? candidates : skills).map(value => (
+              <Option key={value} value={value}>{value}</Option>
+            ))}
+          </Select>
+        );
+      case 'hour':
+        return <InputNumber min={arg.min ?? 0} max={arg.max ?? 24} precision={0} addonAfter=":00" style={{ width: '100%' }} />;
+      case 'integer':
+        return <InputNumber min={arg.min} max={arg.max} precision={0} style={{ width: '100%' }} />;
+      case 'number':
+        return <InputNumber min={arg.min} max={arg.max} style={{ width: '100%' }} />;
+      case 'boolean':
+        return <Switch />;
+      default:
+        return <Input />;
+    }
+  };
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <List
+        size="small"
+        bordered
+        dataSource={constraints}
+        locale={{ emptyText: <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No active constraints" /> }}
+        renderItem={(constraint) => (
+          <List.Item
+            actions={[
+              <Button
+                key="edit"
+                type="text"
+                size="small"
+                icon={<EditOutlined />}
+                onClick={() => handleEdit(constraint)}
+                disabled={disabled}
+              />,
+              <Popconfirm
+                key="delete"
+                title={`Remove ${constraint.name}?`}
+                onConfirm={() => handleDelete(constraint)}
+              >
+                <Button type="text" size="small" danger icon={<DeleteOutlined />} disabled={disabled} />
+              </Popconfirm>
+            ]}
+          >
+            <Space wrap>
+              <Text strong>{constraint.name}</Text>
+              <Tag color="purple">{constraint.function}</Tag>
+              <Text type="secondary">{formatArgs(constraint.args)}</Text>
+            </Space>
+          </List.Item>
+        )}
+      />
+
+      <Form form={form} layout="vertical" size="small">
+        <Space wrap align="start">
+          <Form.Item
+            name="function"
+            label="Constraint"
+            rules={[{ required: true, message: 'Pick a constraint' }]}
+          >
+            <Select
+              placeholder="Select constraint"
+              style={{ minWidth: 200 }}
+              onChange={handleSelectFunction}
+              disabled={disabled}
+            >
+              {schemas.map(s => (
+                <Option key={s.name} value={s.name}>{s.name}</Option>
+              ))}
+            </Select>
+          </Form.Item>
+
+          {(schema?.args || []).map(arg => (
+            <Form.Item
+              key={arg.name}
+              name={['args', arg.name]}
+              label={arg.name}
+              tooltip={arg.description || undefined}
+              valuePropName={arg.type === 'boolean' ? 'checked' : 'value'}
+              rules={[{ required: arg.default === null || arg.default === undefined, message: `${arg.name} is required` }]}
+              style={{ minWidth: 140 }}
+            >
+              {renderArgInput(arg)}
+            </Form.Item>
+          ))}
+
+          {schema && (
+            <Form.Item
+              name="name"
+              label="Name"
+              rules={[{
+                validator: (_, value) => (
+                  value && constraints.some(c => c.name === value.trim() && c.name !== editingName)
+                    ? Promise.reject(new Error('Name already in use'))
+                    : Promise.resolve()
+                )
+              }]}
+            >
+              <Input placeholder="Generated if empty" />
+            </Form.Item>
+          )}
+        </Space>
+
+        {schema?.description && (
+          <div style={{ marginBottom: 12 }}>
+            <Text type="secondary">{schema.description}</Text>
+          </div>
+        )}
+
+        <Space>
+          <Button
+            type="primary"
+            icon={editingName ? <EditOutlined /> : <PlusOutlined />}
+            onClick={handleSubmit}
+            disabled={disabled || !schema}
+          >
+            {editingName ? 'Update Constraint' : 'Add Constraint'}
+          </Button>
+          {editingName && <Button onClick={resetForm}>Cancel</Button>}
+        </Space>
+      </Form>
+    </Space>
+  );
+};
+
+export default ConstraintBuilder;
@@ -13,11 +13,31 @@ import {
 } from 'antd';
 import { PlayCircleOutlined } from '@ant-design/icons';
 import dayjs from 'dayjs';
+import ConstraintBuilder from './ConstraintBuilder';
+import ObjectiveComposer from './ObjectiveComposer';
+import SolverSettings from './SolverSettings';
 
 const { RangePicker } = DatePicker;
 const { Option } = Select;
 
-const DynamicControls = ({ controls, values, onChange, onSolve, loading }) => {
+const DynamicControls = ({
+  controls,
+  values,
+  onChange,
+  onSolve,
+  loading,
+  constraintSchemas = [],
+  activeConstraints = [],
+  indexValues = {},
+  onConstraintsChange,
+  objectiveSchemas = [],
+  activeObjectives = [],
+  objectiveMode = 'weighted',
+  onObjectivesChange,
+  solvers = [],
+  solverSettings,
+  onSolverSettingsChange
+}) => {
   const renderControl = (control) => {
     const { type, label, maps_to, ...props } = control;
     const value = values[maps_to];
@@ -194,6 +214,44 @@ const DynamicControls = ({ controls, values, onChange, onSolve, loading }) => {
         </Card>
       )}
 
+      {/* Constraints: registered functions added as config overrides */}
+      {(organizedControls.constraints.length > 0 || (onConstraintsChange && constraintSchemas.length > 0)) && (
+        <Card title="Constraints" size="small">
+          {organizedControls.constraints.length > 0 && (
+            <Row gutter={[16, 16]}>
+              {organizedControls.constraints.map(control => (
+                <Col xs={24} sm={12} md={8} key={control.maps_to}>
+                  {renderControl(control)}
+                </Col>
+              ))}
+            </Row>
+          )}
+          {onConstraintsChange && constraintSchemas.length > 0 && (
+            <ConstraintBuilder
+              schemas={constraintSchemas}
+              constraints={activeConstraints}
+              candidates={indexValues.candidates || []}
+              skills={indexValues.skills || []}
+              onChange={onConstraintsChange}
+              disabled={loading}
+            />
+          )}
+        </Card>
+      )}
+
+      {/* Objectives: weighted or lexicographic combination of registered objectives */}
+      {onObjectivesChange && objectiveSchemas.length > 0 && (
+        <Card title="Objectives" size="small">
+          <ObjectiveComposer
+            schemas={objectiveSchemas}
+            objectives={activeObjectives}
+            mode={objectiveMode}
+            onApply={onObjectivesChange}
+            disabled={loading}
+          />
+        </Card>
+      )}
+
       {/* Other Controls */}
       {organizedControls.other.length > 0 && (
         <Card title="Other Settings" size="small">
@@ -207,6 +265,18 @@ const DynamicControls = ({ controls, values, onChange, onSolve, loading }) => {
         </Card>
       )}
 
+      {/* Solver settings, sent with the solve request */}
+      {onSolverSettingsChange && (
+        <Card title="Solver Settings" size="small">
+          <SolverSettings
+            solvers={solvers}
+            settings={solverSettings || {}}
+            onChange={onSolverSettingsChange}
+            disabled={loading}
+          />
+        </Card>
+      )}
+
       {/* Solve Button */}
       <div style={{ textAlign: 'center', paddingTop: 16 }}>
         <Button
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { Button, InputNumber, Select, Space, Typography } from 'antd';
+
+const { Text } = Typography;
+
+const TRUE_TEXT = /^(1|true|yes|y|x)$/i;
+const FALSE_TEXT = /^(0|false|no|n|)$/i;
+
+// Clipboard text from Excel or Sheets: rows by line, cells by tab
+const parseClipboard = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines.map(line => line.split('\t'));
+};
+
+// The value a pasted cell stands for, or undefined when it does not fit
+const parseCell = (text, type) => {
+  const trimmed = text.trim();
+  if (type === 'boolean') {
+    if (TRUE_TEXT.test(trimmed)) return true;
+    if (FALSE_TEXT.test(trimmed)) return false;
+    return undefined;
+  }
+  if (trimmed === '') return null;
+  const number = Number(trimmed.replace(/,/g, ''));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const normalizeRange = ({ anchor, focus }) => ({
+  top: Math.min(anchor.row, focus.row),
+  bottom: Math.max(anchor.row, focus.row),
+  left: Math.min(anchor.column, focus.column),
+  right: Math.max(anchor.column, focus.column)
+});
+
+// Spreadsheet-like grid of number or checkbox cells. Click and shift-click
+// (or drag, or click a header) to select cells, then paste from Excel or
+// fill the selection with one value. Every edit is reported to onChange as
+// a list of {row, column, value} changes keyed by row and column keys.
+const EditableGrid = ({ rows, columns, getValue, isChanged, type = 'number', onChange, disabled, min = 0 }) => {
+  const [selection, setSelection] = useState(null);
+  const [fillValue, setFillValue] = useState(type === 'boolean' ? true : null);
+  const range = selection ? normalizeRange(selection) : null;
+
+  const isSelected = (row, column) => (
+    range !== null && row >= range.top && row <= range.bottom && column >= range.left && column <= range.right
+  );
+
+  const select = (row, column, extend) => {
+    const cell = { row, column };
+    setSelection(prev => (extend && prev ? { anchor: prev.anchor, focus: cell } : { anchor: cell, focus: cell }));
+  };
+
+  const selectRow = (row) => setSelection({ anchor: { row, column: 0 }, focus: { row, column: columns.length - 1 } });
+  const selectColumn = (column) => setSelection({ anchor: { row: 0, column }, focus: { row: rows.length - 1, column } });
+
+  const emit = (changes) => {
+    const effective = changes.filter(({ row, column, value }) => (getValue(row, column) ?? null) !== value);
+    if (effective.length > 0) onChange(effective);
+  };
+
+  const selectedCells = () => {
+    const cells = [];
+    for (let r = range.top; r <= range.bottom; r++) {
+      for (let c = range.left; c <= range.right; c++) {
+        cells.push({ row: rows[r].key, column: columns[c].key });
+      }
+    }
+    return cells;
+  };
+
+  const handleFill = () => {
+    if (!range || disabled) return;
+    emit(selectedCells().map(cell => ({ ...cell, value: fillValue })));
+  };
+
+  // A single pasted value fills the whole selection, like in Excel
+  const handlePaste = (event) => {
+    if (!range || disabled) return;
+    const block = parseClipboard(event.clipboardData.getData('text/plain'));
+    event.preventDefault();
+
+    if (block.length === 1 && block[0].length === 1) {
+      const value = parseCell(block[0][0], type);
+      if (value !== undefined) emit(selectedCells().map(cell => ({ ...cell, value })));
+      return;
+    }
+
+    const changes = [];
+    block.forEach((cells, r) => cells.forEach((text, c) => {
+      const row = rows[range.top + r];
+      const column = columns[range.left + c];
+      const value = parseCell(text, type);
+      if (row && column && value !== undefined) changes.push({ row: row.key, column: column.key, value });
+    }));
+    emit(changes);
+  };
+
+  const commitInput = (row, column, text) => {
+    const value = parseCell(text, type);
+    if (value !== undefined) emit([{ row, column, value }]);
+  };
+
+  const renderCell = (row, column, r, c) => {
+    const value = getValue(row.key, column.key);
+    const classNames = ['data-grid-cell'];
+    if (isSelected(r, c)) classNames.push('data-grid-cell-selected');
+    if (isChanged(row.key, column.key)) classNames.push('data-grid-cell-changed');
+
+    return (
+      <td
+        key={column.key}
+        className={classNames.join(' ')}
+        onMouseDown={(event) => select(r, c, event.shiftKey)}
+        onMouseEnter={(event) => event.buttons === 1 && select(r, c, true)}
+      >
+        {type === 'boolean' ? (
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            disabled={disabled}
+            onChange={(event) => emit([{ row: row.key, column: column.key, value: event.target.checked }])}
+          />
+        ) : (
+          <input
+            // Re-created when the value changes so it always shows the saved value
+            key={String(value)}
+            className="data-grid-input"
+            defaultValue={value ?? ''}
+            disabled={disabled}
+            onBlur={(event) => commitInput(row.key, column.key, event.target.value)}
+            onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+          />
+        )}
+      </td>
+    );
+  };
+
+  return (
+    <Space direction="vertical" size="small" style={{ width: '100%' }}>
+      <Space wrap>
+        <Text type="secondary">
+          {range
+            ? `${(range.bottom - range.top + 1) * (range.right - range.left + 1)} cell(s) selected`
+            : 'Select cells to paste or fill'}
+        </Text>
+        {type === 'boolean' ? (
+          <Select
+            size="small"
+            value={fillValue}
+            onChange={setFillValue}
+            options={[{ value: true, label: 'Checked' }, { value: false, label: 'Unchecked' }]}
+            style={{ width: 120 }}
+          />
+        ) : (
+          <InputNumber size="small" min={min} value={fillValue} onChange={setFillValue} placeholder="Value" />
+        )}
+        <Button size="small" onClick={handleFill} disabled={!range || disabled || fillValue === undefined}>
+          Fill selection
+        </Button>
+      </Space>
+
+      <div className="data-grid" tabIndex={0} onPaste={handlePaste}>
+        <table>
+          <thead>
+            <tr>
+              <th />
+              {columns.map((column, c) => (
+                <th key={column.key} className="data-grid-header" onClick={() => selectColumn(c)}>{column.title}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, r) => (
+              <tr key={row.key}>
+                <th className="data-grid-header" onClick={() => selectRow(r)}>{row.title}</th>
+                {columns.map((column, c) => renderCell(row, column, r, c))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Space>
+  );
+};
+
+export default EditableGrid;
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef } from 'react';
+import { Button, Space, Tooltip } from 'antd';
+import { UndoOutlined, RedoOutlined } from '@ant-design/icons';
+
+const isTextInput = (element) => {
+  if (!element) return false;
+  const tag = element.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || element.isContentEditable;
+};
+
+const HistoryControls = ({ past, future, canUndo, canRedo, onUndo, onRedo }) => {
+  // Keep the latest handlers in a ref so the key listener is registered once
+  const handlers = useRef({ onUndo, onRedo });
+  handlers.current = { onUndo, onRedo };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextInput(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handlers.current.onUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handlers.current.onRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const lastApplied = past[past.length - 1];
+  const nextRedo = future[0];
+
+  return (
+    <Space>
+      <Tooltip title={lastApplied ? `Undo: ${lastApplied.label} (Ctrl+Z)` : 'Nothing to undo'}>
+        <Button icon={<UndoOutlined />} onClick={onUndo} disabled={!canUndo}>
+          Undo
+        </Button>
+      </Tooltip>
+      <Tooltip title={nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}>
+        <Button icon={<RedoOutlined />} onClick={onRedo} disabled={!canRedo}>
+          Redo
+        </Button>
+      </Tooltip>
+    </Space>
+  );
+};
+
+export default HistoryControls;
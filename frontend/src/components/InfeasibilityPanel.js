@@ -0,0 +1,65 @@
+import React from 'react';
+import { Alert, List, Tag, Button, Space, Typography } from 'antd';
+import { ToolOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const KIND_COLORS = {
+  demand: 'orange',
+  option: 'blue',
+  override: 'purple'
+};
+
+// Lists the requirements an infeasible model cannot meet together, each
+// with a relaxation that can be applied (and undone) as config patches
+const InfeasibilityPanel = ({ diagnosis, onRelax, loading }) => {
+  if (diagnosis.status !== 'diagnosed') {
+    return (
+      <Alert
+        type="error"
+        showIcon
+        message="The model has no feasible solution"
+        description={diagnosis.message}
+      />
+    );
+  }
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Alert
+        type="error"
+        showIcon
+        message="The model has no feasible solution"
+        description={`${diagnosis.message}. Relaxing one of the requirements below re-solves the model.`}
+      />
+
+      <List
+        size="small"
+        bordered
+        dataSource={diagnosis.culprits}
+        renderItem={(culprit) => (
+          <List.Item
+            actions={culprit.relaxation ? [
+              <Button
+                key="relax"
+                size="small"
+                icon={<ToolOutlined />}
+                onClick={() => onRelax(culprit.relaxation)}
+                loading={loading}
+              >
+                {culprit.relaxation.label}
+              </Button>
+            ] : []}
+          >
+            <Space>
+              <Tag color={KIND_COLORS[culprit.kind] || 'default'}>{culprit.kind}</Tag>
+              <Text>{culprit.message}</Text>
+            </Space>
+          </List.Item>
+        )}
+      />
+    </Space>
+  );
+};
+
+export default InfeasibilityPanel;
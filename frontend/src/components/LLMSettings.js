@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Modal, Form, Select, Input, Button, Alert, message } from 'antd';
+import { SettingOutlined } from '@ant-design/icons';
+import { GeminiService } from '../services/GeminiService';
+import { LLM_PROVIDERS } from '../services/llm';
+
+const { Option } = Select;
+
+const LLMSettings = () => {
+  const [open, setOpen] = useState(false);
+  const [form] = Form.useForm();
+  const provider = Form.useWatch('provider', form);
+
+  const handleOpen = () => {
+    form.setFieldsValue(GeminiService.getSettings());
+    setOpen(true);
+  };
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (error) {
+      // The form shows what is missing
+      return;
+    }
+    GeminiService.updateSettings(values);
+    setOpen(false);
+    message.success('Language model settings saved');
+  };
+
+  const selected = LLM_PROVIDERS.find(p => p.id === provider);
+
+  return (
+    <>
+      <Button icon={<SettingOutlined />} onClick={handleOpen}>
+        Language Model
+      </Button>
+
+      <Modal
+        title="Language Model Settings"
+        open={open}
+        onOk={handleSave}
+        onCancel={() => setOpen(false)}
+        okText="Save"
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="provider" label="Provider" rules={[{ required: true }]}>
+            <Select>
+              {LLM_PROVIDERS.map(p => (
+                <Option key={p.id} value={p.id}>{p.label}</Option>
+              ))}
+            </Select>
+          </Form.Item>
+
+          {selected && (
+            <Alert type="info" showIcon message={selected.description} style={{ marginBottom: 16 }} />
+          )}
+
+          {provider === 'gemini' && (
+            <Form.Item name="geminiModel" label="Model (optional)">
+              <Input placeholder="Server default (GEMINI_MODEL)" />
+            </Form.Item>
+          )}
+
+          {provider === 'openai' && (
+            <>
+              <Form.Item
+                name="openaiBaseURL"
+                label="Base URL"
+                rules={[{ required: true, type: 'url', message: 'Enter the endpoint URL, e.g. http://localhost:11434/v1' }]}
+              >
+                <Input placeholder="http://localhost:11434/v1" />
+              </Form.Item>
+              <Form.Item name="openaiModel" label="Model" rules={[{ required: true }]}>
+                <Input placeholder="llama3" />
+              </Form.Item>
+              <Form.Item
+                name="openaiApiKey"
+                label="API Key (optional)"
+                extra="Kept for this browser session only; enter it again after closing the browser."
+              >
+                <Input.Password placeholder="Leave empty for servers without authentication" />
+              </Form.Item>
+            </>
+          )}
+        </Form>
+      </Modal>
+    </>
+  );
+};
+
+export default LLMSettings;
@@ -1,5 +1,5 @@
-import React from 'react';
-import { Row, Col, Statistic, Card, Progress } from 'antd';
+import React, { useState } from 'react';
+import { Row, Col, Statistic, Card, Progress, Table, Tooltip, Segmented, Space } from 'antd';
 import { 
   DollarOutlined, 
   ClockCircleOutlined, 
@@ -8,8 +8,11 @@ import {
   TrophyOutlined,
   BarChartOutlined
 } from '@ant-design/icons';
+import dayjs from 'dayjs';
 
 const MetricsPanel = ({ solution, metrics = [] }) => {
+  const [coverageScenario, setCoverageScenario] = useState(null);
+
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -31,35 +34,88 @@ const MetricsPanel = ({ solution, metrics = [] }) => {
     }
   };
 
+  // Relative gap between incumbent and bound; 0% means proven optimal
+  const formatGap = (gap) => {
+    if (gap === null || gap === undefined) return '—';
+    return `${(gap * 100).toFixed(2)}%`;
+  };
+
+  // Everything except status and timing comes from the metrics the backend
+  // computes from the demand, skills and cost data of the solved model
   const calculateMetrics = () => {
-    const calculatedMetrics = {
-      objective_value: solution?.objective_value || 0,
+    const serverMetrics = solution?.metrics || {};
+    return {
+      objective_value: solution?.objective_value ?? 0,
       solve_time: solution?.solve_time || 0,
       status: solution?.status || 'Unknown',
-      total_assignments: 0,
-      staff_utilization: 0,
-      coverage_rate: 100,
-      cost_efficiency: 85
+      total_cost: serverMetrics.total_cost ?? solution?.objective_value ?? 0,
+      total_assignments: serverMetrics.total_assignments ?? 0,
+      staff_utilization: serverMetrics.staff_utilization ?? 0,
+      max_daily_assignments: serverMetrics.max_daily_assignments,
+      coverage_rate: serverMetrics.coverage_rate ?? 0,
+      total_demand: serverMetrics.total_demand ?? 0,
+      covered_demand: serverMetrics.covered_demand ?? 0,
+      shortfall_count: serverMetrics.shortfall_count ?? 0,
+      shortfall_total: serverMetrics.shortfall_total ?? 0,
+      cost_per_assignment: serverMetrics.cost_per_assignment,
+      relative_gap: solution?.relative_gap,
+      objective_bound: solution?.objective_bound,
+      coverage: serverMetrics.coverage || [],
+      risk: serverMetrics.risk ?? null,
+      // Solutions stored before primal_status was reported only carry an
+      // objective value when the solver found a feasible point
+      feasible: solution?.primal_status
+        ? solution.primal_status === 'FEASIBLE_POINT'
+        : solution?.objective_value !== null && solution?.objective_value !== undefined
     };
+  };
 
-    // Calculate total assignments from variables
-    if (solution?.variables?.assign) {
-      const assignArray = solution.variables.assign;
-      if (Array.isArray(assignArray)) {
-        calculatedMetrics.total_assignments = assignArray.flat().flat().filter(val => val > 0.5).length;
-      }
-    }
+  // Skills as rows, days as columns, "assigned / demand" in each cell
+  const buildCoverageTable = (coverage) => {
+    const days = [...new Set(coverage.map(slot => slot.day))].sort();
+    const skills = [...new Set(coverage.map(slot => slot.skill))];
 
-    // Calculate staff utilization (mock calculation)
-    if (calculatedMetrics.total_assignments > 0) {
-      calculatedMetrics.staff_utilization = Math.min(100, (calculatedMetrics.total_assignments / 35) * 100);
-    }
+    const columns = [
+      { title: 'Skill', dataIndex: 'skill', key: 'skill', fixed: 'left' },
+      ...days.map(day => ({
+        title: dayjs(day).format('ddd D'),
+        key: day,
+        align: 'center',
+        render: (_, row) => {
+          const slot = row.slots[day];
+          if (!slot) return <span style={{ color: '#bfbfbf' }}>—</span>;
+          const callIns = slot.called_in > 0 ? ` (${slot.planned} planned, ${slot.called_in} called in)` : '';
+          return (
+            <Tooltip title={(slot.shortfall > 0 ? `${slot.shortfall} short` : 'Covered') + callIns}>
+              <span className={slot.shortfall > 0 ? 'coverage-short' : 'coverage-ok'}>
+                {slot.assigned}/{slot.demand}
+              </span>
+            </Tooltip>
+          );
+        }
+      }))
+    ];
 
-    return calculatedMetrics;
+    const dataSource = skills.map(skill => ({
+      key: skill,
+      skill,
+      slots: Object.fromEntries(
+        coverage.filter(slot => slot.skill === skill).map(slot => [slot.day, slot])
+      )
+    }));
+
+    return { columns, dataSource };
   };
 
   const metricsData = calculateMetrics();
 
+  // Two-stage models report every scenario's coverage, shown one at a time
+  const coverageScenarios = [...new Set(metricsData.coverage.map(slot => slot.scenario).filter(Boolean))];
+  const activeCoverageScenario = coverageScenarios.includes(coverageScenario) ? coverageScenario : coverageScenarios[0];
+  const shownCoverage = coverageScenarios.length > 0
+    ? metricsData.coverage.filter(slot => slot.scenario === activeCoverageScenario)
+    : metricsData.coverage;
+
   const getStatusColor = (status) => {
     switch (status?.toUpperCase()) {
       case 'OPTIMAL':
@@ -100,14 +156,37 @@ const MetricsPanel = ({ solution, metrics = [] }) => {
 
       <Card size="small" className="metric-item">
         <Statistic
-          title="Total Cost"
-          value={metricsData.objective_value}
+          title={metricsData.risk ? 'Plan Cost' : 'Total Cost'}
+          value={metricsData.total_cost}
           formatter={formatCurrency}
           prefix={<DollarOutlined />}
           valueStyle={{ color: '#1890ff' }}
         />
       </Card>
 
+      {/* Cost once call-ins are counted, in two-stage models */}
+      {metricsData.risk && (
+        <Card size="small" className="metric-item">
+          <Statistic
+            title="Expected Cost"
+            value={metricsData.risk.expected_cost}
+            formatter={formatCurrency}
+            prefix={<DollarOutlined />}
+          />
+        </Card>
+      )}
+      {metricsData.risk && (
+        <Card size="small" className="metric-item">
+          <Statistic
+            title={`CVaR (α = ${metricsData.risk.alpha})`}
+            value={metricsData.risk.cvar}
+            formatter={formatCurrency}
+            prefix={<DollarOutlined />}
+            valueStyle={{ color: metricsData.risk.measure === 'cvar' ? '#cf1322' : undefined }}
+          />
+        </Card>
+      )}
+
       <Card size="small" className="metric-item">
         <Statistic
           title="Solve Time"
@@ -139,6 +218,11 @@ const MetricsPanel = ({ solution, metrics = [] }) => {
             '100%': '#87d068',
           }}
         />
+        {metricsData.max_daily_assignments !== undefined && (
+          <div className="metric-label">
+            Hired staff against a capacity of {metricsData.max_daily_assignments} assignment(s) per day
+          </div>
+        )}
       </Card>
 
       <Card size="small" style={{ gridColumn: 'span 2' }}>
@@ -153,18 +237,21 @@ const MetricsPanel = ({ solution, metrics = [] }) => {
             '100%': '#95de64',
           }}
         />
+        <div className="metric-label">
+          {metricsData.covered_demand} of {metricsData.total_demand} required assignments covered
+          {coverageScenarios.length > 0 && ` across ${coverageScenarios.length} scenarios, with call-ins`}
+          {metricsData.shortfall_count > 0 &&
+            ` · ${metricsData.shortfall_count} slot(s) short by ${metricsData.shortfall_total} in total`}
+        </div>
       </Card>
 
       {/* Additional Metrics */}
-      {metrics.includes('cost_efficiency') && (
+      {metrics.includes('cost_per_assignment') && metricsData.cost_per_assignment !== undefined && (
         <Card size="small" className="metric-item">
           <Statistic
-            title="Cost Efficiency"
-            value={metricsData.cost_efficiency}
-            suffix="%"
-            valueStyle={{ 
-              color: metricsData.cost_efficiency > 80 ? '#52c41a' : '#faad14' 
-            }}
+            title="Cost per Assignment"
+            value={metricsData.cost_per_assignment ?? 0}
+            formatter={formatCurrency}
           />
         </Card>
       )}
@@ -172,26 +259,58 @@ const MetricsPanel = ({ solution, metrics = [] }) => {
       {/* Solution Quality Indicator */}
       <Card size="small" style={{ gridColumn: 'span 2' }}>
         <Row gutter={16}>
-          <Col span={12}>
+          <Col span={8}>
+            <div style={{ textAlign: 'center' }}>
+              <div className="metric-value" style={{ fontSize: '18px' }}>
+                {formatGap(metricsData.relative_gap)}
+              </div>
+              <div className="metric-label">MIP Gap</div>
+            </div>
+          </Col>
+          <Col span={8}>
             <div style={{ textAlign: 'center' }}>
               <div className="metric-value" style={{ fontSize: '18px' }}>
-                {metricsData.status === 'OPTIMAL' ? '100%' : '85%'}
+                {metricsData.objective_bound !== null && metricsData.objective_bound !== undefined
+                  ? metricsData.objective_bound.toLocaleString('en-US', { maximumFractionDigits: 2 })
+                  : '—'}
               </div>
-              <div className="metric-label">Solution Quality</div>
+              <div className="metric-label">Best Bound</div>
             </div>
           </Col>
-          <Col span={12}>
+          <Col span={8}>
             <div style={{ textAlign: 'center' }}>
               <div className="metric-value" style={{ fontSize: '18px' }}>
-                {metricsData.total_assignments > 0 ? 'Yes' : 'No'}
+                {metricsData.feasible ? 'Yes' : 'No'}
               </div>
               <div className="metric-label">Feasible Solution</div>
             </div>
           </Col>
         </Row>
       </Card>
+
+      {/* Coverage by skill and day */}
+      {metricsData.coverage.length > 0 && (
+        <Card
+          size="small"
+          title="Coverage by Skill and Day"
+          style={{ gridColumn: '1 / -1' }}
+          extra={coverageScenarios.length > 0 && (
+            <Space size="small">
+              Scenario
+              <Segmented size="small" value={activeCoverageScenario} onChange={setCoverageScenario} options={coverageScenarios} />
+            </Space>
+          )}
+        >
+          <Table
+            {...buildCoverageTable(shownCoverage)}
+            pagination={false}
+            size="small"
+            scroll={{ x: true }}
+          />
+        </Card>
+      )}
     </div>
   );
 };
 
-export default MetricsPanel;
\ No newline at end of file
+export default MetricsPanel;
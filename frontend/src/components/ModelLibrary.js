@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { List, Button, Tag, Space, Typography, Empty, Dropdown, Modal, Input, message } from 'antd';
+import { PlusOutlined, ReloadOutlined, MoreOutlined, EditOutlined, CopyOutlined, DeleteOutlined, UploadOutlined, DownloadOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { ApiService } from '../services/ApiService';
+import { clearStoredHistory } from '../hooks/usePatchHistory';
+import { exportConfigYAML } from '../utils/exporters';
+import ConfigImport from './ConfigImport';
+
+const { Text } = Typography;
+
+const SOLVE_STATUS_COLORS = {
+  OPTIMAL: 'green',
+  INFEASIBLE: 'red',
+  INFEASIBLE_OR_UNBOUNDED: 'red',
+  TIME_LIMIT: 'orange',
+  INTERRUPTED: 'orange'
+};
+
+const formatDateRange = (range) => (
+  range ? `${dayjs(range.start).format('MMM D')} – ${dayjs(range.end).format('MMM D, YYYY')}` : 'No date range'
+);
+
+// Saved models, most recently changed first: open one to continue working
+// on it, or rename, duplicate and delete models. Models can also be
+// imported from a config file and downloaded back as YAML
+const ModelLibrary = ({ currentModelId, refreshToken, onOpenModel, onCreateModel, onModelRenamed, onModelDeleted, disabled }) => {
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await ApiService.listModels();
+      setModels(response.models || []);
+      return response.models || [];
+    } catch (error) {
+      message.error('Failed to list models: ' + error.message);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshToken]);
+
+  const startRename = (model) => {
+    setRenaming(model);
+    setNewName(model.name);
+  };
+
+  const handleRename = async () => {
+    const name = newName.trim();
+    if (!name) {
+      message.warning('Enter a name');
+      return;
+    }
+    try {
+      await ApiService.renameModel(renaming.id, name);
+      onModelRenamed?.(renaming.id, name);
+      setRenaming(null);
+      await refresh();
+    } catch (error) {
+      message.error('Failed to rename model: ' + error.message);
+    }
+  };
+
+  const handleDuplicate = async (model) => {
+    try {
+      const copy = await ApiService.forkModel(model.id, `${model.name} (copy)`);
+      message.success(`Created ${copy.name}`);
+      await refresh();
+    } catch (error) {
+      message.error('Failed to duplicate model: ' + error.message);
+    }
+  };
+
+  const handleDownload = async (model) => {
+    try {
+      const yaml = await ApiService.exportConfigYaml(model.id);
+      exportConfigYAML(yaml, `${model.name}.yaml`);
+    } catch (error) {
+      message.error('Failed to download config: ' + error.message);
+    }
+  };
+
+  const handleImported = async (id) => {
+    setImporting(false);
+    await refresh();
+    onOpenModel(id);
+  };
+
+  const handleDelete = (model) => {
+    Modal.confirm({
+      title: `Delete ${model.name}?`,
+      content: 'The model, its change history and its last solution are removed for good.',
+      okText: 'Delete',
+      okButtonProps: { danger: true },
+      onOk: async () => {
+        try {
+          await ApiService.deleteModel(model.id);
+          clearStoredHistory(model.id);
+          message.success(`Deleted ${model.name}`);
+          const remaining = await refresh();
+          onModelDeleted?.(model.id, remaining);
+        } catch (error) {
+          message.error('Failed to delete model: ' + error.message);
+        }
+      }
+    });
+  };
+
+  const menuFor = (model) => ({
+    items: [
+      { key: 'rename', icon: <EditOutlined />, label: 'Rename' },
+      { key: 'duplicate', icon: <CopyOutlined />, label: 'Duplicate' },
+      { key: 'download', icon: <DownloadOutlined />, label: 'Download YAML' },
+      { type: 'divider' },
+      { key: 'delete', icon: <DeleteOutlined />, label: 'Delete', danger: true }
+    ],
+    onClick: ({ key, domEvent }) => {
+      domEvent.stopPropagation();
+      if (key === 'rename') startRename(model);
+      if (key === 'duplicate') handleDuplicate(model);
+      if (key === 'download') handleDownload(model);
+      if (key === 'delete') handleDelete(model);
+    }
+  });
+
+  return (
+    <div className="model-library">
+      <div className="model-library-header">
+        <Text strong>Models</Text>
+        <Space size="small">
+          <Button size="small" icon={<ReloadOutlined />} onClick={refresh} loading={loading} />
+          <Button size="small" icon={<UploadOutlined />} onClick={() => setImporting(true)} disabled={disabled}>
+            Import
+          </Button>
+          <Button size="small" type="primary" icon={<PlusOutlined />} onClick={onCreateModel} disabled={disabled}>
+            New
+          </Button>
+        </Space>
+      </div>
+
+      {models.length === 0 && !loading ? (
+        <Empty description="No saved models" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+      ) : (
+        <List
+          loading={loading}
+          dataSource={models}
+          renderItem={(model) => {
+            const current = model.id === currentModelId;
+            return (
+              <List.Item
+                className={current ? 'model-library-item model-library-item-active' : 'model-library-item'}
+                onClick={() => !current && !disabled && onOpenModel(model.id)}
+                actions={[
+                  <Dropdown key="more" menu={menuFor(model)} trigger={['click']}>
+                    <Button size="small" type="text" icon={<MoreOutlined />} onClick={(event) => event.stopPropagation()} />
+                  </Dropdown>
+                ]}
+              >
+                <List.Item.Meta
+                  title={<Text strong={current} ellipsis>{model.name}</Text>}
+                  description={
+                    <Space direction="vertical" size={0}>
+                      <Text type="secondary" style={{ fontSize: 12 }}>
+                        {model.template} · {formatDateRange(model.date_range)}
+                      </Text>
+                      <Space size={4} wrap>
+                        {model.solve_status ? (
+                          <Tag color={SOLVE_STATUS_COLORS[model.solve_status] || 'default'}>{model.solve_status}</Tag>
+                        ) : (
+                          <Tag>not solved</Tag>
+                        )}
+                        {model.objective_value !== null && model.objective_value !== undefined && (
+                          <Text type="secondary" style={{ fontSize: 12 }}>
+                            objective {Number(model.objective_value).toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                          </Text>
+                        )}
+                      </Space>
+                      <Text type="secondary" style={{ fontSize: 12 }}>
+                        updated {dayjs(model.updated_at).format('YYYY-MM-DD HH:mm')}
+                      </Text>
+                    </Space>
+                  }
+                />
+              </List.Item>
+            );
+          }}
+        />
+      )}
+
+      <Modal
+        title="Rename model"
+        open={renaming !== null}
+        onOk={handleRename}
+        onCancel={() => setRenaming(null)}
+        okText="Rename"
+      >
+        <Input
+          value={newName}
+          onChange={(event) => setNewName(event.target.value)}
+          onPressEnter={handleRename}
+          maxLength={80}
+          autoFocus
+        />
+      </Modal>
+
+      <ConfigImport open={importing} onClose={() => setImporting(false)} onImported={handleImported} />
+    </div>
+  );
+};
+
+export default ModelLibrary;
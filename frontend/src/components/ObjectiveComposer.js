@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import {
+  Radio,
+  Switch,
+  Slider,
+  InputNumber,
+  Button,
+  Space,
+  Typography,
+  Tooltip,
+  Row,
+  Col,
+  Alert
+} from 'antd';
+import { ArrowUpOutlined, ArrowDownOutlined, CheckOutlined, UndoOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const defaultArgs = (schema) => Object.fromEntries(
+  (schema?.args || [])
+    .filter(arg => arg.default !== null && arg.default !== undefined)
+    .map(arg => [arg.name, arg.default])
+);
+
+// Active objectives first, in their configured order, then the remaining
+// registered objectives switched off
+const buildDraft = (schemas, objectives) => {
+  const active = objectives.map(objective => ({
+    name: objective.name,
+    function: objective.function,
+    args: objective.args || {},
+    weight: objective.weight ?? 1,
+    enabled: true
+  }));
+  const inactive = schemas
+    .filter(schema => !objectives.some(objective => objective.function === schema.name))
+    .map(schema => ({
+      name: schema.name,
+      function: schema.name,
+      args: defaultArgs(schema),
+      weight: 1,
+      enabled: false
+    }));
+  return [...active, ...inactive];
+};
+
+const toOverride = ({ name, function: func, args, weight }) => ({ name, function: func, args, weight });
+
+const ObjectiveComposer = ({ schemas, objectives, mode, onApply, disabled }) => {
+  const [draft, setDraft] = useState(() => buildDraft(schemas, objectives));
+  const [draftMode, setDraftMode] = useState(mode);
+
+  // Start over only when the objectives themselves change (apply, undo,
+  // redo), not when some other patch hands in an equal copy
+  const signature = JSON.stringify([schemas.map(schema => schema.name), objectives, mode]);
+  const [draftSignature, setDraftSignature] = useState(signature);
+  if (signature !== draftSignature) {
+    setDraftSignature(signature);
+    setDraft(buildDraft(schemas, objectives));
+    setDraftMode(mode);
+  }
+
+  const updateEntry = (index, changes) => {
+    setDraft(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const moveEntry = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  // Coverage first, then cost among the solutions with maximum coverage
+  const applyCoverageThenCost = () => {
+    const order = ['maximize_coverage', 'minimize_cost'];
+    setDraftMode('lexicographic');
+    setDraft(prev => {
+      const ranked = order
+        .map(func => prev.find(entry => entry.function === func))
+        .filter(Boolean)
+        .map(entry => ({ ...entry, enabled: true }));
+      const rest = prev
+        .filter(entry => !order.includes(entry.function))
+        .map(entry => ({ ...entry, enabled: false }));
+      return [...ranked, ...rest];
+    });
+  };
+
+  const enabled = draft.filter(entry => entry.enabled).map(toOverride);
+
+  const patches = [
+    { operation: 'replace', path: ['overrides', 'objective'], value: enabled }
+  ];
+  if (draftMode !== mode) {
+    patches.push({ operation: 'merge', path: ['options', 'objective_mode'], value: draftMode });
+  }
+
+  const changed = draftMode !== mode ||
+    JSON.stringify(enabled) !== JSON.stringify(objectives.map(toOverride));
+
+  const handleApply = () => {
+    const label = draftMode === 'lexicographic'
+      ? `Optimize ${enabled.map(entry => entry.name).join(', then ')}`
+      : `Blend objectives ${enabled.map(entry => `${entry.name} × ${entry.weight}`).join(' + ')}`;
+    onApply(patches, label);
+  };
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Space wrap>
+        <Radio.Group
+          value={draftMode}
+          onChange={(e) => setDraftMode(e.target.value)}
+          optionType="button"
+          disabled={disabled}
+        >
+          <Radio.Button value="weighted">Weighted blend</Radio.Button>
+          <Radio.Button value="lexicographic">Lexicographic</Radio.Button>
+        </Radio.Group>
+        <Button onClick={applyCoverageThenCost} disabled={disabled}>
+          Coverage, then cost
+        </Button>
+      </Space>
+
+      <Text type="secondary">
+        {draftMode === 'weighted'
+          ? 'Maximized objectives are negated and all terms are minimized as one weighted sum. Weights are not normalized, so scale them to the magnitude of each objective.'
+          : 'Objectives are optimized top to bottom; each one keeps the optimum of those above it.'}
+      </Text>
+
+      {draft.map((entry, index) => {
+        const schema = schemas.find(s => s.name === entry.function);
+        return (
+          <Row key={entry.name} gutter={12} align="middle">
+            <Col flex="none">
+              <Switch
+                size="small"
+                checked={entry.enabled}
+                onChange={(checked) => updateEntry(index, { enabled: checked })}
+                disabled={disabled}
+              />
+            </Col>
+            <Col flex="180px">
+              <Tooltip title={schema?.description}>
+                <Text strong={entry.enabled} type={entry.enabled ? undefined : 'secondary'}>
+                  {entry.name}
+                </Text>
+              </Tooltip>
+            </Col>
+            {draftMode === 'weighted' ? (
+              <>
+                <Col flex="auto">
+                  <Slider
+                    min={0}
+                    max={10}
+                    step={0.1}
+                    value={Math.min(entry.weight, 10)}
+                    onChange={(weight) => updateEntry(index, { weight })}
+                    disabled={disabled || !entry.enabled}
+                  />
+                </Col>
+                <Col flex="100px">
+                  <InputNumber
+                    min={0}
+                    step={0.1}
+                    value={entry.weight}
+                    onChange={(weight) => updateEntry(index, { weight: weight ?? 0 })}
+                    disabled={disabled || !entry.enabled}
+                    style={{ width: '100%' }}
+                  />
+                </Col>
+              </>
+            ) : (
+              <Col flex="auto">
+                <Space>
+                  <Button
+                    size="small"
+                    icon={<ArrowUpOutlined />}
+                    onClick={() => moveEntry(index, -1)}
+                    disabled={disabled || index === 0}
+                  />
+                  <Button
+                    size="small"
+                    icon={<ArrowDownOutlined />}
+                    onClick={() => moveEntry(index, 1)}
+                    disabled={disabled || index === draft.length - 1}
+                  />
+                </Space>
+              </Col>
+            )}
+          </Row>
+        );
+      })}
+
+      {enabled.length === 0 && (
+        <Alert type="info" showIcon message="No objective selected: the template's default cost objective is used." />
+      )}
+
+      <div>
+        <Text type="secondary">Patch to send:</Text>
+        <pre className="patch-preview">{JSON.stringify(patches, null, 2)}</pre>
+      </div>
+
+      <Space>
+        <Button
+          type="primary"
+          icon={<CheckOutlined />}
+          onClick={handleApply}
+          disabled={disabled || !changed}
+        >
+          Apply Objectives
+        </Button>
+        <Button
+          icon={<UndoOutlined />}
+          onClick={() => {
+            setDraft(buildDraft(schemas, objectives));
+            setDraftMode(mode);
+          }}
+          disabled={disabled || !changed}
+        >
+          Reset
+        </Button>
+      </Space>
+    </Space>
+  );
+};
+
+export default ObjectiveComposer;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Tabs, Segmented, Select, Space, Tag, Typography, Empty, message } from 'antd';
+import dayjs from 'dayjs';
+import { ApiService } from '../services/ApiService';
+import EditableGrid from './EditableGrid';
+
+const { Text } = Typography;
+
+const GRID_PARAMETERS = ['demand', 'candidate_skills', 'cost_month'];
+
+const COST_COLUMNS = [{ key: 'cost', title: 'Monthly cost' }];
+
+// Columns that identify a row of each table
+const DEMAND_KEYS = ['scenario', 'day', 'skill'];
+const HOURLY_DEMAND_KEYS = ['scenario', 'day', 'hour', 'skill'];
+
+const HOUR_ROWS = Array.from({ length: 24 }, (_, hour) => ({ key: hour, title: `${String(hour).padStart(2, '0')}:00` }));
+const SKILL_KEYS = ['candidate', 'skill'];
+
+const fetchParameters = async (modelId, names) => {
+  const entries = await Promise.all(names.map(async name => [name, await ApiService.getParameterData(modelId, name)]));
+  return Object.fromEntries(entries);
+};
+
+const indexValues = (modelConfig, name) => modelConfig?.indexes?.[name]?.values || [];
+
+const dateRangeDays = (index) => {
+  if (!index || index.type !== 'date_range') return [];
+  const days = [];
+  for (let day = dayjs(index.start); !day.isAfter(dayjs(index.end)); day = day.add(1, 'day')) {
+    days.push(day.format('YYYY-MM-DD'));
+  }
+  return days;
+};
+
+// Table rows keyed by the values of the given columns, as {key: row index}
+const rowLookup = (parameter, columns) => {
+  const lookup = {};
+  if (!parameter) return lookup;
+  const positions = columns.map(column => parameter.schema.indexOf(column));
+  parameter.rows.forEach((row, i) => {
+    lookup[positions.map(p => String(row[p])).join('|')] = i;
+  });
+  return lookup;
+};
+
+// Table rows with the given cells set; a null value removes the row.
+// keyColumns name the columns that identify a row, valueColumn the edited one.
+const updateRows = (parameter, keyColumns, valueColumn, changes) => {
+  const lookup = rowLookup(parameter, keyColumns);
+  const valueIndex = parameter.schema.indexOf(valueColumn);
+  const rows = parameter.rows.map(row => [...row]);
+  const removed = new Set();
+
+  changes.forEach(({ keys, value }) => {
+    const index = lookup[keys.join('|')];
+    if (value === null) {
+      if (index !== undefined) removed.add(index);
+    } else if (index !== undefined) {
+      rows[index][valueIndex] = value;
+    } else {
+      const row = parameter.schema.map(() => null);
+      keyColumns.forEach((column, i) => { row[parameter.schema.indexOf(column)] = keys[i]; });
+      row[valueIndex] = value;
+      rows.push(row);
+    }
+  });
+  return rows.filter((_, i) => !removed.has(i));
+};
+
+const cellValue = (parameter, lookup, valueColumn, keys) => {
+  const index = lookup[keys.join('|')];
+  return index === undefined ? undefined : parameter.rows[index][parameter.schema.indexOf(valueColumn)];
+};
+
+// Spreadsheet editors for the demand, skills and cost parameters. Each
+// edit replaces the whole parameter with one undoable patch; cells that
+// differ from the data of the last solve stay highlighted until the next.
+const ParameterGrids = ({ modelId, modelConfig, version, solution, onApply, loading }) => {
+  const [data, setData] = useState({});
+  const [baseline, setBaseline] = useState({});
+  const [scenario, setScenario] = useState(null);
+  const [demandDay, setDemandDay] = useState(null);
+  const [reloads, setReloads] = useState(0);
+  const baselineSource = useRef(null);
+  // Edits build on the latest local data rather than the last fetch, so
+  // a second edit made before the reload keeps the first. editCount
+  // tells a fetch whether edits were made after it started.
+  const latest = useRef({});
+  const editCount = useRef(0);
+  const pendingEdits = useRef(0);
+
+  const names = useMemo(
+    () => GRID_PARAMETERS.filter(name => modelConfig?.parameters?.[name]),
+    [modelConfig]
+  );
+  const namesKey = names.join(',');
+
+  // Reload after every change to the config; the data a solve ran on
+  // becomes the baseline that edits are compared with
+  useEffect(() => {
+    if (!modelId || !namesKey) return undefined;
+    let cancelled = false;
+    const editsAtStart = editCount.current;
+    fetchParameters(modelId, namesKey.split(','))
+      .then(next => {
+        if (cancelled || pendingEdits.current > 0 || editCount.current !== editsAtStart) return;
+        latest.current = next;
+        setData(next);
+        const source = { modelId, solution };
+        if (!baselineSource.current || baselineSource.current.modelId !== modelId ||
+            baselineSource.current.solution !== solution) {
+          baselineSource.current = source;
+          setBaseline(next);
+        }
+      })
+      .catch(error => message.error('Failed to load parameter data: ' + error.message));
+    return () => { cancelled = true; };
+  }, [modelId, namesKey, version, solution, reloads]);
+
+  const candidates = indexValues(modelConfig, 'candidates');
+  const skills = indexValues(modelConfig, 'skills');
+  const scenarios = indexValues(modelConfig, 'scenarios').length > 0 ? indexValues(modelConfig, 'scenarios') : ['base'];
+  const days = dateRangeDays(modelConfig?.indexes?.days);
+  const activeScenario = scenarios.includes(scenario) ? scenario : scenarios[0];
+  const activeDay = days.includes(demandDay) ? demandDay : days[0];
+
+  const skillColumns = skills.map(skill => ({ key: skill, title: skill }));
+  const candidateRows = candidates.map(candidate => ({ key: candidate, title: candidate }));
+
+  const apply = async (name, value, label) => {
+    const previous = latest.current[name];
+    const table = previous.type === 'table';
+    latest.current = { ...latest.current, [name]: table ? { ...previous, rows: value } : { ...previous, data: value } };
+    setData(latest.current);
+
+    editCount.current += 1;
+    pendingEdits.current += 1;
+    const applied = await onApply(name, value, table ? previous.rows : previous.data, label);
+    pendingEdits.current -= 1;
+    // A rejected edit is shown until the server's data is reloaded
+    if (!applied) setReloads(count => count + 1);
+  };
+
+  // Demand: one grid per scenario, days by skills; hourly demand has one
+  // grid per scenario and day, hours by skills
+  const hourly = Boolean(data.demand?.schema.includes('hour'));
+  const demandKeys = hourly ? HOURLY_DEMAND_KEYS : DEMAND_KEYS;
+  const demandLookup = useMemo(() => rowLookup(data.demand, demandKeys), [data.demand, demandKeys]);
+  const baselineDemandLookup = useMemo(() => rowLookup(baseline.demand, demandKeys), [baseline.demand, demandKeys]);
+  const demandCell = (row, skill) => (hourly ? [activeScenario, activeDay, row, skill] : [activeScenario, row, skill]);
+  const demandValue = (row, skill) => cellValue(data.demand, demandLookup, 'value', demandCell(row, skill));
+  const demandChangedIn = (keys) => baseline.demand !== undefined &&
+    (cellValue(data.demand, demandLookup, 'value', keys) ?? null) !==
+    (cellValue(baseline.demand, baselineDemandLookup, 'value', keys) ?? null);
+  const demandChanged = (row, skill) => demandChangedIn(demandCell(row, skill));
+  const handleDemandChange = (changes) => apply(
+    'demand',
+    updateRows(latest.current.demand, demandKeys, 'value', changes.map(({ row, column, value }) => ({ keys: demandCell(row, column), value }))),
+    `Edit demand (${changes.length} cell${changes.length === 1 ? '' : 's'})`
+  );
+
+  // Skills: candidates by skills, checked when the candidate has the skill
+  const skillLookup = useMemo(() => rowLookup(data.candidate_skills, SKILL_KEYS), [data.candidate_skills]);
+  const baselineSkillLookup = useMemo(() => rowLookup(baseline.candidate_skills, SKILL_KEYS), [baseline.candidate_skills]);
+  const skillValue = (candidate, skill) => Boolean(cellValue(data.candidate_skills, skillLookup, 'has_skill', [candidate, skill]));
+  const skillChanged = (candidate, skill) => baseline.candidate_skills !== undefined &&
+    skillValue(candidate, skill) !== Boolean(cellValue(baseline.candidate_skills, baselineSkillLookup, 'has_skill', [candidate, skill]));
+  const handleSkillChange = (changes) => apply(
+    'candidate_skills',
+    updateRows(latest.current.candidate_skills, SKILL_KEYS, 'has_skill', changes.map(({ row, column, value }) => ({ keys: [row, column], value }))),
+    `Edit skills (${changes.length} cell${changes.length === 1 ? '' : 's'})`
+  );
+
+  // Cost: one monthly cost per candidate
+  const costValue = (candidate) => data.cost_month?.data?.[candidate];
+  const costChanged = (candidate) => baseline.cost_month !== undefined &&
+    (costValue(candidate) ?? null) !== (baseline.cost_month.data?.[candidate] ?? null);
+  const handleCostChange = (changes) => {
+    const next = { ...latest.current.cost_month.data };
+    changes.forEach(({ row, value }) => {
+      if (value === null) delete next[row];
+      else next[row] = value;
+    });
+    apply('cost_month', next, `Edit monthly cost (${changes.length} candidate${changes.length === 1 ? '' : 's'})`);
+  };
+
+  const changedCount = (rows, columns, isChanged) => rows.reduce(
+    (count, row) => count + columns.filter(column => isChanged(row.key, column.key)).length, 0
+  );
+
+  const tabLabel = (title, count) => (
+    <Space size={4}>
+      {title}
+      {count > 0 && <Tag color="gold">{count} changed</Tag>}
+    </Space>
+  );
+
+  if (names.length === 0) {
+    return <Empty description="This model has no demand, skills or cost data" image={Empty.PRESENTED_IMAGE_SIMPLE} />;
+  }
+
+  const dayRows = days.map(day => ({ key: day, title: dayjs(day).format('ddd MM-DD') }));
+  const items = [];
+
+  if (data.demand) {
+    items.push({
+      key: 'demand',
+      label: tabLabel('Demand', scenarios.reduce(
+        (count, s) => count + (hourly
+          ? days.reduce((dayCount, day) => dayCount + changedCount(HOUR_ROWS, skillColumns, (hour, skill) => demandChangedIn([s, day, hour, skill])), 0)
+          : changedCount(dayRows, skillColumns, (day, skill) => demandChangedIn([s, day, skill]))),
+        0
+      )),
+      children: (
+        <Space direction="vertical" size="small" style={{ width: '100%' }}>
+          <Space wrap>
+            {scenarios.length > 1 && (
+              <Segmented value={activeScenario} onChange={setScenario} options={scenarios} />
+            )}
+            {hourly && (
+              <Select
+                value={activeDay}
+                onChange={setDemandDay}
+                options={dayRows.map(row => ({ value: row.key, label: row.title }))}
+                style={{ width: 140 }}
+              />
+            )}
+          </Space>
+          <EditableGrid
+            rows={hourly ? HOUR_ROWS : dayRows}
+            columns={skillColumns}
+            getValue={demandValue}
+            isChanged={demandChanged}
+            onChange={handleDemandChange}
+            disabled={loading}
+          />
+        </Space>
+      )
+    });
+  }
+
+  if (data.candidate_skills) {
+    items.push({
+      key: 'candidate_skills',
+      label: tabLabel('Skills', changedCount(candidateRows, skillColumns, skillChanged)),
+      children: (
+        <EditableGrid
+          type="boolean"
+          rows={candidateRows}
+          columns={skillColumns}
+          getValue={skillValue}
+          isChanged={skillChanged}
+          onChange={handleSkillChange}
+          disabled={loading}
+        />
+      )
+    });
+  }
+
+  if (data.cost_month) {
+    items.push({
+      key: 'cost_month',
+      label: tabLabel('Monthly cost', changedCount(candidateRows, COST_COLUMNS, costChanged)),
+      children: (
+        <EditableGrid
+          rows={candidateRows}
+          columns={COST_COLUMNS}
+          getValue={costValue}
+          isChanged={costChanged}
+          onChange={handleCostChange}
+          disabled={loading}
+        />
+      )
+    });
+  }
+
+  return (
+    <Space direction="vertical" size="small" style={{ width: '100%' }}>
+      <Text type="secondary">
+        Paste cells from Excel, or select cells and fill them. Highlighted cells changed since the last solve.
+      </Text>
+      <Tabs items={items} />
+    </Space>
+  );
+};
+
+export default ParameterGrids;
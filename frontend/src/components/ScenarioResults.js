@@ -0,0 +1,161 @@
+import React from 'react';
+import { Row, Col, Statistic, Table, Tag, Typography } from 'antd';
+import Plot from 'react-plotly.js';
+
+const { Text } = Typography;
+
+const RISK_LABELS = {
+  expected: 'lowest expected cost',
+  cvar: 'lowest CVaR'
+};
+
+const formatCost = (value) => (
+  value === null || value === undefined ? '—' : value.toLocaleString('en-US', { maximumFractionDigits: 0 })
+);
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+// Coverage and cost of every scenario. In two-stage models the plan is
+// the same in all of them and staff called in for a scenario cover the
+// rest; the risk summary shows what the objective weighed. Clicking a
+// scenario shows its call-ins in the other views.
+const ScenarioResults = ({ results, selected, onSelect }) => {
+  const { scenarios, risk } = results;
+  const twoStage = Boolean(risk);
+
+  const columns = [
+    {
+      title: 'Scenario',
+      dataIndex: 'scenario',
+      key: 'scenario',
+      render: (scenario) => (scenario === selected ? <Tag color="blue">{scenario}</Tag> : scenario)
+    },
+    ...(twoStage ? [{
+      title: 'Probability',
+      dataIndex: 'probability',
+      key: 'probability',
+      align: 'right',
+      render: formatPercent
+    }] : []),
+    {
+      title: 'Coverage',
+      key: 'coverage',
+      align: 'right',
+      render: (_, row) => (
+        <Text type={row.shortfall_total > 0 ? 'danger' : undefined}>
+          {row.covered_demand}/{row.demand} ({Math.round(row.coverage_rate)}%)
+        </Text>
+      )
+    },
+    ...(twoStage ? [
+      { title: 'Call-ins', dataIndex: 'call_ins', key: 'call_ins', align: 'right' },
+      { title: 'Call-in cost', dataIndex: 'recourse_cost', key: 'recourse_cost', align: 'right', render: formatCost }
+    ] : []),
+    { title: 'Total cost', dataIndex: 'total_cost', key: 'total_cost', align: 'right', render: formatCost }
+  ];
+
+  const costChart = () => {
+    const names = scenarios.map(result => result.scenario);
+    const bar = (name, values, color) => ({
+      x: names,
+      y: values,
+      name,
+      type: 'bar',
+      marker: { color },
+      hovertemplate: `%{x}: %{y:,.0f} ${name.toLowerCase()}<extra></extra>`
+    });
+    const markers = [
+      { name: 'Expected', value: risk.expected_cost, color: '#389e0d' },
+      { name: `CVaR ${formatPercent(risk.alpha)}`, value: risk.cvar, color: '#cf1322' }
+    ];
+
+    return (
+      <Plot
+        data={[
+          bar('Plan', scenarios.map(result => result.first_stage_cost), 'rgba(55, 128, 191, 0.7)'),
+          bar('Call-ins', scenarios.map(result => result.recourse_cost), 'rgba(250, 140, 22, 0.7)')
+        ]}
+        layout={{
+          title: 'Cost per Scenario',
+          barmode: 'stack',
+          yaxis: { title: 'Cost' },
+          shapes: markers.map(({ value, color }) => ({
+            type: 'line',
+            xref: 'paper',
+            x0: 0,
+            x1: 1,
+            y0: value,
+            y1: value,
+            line: { color, dash: 'dash', width: 2 }
+          })),
+          annotations: markers.map(({ name, value, color }) => ({
+            xref: 'paper',
+            x: 1,
+            y: value,
+            xanchor: 'right',
+            yanchor: 'bottom',
+            text: `${name} ${formatCost(value)}`,
+            font: { color },
+            showarrow: false
+          })),
+          height: 300,
+          margin: { l: 60, r: 30, t: 50, b: 40 },
+          legend: { orientation: 'h' }
+        }}
+        onClick={(event) => event.points?.[0] && onSelect(event.points[0].x)}
+        config={{ displayModeBar: false }}
+        style={{ width: '100%' }}
+      />
+    );
+  };
+
+  return (
+    <Row gutter={[16, 16]}>
+      {twoStage && (
+        <Col span={24}>
+          <Row gutter={16}>
+            <Col xs={12} md={6}>
+              <Statistic title="Plan cost" value={formatCost(risk.first_stage_cost)} />
+            </Col>
+            <Col xs={12} md={6}>
+              <Statistic title="Expected cost" value={formatCost(risk.expected_cost)} />
+            </Col>
+            <Col xs={12} md={6}>
+              <Statistic title={`CVaR (α = ${risk.alpha})`} value={formatCost(risk.cvar)} />
+            </Col>
+            <Col xs={12} md={6}>
+              <Statistic title="Worst case" value={formatCost(risk.worst_case_cost)} />
+            </Col>
+          </Row>
+          <Text type="secondary">
+            Planned for the {RISK_LABELS[risk.measure] || risk.measure}; staff are called in per scenario for what the plan leaves open.
+          </Text>
+        </Col>
+      )}
+
+      <Col xs={24} lg={twoStage ? 12 : 24}>
+        <Table
+          dataSource={scenarios.map(result => ({ ...result, key: result.scenario }))}
+          columns={columns}
+          pagination={false}
+          size="small"
+          rowClassName={(row) => (row.scenario === selected ? 'scenario-row-selected' : 'scenario-row')}
+          onRow={(row) => ({ onClick: () => onSelect(row.scenario) })}
+        />
+        {!twoStage && (
+          <Text type="secondary">
+            The plan alone covers every scenario. Set a risk_measure to plan for the likely case and call staff in for the rest.
+          </Text>
+        )}
+      </Col>
+
+      {twoStage && (
+        <Col xs={24} lg={12}>
+          {costChart()}
+        </Col>
+      )}
+    </Row>
+  );
+};
+
+export default ScenarioResults;
@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import { Input, Button, Space, Tag, Table, Row, Col, Card, Empty, Typography, Popconfirm } from 'antd';
+import { ForkOutlined, PlayCircleOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import VisualizationPanel from './VisualizationPanel';
+import MetricsPanel from './MetricsPanel';
+import { summarizeSolution } from '../utils/solution';
+
+const { Text } = Typography;
+
+const formatNumber = (value, digits = 0) => {
+  if (value === null || value === undefined) return '—';
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: digits });
+};
+
+// Signed difference against the baseline, with a relative change when meaningful
+const renderDelta = (value, baseline, digits) => {
+  if (value === null || value === undefined || baseline === null || baseline === undefined) {
+    return null;
+  }
+  const delta = value - baseline;
+  if (Math.abs(delta) < 1e-9) {
+    return <Text type="secondary"> (±0)</Text>;
+  }
+  const sign = delta > 0 ? '+' : '';
+  const percent = baseline !== 0 ? ` / ${sign}${((delta / Math.abs(baseline)) * 100).toFixed(1)}%` : '';
+  return (
+    <Text type="secondary">
+      {` (${sign}${formatNumber(delta, digits)}${percent})`}
+    </Text>
+  );
+};
+
+const ScenarioWorkspace = ({
+  variants,
+  activeModelId,
+  metrics,
+  uiSpec,
+  onFork,
+  onActivate,
+  onRemove,
+  onSolveAll,
+  loading
+}) => {
+  const [variantName, setVariantName] = useState('');
+
+  const summaries = useMemo(() => (
+    variants.map(variant => ({
+      ...variant,
+      summary: variant.solution ? summarizeSolution(variant.solution) : null
+    }))
+  ), [variants]);
+
+  const solvedVariants = useMemo(() => summaries.filter(v => v.summary), [summaries]);
+
+  const deltaRows = useMemo(() => {
+    if (solvedVariants.length === 0) return [];
+
+    const candidates = [...new Set(solvedVariants.flatMap(v => Object.keys(v.summary.by_candidate)))];
+    const rows = [
+      { key: 'objective_value', metric: 'Objective Value', digits: 2, get: s => s.objective_value },
+      { key: 'total_assignments', metric: 'Total Assignments', digits: 0, get: s => s.total_assignments },
+      { key: 'coverage_rate', metric: 'Coverage (%)', digits: 1, get: s => s.coverage_rate },
+      { key: 'shortfall_count', metric: 'Understaffed Slots', digits: 0, get: s => s.shortfall_count },
+      { key: 'staff_utilization', metric: 'Staff Utilization (%)', digits: 1, get: s => s.staff_utilization },
+      // Two-stage variants, e.g. the same model with expected cost and with CVaR
+      ...(solvedVariants.some(v => v.summary.expected_cost !== null) ? [
+        { key: 'expected_cost', metric: 'Expected Cost', digits: 0, get: s => s.expected_cost },
+        { key: 'cvar', metric: 'CVaR', digits: 0, get: s => s.cvar }
+      ] : []),
+      ...candidates.map(candidate => ({
+        key: `candidate-${candidate}`,
+        metric: `Assignments: ${candidate}`,
+        digits: 0,
+        get: s => s.by_candidate[candidate] ?? 0
+      }))
+    ];
+
+    return rows.map(row => {
+      const values = {};
+      solvedVariants.forEach(v => {
+        values[v.modelId] = row.get(v.summary);
+      });
+      return { ...row, values };
+    });
+  }, [solvedVariants]);
+
+  const baseline = solvedVariants[0];
+
+  const deltaColumns = [
+    {
+      title: 'Metric',
+      dataIndex: 'metric',
+      key: 'metric',
+      fixed: 'left'
+    },
+    ...solvedVariants.map(variant => ({
+      title: variant === baseline ? `${variant.name} (baseline)` : variant.name,
+      key: variant.modelId,
+      render: (_, row) => (
+        <span>
+          {formatNumber(row.values[variant.modelId], row.digits)}
+          {variant !== baseline && renderDelta(row.values[variant.modelId], row.values[baseline.modelId], row.digits)}
+        </span>
+      )
+    }))
+  ];
+
+  const handleFork = () => {
+    if (variantName.trim()) {
+      onFork(variantName.trim());
+      setVariantName('');
+    }
+  };
+
+  return (
+    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      <Space wrap style={{ width: '100%', justifyContent: 'space-between' }}>
+        <Space.Compact>
+          <Input
+            value={variantName}
+            onChange={(e) => setVariantName(e.target.value)}
+            onPressEnter={handleFork}
+            placeholder='Variant name, e.g. "+20% cost"'
+            style={{ width: 260 }}
+          />
+          <Button icon={<ForkOutlined />} onClick={handleFork} disabled={!variantName.trim() || loading}>
+            Fork Current Model
+          </Button>
+        </Space.Compact>
+
+        <Button
+          type="primary"
+          icon={<PlayCircleOutlined />}
+          onClick={onSolveAll}
+          loading={loading}
+          disabled={variants.length === 0}
+        >
+          Solve All Variants
+        </Button>
+      </Space>
+
+      <Space wrap>
+        {variants.map(variant => (
+          <Tag
+            key={variant.modelId}
+            color={variant.modelId === activeModelId ? 'blue' : 'default'}
+            style={{ padding: '4px 8px' }}
+          >
+            <Space size={4}>
+              <span>{variant.name}</span>
+              {variant.modelId === activeModelId ? (
+                <Text type="secondary" style={{ fontSize: 12 }}>(editing)</Text>
+              ) : (
+                <>
+                  <Button
+                    type="link"
+                    size="small"
+                    icon={<EditOutlined />}
+                    onClick={() => onActivate(variant.modelId)}
+                  />
+                  <Popconfirm
+                    title={`Delete variant "${variant.name}"?`}
+                    onConfirm={() => onRemove(variant.modelId)}
+                  >
+                    <Button type="link" size="small" danger icon={<DeleteOutlined />} />
+                  </Popconfirm>
+                </>
+              )}
+            </Space>
+          </Tag>
+        ))}
+      </Space>
+
+      {solvedVariants.length === 0 ? (
+        <Empty description="Solve the variants to compare their results" />
+      ) : (
+        <>
+          <Card title="Variant Deltas" size="small">
+            <Table
+              dataSource={deltaRows}
+              columns={deltaColumns}
+              pagination={false}
+              size="small"
+              scroll={{ x: true }}
+            />
+          </Card>
+
+          <Row gutter={[16, 16]}>
+            {solvedVariants.map(variant => (
+              <Col key={variant.modelId} xs={24} xl={Math.max(8, Math.floor(24 / solvedVariants.length))}>
+                <Card title={variant.name} size="small">
+                  <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+                    <MetricsPanel solution={variant.solution} metrics={metrics} />
+                    <VisualizationPanel
+                      solution={variant.solution}
+                      uiSpec={uiSpec}
+                    />
+                  </Space>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        </>
+      )}
+    </Space>
+  );
+};
+
+export default ScenarioWorkspace;
@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Button, Dropdown, Space, Alert, Tooltip, Typography, message } from 'antd';
+import { PushpinOutlined, PushpinFilled, CloseOutlined, PlusOutlined, UndoOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { ApiService } from '../services/ApiService';
+import { skillColor } from '../utils/solution';
+
+const { Text } = Typography;
+
+const PIN_FUNCTION = 'fix_assignment';
+
+// Same default as the work scheduling template
+const DEFAULT_MAX_DAILY = 2;
+
+const assignmentKey = ({ candidate, day, skill }) => `${candidate}|${day}|${skill}`;
+
+const parseKey = (key) => {
+  const [candidate, day, skill] = key.split('|');
+  return { candidate, day, skill };
+};
+
+// Pinned assignments in the model's constraint overrides, as {key: assigned}
+const configPins = (constraints) => Object.fromEntries(
+  (constraints || [])
+    .filter(constraint => constraint.function === PIN_FUNCTION)
+    .map(constraint => [assignmentKey(constraint.args), constraint.args.assigned !== false])
+);
+
+// Candidates with each skill, from the candidate_skills table
+const skillSets = (parameter) => {
+  if (!parameter) return null;
+  const [candidate, skill, hasSkill] = ['candidate', 'skill', 'has_skill'].map(column => parameter.schema.indexOf(column));
+  const sets = {};
+  parameter.rows.forEach(row => {
+    if (row[hasSkill]) (sets[row[candidate]] = sets[row[candidate]] || new Set()).add(row[skill]);
+  });
+  return sets;
+};
+
+// Problems with each assignment of the edited schedule, as {key: [message]}
+const checkSchedule = (assigned, skillsByCandidate, maxDaily) => {
+  const problems = {};
+  const add = (key, text) => { (problems[key] = problems[key] || []).push(text); };
+  const perDay = {};
+
+  assigned.forEach(key => {
+    const { candidate, day, skill } = parseKey(key);
+    if (skillsByCandidate && !skillsByCandidate[candidate]?.has(skill)) {
+      add(key, `${candidate} does not have the ${skill} skill`);
+    }
+    (perDay[`${candidate}|${day}`] = perDay[`${candidate}|${day}`] || []).push(key);
+  });
+
+  Object.values(perDay).forEach(keys => {
+    if (keys.length <= maxDaily) return;
+    const { candidate, day } = parseKey(keys[0]);
+    keys.forEach(key => add(key, `${candidate} has ${keys.length} assignments on ${day}, more than the ${maxDaily} allowed`));
+  });
+  return problems;
+};
+
+// The solved schedule as a board of people by days. Drag an assignment to
+// another person or day, remove it or add one; every edit is checked against
+// skills and the daily limit at once. Edits are kept as a draft until they
+// are pinned, which fixes them in the model and solves again around them.
+const ScheduleEditor = ({ modelId, modelConfig, assignments, candidates, days, skills, onPin, onClearPins, loading }) => {
+  const [edits, setEdits] = useState({});
+  const [skillData, setSkillData] = useState(null);
+  const [dragging, setDragging] = useState(null);
+
+  // A new solution already honours the pinned edits
+  useEffect(() => { setEdits({}); }, [assignments]);
+
+  useEffect(() => {
+    if (!modelId || !modelConfig?.parameters?.candidate_skills) {
+      setSkillData(null);
+      return undefined;
+    }
+    let cancelled = false;
+    ApiService.getParameterData(modelId, 'candidate_skills')
+      .then(data => { if (!cancelled) setSkillData(data); })
+      .catch(error => message.error('Failed to load skills: ' + error.message));
+    return () => { cancelled = true; };
+  }, [modelId, modelConfig]);
+
+  const solved = useMemo(() => new Set(assignments.map(assignmentKey)), [assignments]);
+  const pinned = useMemo(() => configPins(modelConfig?.overrides?.constraints), [modelConfig]);
+  const skillsByCandidate = useMemo(() => skillSets(skillData), [skillData]);
+  const maxDaily = modelConfig?.options?.max_daily_assignments ?? DEFAULT_MAX_DAILY;
+
+  const assigned = useMemo(() => {
+    const next = new Set(solved);
+    Object.entries(edits).forEach(([key, on]) => (on ? next.add(key) : next.delete(key)));
+    return next;
+  }, [solved, edits]);
+
+  const problems = useMemo(
+    () => checkSchedule(assigned, skillsByCandidate, maxDaily),
+    [assigned, skillsByCandidate, maxDaily]
+  );
+
+  const byCell = useMemo(() => {
+    const cells = {};
+    [...assigned].sort().forEach(key => {
+      const { candidate, day, skill } = parseKey(key);
+      (cells[`${candidate}|${day}`] = cells[`${candidate}|${day}`] || []).push(skill);
+    });
+    return cells;
+  }, [assigned]);
+
+  // Pins differing from the solve as well as explicit ones on solved entries
+  const setAssigned = (next, key, on) => {
+    if (!on && !solved.has(key)) delete next[key];
+    else next[key] = on;
+  };
+
+  const removeAssignment = (key) => setEdits(prev => {
+    const next = { ...prev };
+    setAssigned(next, key, false);
+    return next;
+  });
+
+  const addAssignment = (candidate, day, skill) => {
+    const key = assignmentKey({ candidate, day, skill });
+    if (assigned.has(key)) {
+      message.warning(`${candidate} already works ${skill} on ${day}`);
+      return;
+    }
+    setEdits(prev => ({ ...prev, [key]: true }));
+  };
+
+  const moveAssignment = (fromKey, candidate, day) => {
+    const { skill } = parseKey(fromKey);
+    const toKey = assignmentKey({ candidate, day, skill });
+    if (toKey === fromKey) return;
+    if (assigned.has(toKey)) {
+      message.warning(`${candidate} already works ${skill} on ${day}`);
+      return;
+    }
+    setEdits(prev => {
+      const next = { ...prev };
+      setAssigned(next, fromKey, false);
+      next[toKey] = true;
+      return next;
+    });
+  };
+
+  const togglePin = (key) => setEdits(prev => {
+    const next = { ...prev };
+    if (key in next && solved.has(key)) delete next[key];
+    else next[key] = true;
+    return next;
+  });
+
+  const pendingPins = Object.entries(edits).map(([key, on]) => ({ ...parseKey(key), assigned: on }));
+  const problemCount = Object.keys(problems).length;
+  const editedProblems = Object.keys(edits).filter(key => problems[key]).length;
+
+  const handleDrop = (event, candidate, day) => {
+    event.preventDefault();
+    const key = event.dataTransfer.getData('text/plain');
+    setDragging(null);
+    if (key) moveAssignment(key, candidate, day);
+  };
+
+  const renderChip = (candidate, day, skill) => {
+    const key = assignmentKey({ candidate, day, skill });
+    const chipProblems = problems[key];
+    const isPinned = pinned[key] === true || edits[key] === true;
+    const classNames = ['schedule-chip'];
+    if (key in edits && !(edits[key] && solved.has(key))) classNames.push('schedule-chip-edited');
+    if (chipProblems) classNames.push('schedule-chip-invalid');
+
+    return (
+      <Tooltip key={skill} title={chipProblems ? chipProblems.join('\n') : null}>
+        <span
+          className={classNames.join(' ')}
+          style={{ background: skillColor(skill) }}
+          draggable={!loading}
+          onDragStart={(event) => { event.dataTransfer.setData('text/plain', key); setDragging(key); }}
+          onDragEnd={() => setDragging(null)}
+        >
+          <span
+            className="schedule-chip-action"
+            title={isPinned ? 'Pinned' : 'Pin as it is'}
+            onClick={() => !loading && togglePin(key)}
+          >
+            {isPinned ? <PushpinFilled /> : <PushpinOutlined />}
+          </span>
+          {skill}
+          <span className="schedule-chip-action" title="Remove" onClick={() => !loading && removeAssignment(key)}>
+            <CloseOutlined />
+          </span>
+        </span>
+      </Tooltip>
+    );
+  };
+
+  const renderCell = (candidate, day) => {
+    const cellSkills = byCell[`${candidate}|${day}`] || [];
+    const addMenu = {
+      items: skills.map(skill => ({
+        key: skill,
+        label: skillsByCandidate && !skillsByCandidate[candidate]?.has(skill) ? `${skill} (no skill)` : skill,
+        disabled: cellSkills.includes(skill)
+      })),
+      onClick: ({ key }) => addAssignment(candidate, day, key)
+    };
+
+    return (
+      <td
+        key={day}
+        className={dragging ? 'schedule-cell schedule-cell-droppable' : 'schedule-cell'}
+        onDragOver={(event) => event.preventDefault()}
+        onDrop={(event) => handleDrop(event, candidate, day)}
+      >
+        {cellSkills.map(skill => renderChip(candidate, day, skill))}
+        <Dropdown menu={addMenu} trigger={['click']} disabled={loading}>
+          <span className="schedule-cell-add" title="Add assignment"><PlusOutlined /></span>
+        </Dropdown>
+      </td>
+    );
+  };
+
+  const pinnedCount = Object.keys(pinned).length;
+
+  return (
+    <Space direction="vertical" size="small" style={{ width: '100%' }}>
+      <Space wrap>
+        <Button
+          type="primary"
+          icon={<PushpinOutlined />}
+          onClick={() => onPin(pendingPins)}
+          disabled={pendingPins.length === 0 || editedProblems > 0 || loading}
+          loading={loading}
+        >
+          Pin {pendingPins.length > 0 ? `${pendingPins.length} ` : ''}& re-solve
+        </Button>
+        <Button icon={<UndoOutlined />} onClick={() => setEdits({})} disabled={pendingPins.length === 0}>
+          Discard edits
+        </Button>
+        <Button onClick={onClearPins} disabled={pinnedCount === 0 || loading}>
+          Clear {pinnedCount} pin(s)
+        </Button>
+        <Text type="secondary">
+          Drag assignments between people and days; pinned ones stay fixed when solving again.
+        </Text>
+      </Space>
+
+      {problemCount > 0 && (
+        <Alert
+          type="error"
+          showIcon
+          message={`${problemCount} assignment(s) break the rules${editedProblems > 0 ? '; fix the edited ones before pinning' : ''}`}
+          description={[...new Set(Object.values(problems).flat())].slice(0, 5).join('; ')}
+        />
+      )}
+
+      <div className="schedule-editor">
+        <table>
+          <thead>
+            <tr>
+              <th />
+              {days.map(day => <th key={day} className="schedule-header">{dayjs(day).format('ddd MM-DD')}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map(candidate => (
+              <tr key={candidate}>
+                <th className="schedule-header">{candidate}</th>
+                {days.map(day => renderCell(candidate, day))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Space>
+  );
+};
+
+export default ScheduleEditor;
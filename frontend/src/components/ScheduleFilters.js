@@ -0,0 +1,113 @@
+import React from 'react';
+import { Select, DatePicker, Space, Tag, Button } from 'antd';
+import { FilterOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { NO_FILTERS, hasFilters } from '../utils/filters';
+
+const { RangePicker } = DatePicker;
+
+const toOptions = (values) => values.map(value => ({ value, label: value }));
+
+// Filter controls for the result views with one removable chip per active
+// filter. `show` names the filters the model offers (uiSpec.filters).
+const ScheduleFilters = ({ filters, onChange, candidates, skills, days, scenarios, show }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const chips = [
+    ...filters.candidates.map(candidate => ({
+      key: `candidate:${candidate}`,
+      label: `Staff: ${candidate}`,
+      clear: () => update({ candidates: filters.candidates.filter(c => c !== candidate) })
+    })),
+    ...filters.skills.map(skill => ({
+      key: `skill:${skill}`,
+      label: `Skill: ${skill}`,
+      clear: () => update({ skills: filters.skills.filter(s => s !== skill) })
+    })),
+    ...(filters.days ? [{
+      key: 'days',
+      label: `Days: ${filters.days[0]} – ${filters.days[1]}`,
+      clear: () => update({ days: null })
+    }] : []),
+    ...(filters.scenario ? [{
+      key: 'scenario',
+      label: `Scenario: ${filters.scenario}`,
+      clear: () => update({ scenario: null })
+    }] : [])
+  ];
+
+  const outsideSchedule = (day) => days.length > 0 &&
+    (day.isBefore(dayjs(days[0]), 'day') || day.isAfter(dayjs(days[days.length - 1]), 'day'));
+
+  return (
+    <Space direction="vertical" size="small" style={{ width: '100%' }}>
+      <Space wrap>
+        <FilterOutlined />
+        {show.includes('candidates') && (
+          <Select
+            mode="multiple"
+            allowClear
+            size="small"
+            placeholder="Staff"
+            value={filters.candidates}
+            onChange={(value) => update({ candidates: value })}
+            options={toOptions(candidates)}
+            maxTagCount="responsive"
+            style={{ minWidth: 160 }}
+          />
+        )}
+        {show.includes('skills') && (
+          <Select
+            mode="multiple"
+            allowClear
+            size="small"
+            placeholder="Skills"
+            value={filters.skills}
+            onChange={(value) => update({ skills: value })}
+            options={toOptions(skills)}
+            maxTagCount="responsive"
+            style={{ minWidth: 160 }}
+          />
+        )}
+        <RangePicker
+          size="small"
+          value={filters.days ? filters.days.map(day => dayjs(day)) : null}
+          onChange={(range) => update({ days: range ? range.map(day => day.format('YYYY-MM-DD')) : null })}
+          disabledDate={outsideSchedule}
+        />
+        {show.includes('scenarios') && scenarios.length > 1 && (
+          <Select
+            allowClear
+            size="small"
+            placeholder="Scenario"
+            value={filters.scenario}
+            onChange={(value) => update({ scenario: value ?? null })}
+            options={toOptions(scenarios)}
+            style={{ minWidth: 140 }}
+          />
+        )}
+      </Space>
+
+      {hasFilters(filters) && (
+        <Space wrap size={4}>
+          {chips.map(chip => (
+            <Tag
+              key={chip.key}
+              color="blue"
+              closable
+              // The chip disappears once the filter is gone, not before
+              onClose={(event) => { event.preventDefault(); chip.clear(); }}
+            >
+              {chip.label}
+            </Tag>
+          ))}
+          <Button type="link" size="small" onClick={() => onChange(NO_FILTERS)}>
+            Clear all
+          </Button>
+        </Space>
+      )}
+    </Space>
+  );
+};
+
+export default ScheduleFilters;
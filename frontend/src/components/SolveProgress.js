@@ -0,0 +1,92 @@
+import React from 'react';
+import { Button, Row, Col, Statistic, Space, Typography } from 'antd';
+import { StopOutlined } from '@ant-design/icons';
+import Plot from 'react-plotly.js';
+
+const { Text } = Typography;
+
+const formatNumber = (value) => (
+  value === null || value === undefined ? '—' : Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })
+);
+
+// Live view of a running solve job: the incumbent objective closing in on
+// the best bound, with a cancel button that keeps the best solution so far
+const SolveProgress = ({ job, progress, onCancel, cancelling }) => {
+  const latest = progress[progress.length - 1] || {};
+  const withIncumbent = progress.filter(event => event.incumbent !== null && event.incumbent !== undefined);
+  const withBound = progress.filter(event => event.bound !== null && event.bound !== undefined);
+
+  const traces = [
+    {
+      x: withIncumbent.map(event => event.elapsed),
+      y: withIncumbent.map(event => event.incumbent),
+      type: 'scatter',
+      mode: 'lines+markers',
+      line: { shape: 'hv' },
+      name: 'Best solution'
+    },
+    {
+      x: withBound.map(event => event.elapsed),
+      y: withBound.map(event => event.bound),
+      type: 'scatter',
+      mode: 'lines',
+      line: { shape: 'hv', dash: 'dot' },
+      name: 'Best bound'
+    }
+  ];
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Row gutter={16} align="middle">
+        <Col span={5}>
+          <Statistic title="Elapsed (s)" value={formatNumber(latest.elapsed)} />
+        </Col>
+        <Col span={5}>
+          <Statistic title="Best Solution" value={formatNumber(latest.incumbent)} />
+        </Col>
+        <Col span={5}>
+          <Statistic title="Best Bound" value={formatNumber(latest.bound)} />
+        </Col>
+        <Col span={5}>
+          <Statistic
+            title="Gap"
+            value={latest.gap === null || latest.gap === undefined ? '—' : (latest.gap * 100).toFixed(2)}
+            suffix={latest.gap === null || latest.gap === undefined ? null : '%'}
+          />
+        </Col>
+        <Col span={4}>
+          <Button
+            danger
+            icon={<StopOutlined />}
+            onClick={onCancel}
+            loading={cancelling}
+            disabled={!job}
+          >
+            Cancel
+          </Button>
+        </Col>
+      </Row>
+
+      {progress.length === 0 ? (
+        <Text type="secondary">Waiting for the solver to report progress...</Text>
+      ) : (
+        <Plot
+          data={traces}
+          layout={{
+            title: 'Convergence',
+            xaxis: { title: 'Elapsed (s)' },
+            yaxis: { title: 'Objective' },
+            height: 300,
+            margin: { t: 40, r: 20, b: 40, l: 60 },
+            legend: { orientation: 'h' }
+          }}
+          style={{ width: '100%' }}
+          useResizeHandler
+          config={{ displayModeBar: false }}
+        />
+      )}
+    </Space>
+  );
+};
+
+export default SolveProgress;
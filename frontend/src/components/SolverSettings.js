@@ -0,0 +1,71 @@
+import React from 'react';
+import { Row, Col, Select, InputNumber, Typography } from 'antd';
+
+const { Text } = Typography;
+
+// Used until the server's solver list has loaded
+const DEFAULT_SOLVERS = [
+  { name: 'highs', label: 'HiGHS' },
+  { name: 'cbc', label: 'Cbc' }
+];
+
+// Numeric settings; an empty field keeps the solver's default
+const NUMERIC_SETTINGS = [
+  { key: 'time_limit', label: 'Time Limit (s)', min: 0, step: 10, placeholder: 'No limit' },
+  { key: 'relative_gap', label: 'Relative Gap', min: 0, max: 1, step: 0.001, placeholder: 'Default' },
+  { key: 'absolute_gap', label: 'Absolute Gap', min: 0, step: 1, placeholder: 'Default' },
+  { key: 'threads', label: 'Threads', min: 1, step: 1, precision: 0, placeholder: 'Default' },
+  { key: 'seed', label: 'Random Seed', min: 0, step: 1, precision: 0, placeholder: 'Default' }
+];
+
+// Solver choice and settings. Changes are stored in options.solver, as an
+// undoable patch, when the model is next solved.
+const SolverSettings = ({ solvers, settings, onChange, disabled }) => {
+  const available = solvers && solvers.length > 0 ? solvers : DEFAULT_SOLVERS;
+
+  const update = (key, value) => {
+    const next = { ...settings, [key]: value };
+    if (value === null || value === undefined) {
+      delete next[key];
+    }
+    onChange(next);
+  };
+
+  return (
+    <Row gutter={[16, 16]}>
+      <Col xs={24} sm={12} md={8}>
+        <div className="control-item">
+          <label className="control-label">Solver</label>
+          <Select
+            value={settings.solver || 'highs'}
+            onChange={(value) => update('solver', value)}
+            disabled={disabled}
+            style={{ width: '100%' }}
+            options={available.map(solver => ({ value: solver.name, label: solver.label }))}
+          />
+          {(settings.solver || 'highs') !== 'highs' && (
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Live progress and cancel are only available with HiGHS
+            </Text>
+          )}
+        </div>
+      </Col>
+      {NUMERIC_SETTINGS.map(({ key, label, ...inputProps }) => (
+        <Col xs={24} sm={12} md={8} key={key}>
+          <div className="control-item">
+            <label className="control-label">{label}</label>
+            <InputNumber
+              {...inputProps}
+              value={settings[key] ?? null}
+              onChange={(value) => update(key, value)}
+              disabled={disabled}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </Col>
+      ))}
+    </Row>
+  );
+};
+
+export default SolverSettings;
@@ -1,91 +1,119 @@
-import React, { useMemo } from 'react';
-import { Card, Row, Col, Table, Empty } from 'antd';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Card, Row, Col, Table, Empty, Button, Space, Dropdown, Segmented, Alert, Tag } from 'antd';
+import { DownloadOutlined, CalendarOutlined } from '@ant-design/icons';
 import Plot from 'react-plotly.js';
+import { decodeAssignments, solutionIndexes, skillColor, hoursByCandidate, assignLanes, isCallIn, scenarioResults } from '../utils/solution';
+import { exportCSV, exportXLSX, exportICS } from '../utils/exporters';
+import { NO_FILTERS, matchesFilters, drillInto, focusPreset } from '../utils/filters';
+import ScheduleEditor from './ScheduleEditor';
+import ScheduleFilters from './ScheduleFilters';
+import ScenarioResults from './ScenarioResults';
+
+// "2025-07-01T14:00:00" -> "14:00"
+const formatTime = (isoString) => isoString.slice(11, 16);
+
+const formatHours = (hours = 0) => Math.round(hours * 10) / 10;
+
+// Filters the model offers when its ui spec does not list them
+const DEFAULT_FILTERS = ['candidates', 'skills'];
+
+// Every view shows the same filtered data. Clicking a heatmap cell or a
+// workload bar drills into it, and a visualization_focus from a language
+// query applies its filter preset and highlights the view it is about.
+const VisualizationPanel = ({ solution, uiSpec, modelId, modelConfig, focus, onPinAssignments, onClearPins, loading }) => {
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [shiftFilter, setShiftFilter] = useState(null);
+  const [highlight, setHighlight] = useState(null);
+  const [scheduleView, setScheduleView] = useState('chart');
+  const appliedFocus = useRef(null);
+  const editable = Boolean(onPinAssignments);
 
-const VisualizationPanel = ({ solution, uiSpec, controls }) => {
   // Process solution data for visualization
   const processedData = useMemo(() => {
-    if (!solution?.variables) return null;
+    if (!solution?.variables && !solution?.metrics?.schedule) return null;
+    return decodeAssignments(solution);
+  }, [solution]);
 
-    const assignments = [];
-    const scheduleData = [];
-    
-    // Extract assignment variables
-    Object.entries(solution.variables).forEach(([varName, varValue]) => {
-      if (varName === 'assign' && Array.isArray(varValue)) {
-        // Process 3D assignment array [candidates, days, skills]
-        const candidates = controls['indexes.candidates'] || ['Alice', 'Bob', 'Carol', 'David', 'Emma'];
-        const skills = controls['indexes.skills'] || ['kitchen', 'wait', 'service', 'cleaning'];
-        const dateRange = controls['indexes.days'] || ['2025-07-01', '2025-07-07'];
-        
-        // Generate date array
-        const startDate = new Date(dateRange[0]);
-        const endDate = new Date(dateRange[1]);
-        const days = [];
-        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-          days.push(new Date(d).toISOString().split('T')[0]);
-        }
+  // The editor works on the plan only, and resets its edits whenever this
+  // list changes identity
+  const planAssignments = useMemo(
+    () => (processedData?.assignments || []).filter(item => !isCallIn(item)),
+    [processedData]
+  );
 
-        candidates.forEach((candidate, candidateIdx) => {
-          days.forEach((day, dayIdx) => {
-            skills.forEach((skill, skillIdx) => {
-              const value = varValue[candidateIdx]?.[dayIdx]?.[skillIdx] || 0;
-              if (value > 0.5) { // Binary variable threshold
-                assignments.push({
-                  candidate,
-                  day,
-                  skill,
-                  value: Math.round(value)
-                });
-                
-                scheduleData.push({
-                  candidate,
-                  task: `${skill} (${day})`,
-                  start: `${day}T09:00:00`,
-                  finish: `${day}T17:00:00`,
-                  skill,
-                  day
-                });
-              }
-            });
-          });
-        });
-      }
-    });
+  const indexes = useMemo(() => solutionIndexes(solution), [solution]);
+  const byScenario = useMemo(() => scenarioResults(solution), [solution]);
+  const scenarios = modelConfig?.indexes?.scenarios?.values || [];
 
-    return { assignments, scheduleData };
-  }, [solution, controls]);
+  // Each focus from a query is applied once; later edits to the filters stick
+  useEffect(() => {
+    if (!focus || appliedFocus.current === focus) return;
+    const preset = focusPreset(focus.name, indexes);
+    if (!preset) return;
+    appliedFocus.current = focus;
+    setFilters(preset.filters);
+    setHighlight(preset.view ? preset : null);
+  }, [focus, indexes]);
+
+  // Entries passing the shared filters, except the ones a view drives itself
+  const filterEntries = (entries, ignore) => entries.filter(item => (
+    matchesFilters(item, filters, ignore) && (!shiftFilter?.length || shiftFilter.includes(item.shift))
+  ));
+
+  // Exports use the same rows the assignment table shows
+  const filteredData = useMemo(() => {
+    if (!processedData) return { assignments: [], scheduleData: [] };
+    const passes = (item) => matchesFilters(item, filters) && (!shiftFilter?.length || shiftFilter.includes(item.shift));
+    return {
+      assignments: processedData.assignments.filter(passes),
+      scheduleData: processedData.scheduleData.filter(passes)
+    };
+  }, [processedData, filters, shiftFilter]);
+
+  const cardClass = (view) => (highlight?.view === view ? 'visualization-focus' : undefined);
 
   const createGanttChart = () => {
-    if (!processedData?.scheduleData.length) {
-      return <Empty description="No schedule data available" />;
+    const { scheduleData } = filteredData;
+    if (!scheduleData.length) {
+      return <Empty description={processedData?.scheduleData.length ? 'No schedule entries match the filters' : 'No schedule data available'} />;
     }
 
-    const colors = {
-      kitchen: '#ff7f0e',
-      wait: '#2ca02c', 
-      service: '#d62728',
-      cleaning: '#9467bd'
-    };
+    // Numeric rows so overlapping entries of one person can share a row
+    const indexed = indexes.candidates;
+    const candidates = [
+      ...indexed.filter(candidate => scheduleData.some(item => item.candidate === candidate)),
+      ...[...new Set(scheduleData.map(item => item.candidate))].filter(candidate => !indexed.includes(candidate))
+    ];
+    const hours = hoursByCandidate(scheduleData);
+    const lanes = assignLanes(scheduleData);
 
-    const traces = processedData.scheduleData.map((item, index) => ({
-      x: [item.start, item.finish],
-      y: [item.candidate, item.candidate],
-      type: 'scatter',
-      mode: 'lines',
-      line: {
-        color: colors[item.skill] || '#1f77b4',
-        width: 20
-      },
-      hovertemplate: `
-        <b>%{y}</b><br>
-        Task: ${item.task}<br>
-        Skill: ${item.skill}<br>
-        <extra></extra>
-      `,
-      name: item.skill,
-      showlegend: index === 0 || !processedData.scheduleData.slice(0, index).some(prev => prev.skill === item.skill)
-    }));
+    const traces = scheduleData.map((item, index) => {
+      const { lane, lanes: laneCount } = lanes[index];
+      const y = candidates.indexOf(item.candidate) + (lane - (laneCount - 1) / 2) * (0.8 / laneCount);
+      return {
+        x: [item.start, item.finish],
+        y: [y, y],
+        type: 'scatter',
+        mode: 'lines',
+        line: {
+          color: skillColor(item.skill),
+          width: 20 / laneCount
+        },
+        opacity: isCallIn(item) ? 0.5 : 1,
+        hovertemplate: `
+          <b>${item.candidate}</b><br>
+          Task: ${item.task}<br>
+          Skill: ${item.skill}<br>
+          ${item.shift ? `Shift: ${item.shift}<br>` : ''}
+          ${isCallIn(item) ? `Called in for the ${item.scenario} scenario<br>` : ''}
+          ${formatTime(item.start)}–${formatTime(item.finish)} (${item.hours}h)<br>
+          <extra></extra>
+        `,
+        name: item.skill,
+        legendgroup: item.skill,
+        showlegend: index === 0 || !scheduleData.slice(0, index).some(prev => prev.skill === item.skill)
+      };
+    });
 
     return (
       <Plot
@@ -97,10 +125,14 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
             type: 'date'
           },
           yaxis: {
-            title: 'Staff Member'
+            title: 'Staff Member (scheduled hours)',
+            tickvals: candidates.map((_, i) => i),
+            ticktext: candidates.map(candidate => `${candidate} (${formatHours(hours[candidate])}h)`),
+            range: [candidates.length - 0.5, -0.5],
+            zeroline: false
           },
-          height: 400,
-          margin: { l: 100, r: 50, t: 50, b: 50 },
+          height: Math.max(400, candidates.length * 40 + 100),
+          margin: { l: 140, r: 50, t: 50, b: 50 },
           hovermode: 'closest'
         }}
         config={{
@@ -113,21 +145,42 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
     );
   };
 
+  const createScheduleEditor = () => {
+    const { skills } = indexes;
+    const candidates = indexes.candidates.filter(candidate => matchesFilters({ candidate }, filters, ['skills', 'days', 'scenario']));
+    const days = indexes.days.filter(day => matchesFilters({ day }, filters, ['candidates', 'skills', 'scenario']));
+    return (
+      <ScheduleEditor
+        modelId={modelId}
+        modelConfig={modelConfig}
+        assignments={planAssignments}
+        candidates={candidates}
+        days={days}
+        skills={skills}
+        onPin={onPinAssignments}
+        onClearPins={onClearPins}
+        loading={loading}
+      />
+    );
+  };
+
   const createHeatmap = () => {
     if (!processedData?.assignments.length) {
       return <Empty description="No assignment data available" />;
     }
 
-    // Create heatmap data
-    const candidates = [...new Set(processedData.assignments.map(a => a.candidate))];
-    const skills = [...new Set(processedData.assignments.map(a => a.skill))];
+    // The heatmap drives the staff and skill filters, so it keeps showing
+    // every person and skill and outlines the selected cells instead
+    const assignments = filterEntries(processedData.assignments, ['candidates', 'skills']);
+    const candidates = [...new Set(assignments.map(a => a.candidate))];
+    const skills = [...new Set(assignments.map(a => a.skill))];
     
     const heatmapData = skills.map(skill => 
       candidates.map(candidate => {
-        const assignments = processedData.assignments.filter(
+        const cellAssignments = assignments.filter(
           a => a.candidate === candidate && a.skill === skill
         );
-        return assignments.length;
+        return cellAssignments.length;
       })
     );
 
@@ -137,7 +190,31 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
       y: skills,
       type: 'heatmap',
       colorscale: 'Blues',
-      hoveringtemplate: '%{y} - %{x}: %{z} assignments<extra></extra>'
+      hovertemplate: '%{y} - %{x}: %{z} assignments<br>Click to filter<extra></extra>'
+    };
+
+    const selectedColumns = filters.candidates.filter(candidate => candidates.includes(candidate));
+    const selectedRows = filters.skills.filter(skill => skills.includes(skill));
+    const outlines = selectedColumns.length === 0 && selectedRows.length === 0 ? [] :
+      (selectedColumns.length > 0 ? selectedColumns : candidates).flatMap(candidate => (
+        (selectedRows.length > 0 ? selectedRows : skills).map(skill => ({
+          type: 'rect',
+          x0: candidates.indexOf(candidate) - 0.5,
+          x1: candidates.indexOf(candidate) + 0.5,
+          y0: skills.indexOf(skill) - 0.5,
+          y1: skills.indexOf(skill) + 0.5,
+          line: { color: '#fa8c16', width: 3 }
+        }))
+      ));
+
+    // Clicking the only selected cell again clears the drill-down
+    const handleCellClick = (event) => {
+      const point = event.points?.[0];
+      if (!point) return;
+      setFilters(prev => {
+        const same = drillInto(prev.candidates, point.x).length === 0 && drillInto(prev.skills, point.y).length === 0;
+        return { ...prev, candidates: same ? [] : [point.x], skills: same ? [] : [point.y] };
+      });
     };
 
     return (
@@ -147,9 +224,11 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
           title: 'Assignment Heatmap (Skills vs Staff)',
           xaxis: { title: 'Staff Member' },
           yaxis: { title: 'Skill' },
+          shapes: outlines,
           height: 300,
           margin: { l: 100, r: 50, t: 50, b: 50 }
         }}
+        onClick={handleCellClick}
         config={{
           displayModeBar: true,
           displaylogo: false,
@@ -165,27 +244,34 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
       return <Empty description="No workload data available" />;
     }
 
-    // Calculate workload per person
-    const workloadData = {};
-    processedData.assignments.forEach(assignment => {
-      workloadData[assignment.candidate] = (workloadData[assignment.candidate] || 0) + 1;
-    });
-
-    const candidates = Object.keys(workloadData);
-    const workloads = Object.values(workloadData);
+    // Scheduled hours per person, with the number of assignments on hover.
+    // The bars drive the staff filter, so every person keeps a bar.
+    const scheduleData = filterEntries(processedData.scheduleData, ['candidates']);
+    const hours = hoursByCandidate(scheduleData);
+    const candidates = Object.keys(hours);
+    const assignmentCounts = candidates.map(candidate => (
+      scheduleData.filter(item => item.candidate === candidate).length
+    ));
+    const dimmed = (candidate) => filters.candidates.length > 0 && !filters.candidates.includes(candidate);
 
     const trace = {
       x: candidates,
-      y: workloads,
+      y: candidates.map(candidate => hours[candidate]),
+      customdata: assignmentCounts,
       type: 'bar',
       marker: {
-        color: 'rgba(55, 128, 191, 0.7)',
+        color: candidates.map(candidate => (dimmed(candidate) ? 'rgba(55, 128, 191, 0.2)' : 'rgba(55, 128, 191, 0.7)')),
         line: {
           color: 'rgba(55, 128, 191, 1.0)',
           width: 2
         }
       },
-      hovertemplate: '%{x}: %{y} assignments<extra></extra>'
+      hovertemplate: '%{x}: %{y}h in %{customdata} assignments<br>Click to filter<extra></extra>'
+    };
+
+    const handleBarClick = (event) => {
+      const point = event.points?.[0];
+      if (point) setFilters(prev => ({ ...prev, candidates: drillInto(prev.candidates, point.x) }));
     };
 
     return (
@@ -194,10 +280,11 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
         layout={{
           title: 'Workload Distribution',
           xaxis: { title: 'Staff Member' },
-          yaxis: { title: 'Number of Assignments' },
+          yaxis: { title: 'Scheduled Hours' },
           height: 300,
           margin: { l: 50, r: 50, t: 50, b: 50 }
         }}
+        onClick={handleBarClick}
         config={{
           displayModeBar: true,
           displaylogo: false,
@@ -213,12 +300,23 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
       return <Empty description="No assignment data available" />;
     }
 
+    const filterOptions = (field) => (
+      [...new Set(processedData.assignments.map(a => a[field]))]
+        .sort()
+        .map(value => ({ text: value, value }))
+    );
+
     const columns = [
+      // Staff and skill column filters are the shared ones; the date range
+      // is picked above the views
       {
         title: 'Staff Member',
         dataIndex: 'candidate',
         key: 'candidate',
-        sorter: (a, b) => a.candidate.localeCompare(b.candidate)
+        sorter: (a, b) => a.candidate.localeCompare(b.candidate),
+        filters: filterOptions('candidate'),
+        filteredValue: filters.candidates.length > 0 ? filters.candidates : null,
+        onFilter: (value, record) => record.candidate === value
       },
       {
         title: 'Date',
@@ -230,8 +328,26 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
         title: 'Skill/Role',
         dataIndex: 'skill',
         key: 'skill',
-        sorter: (a, b) => a.skill.localeCompare(b.skill)
+        sorter: (a, b) => a.skill.localeCompare(b.skill),
+        filters: filterOptions('skill'),
+        filteredValue: filters.skills.length > 0 ? filters.skills : null,
+        onFilter: (value, record) => record.skill === value
       },
+      ...(processedData.assignments.some(a => a.shift) ? [{
+        title: 'Shift',
+        dataIndex: 'shift',
+        key: 'shift',
+        filters: filterOptions('shift'),
+        filteredValue: shiftFilter,
+        onFilter: (value, record) => record.shift === value,
+        render: (shift, record) => `${shift} ${formatTime(record.start)}–${formatTime(record.finish)}`
+      }] : []),
+      ...(processedData.assignments.some(isCallIn) ? [{
+        title: 'Stage',
+        dataIndex: 'stage',
+        key: 'stage',
+        render: (stage, record) => (isCallIn(record) ? <Tag color="orange">Call-in · {record.scenario}</Tag> : 'Plan')
+      }] : []),
       {
         title: 'Assignment',
         dataIndex: 'value',
@@ -242,11 +358,15 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
 
     return (
       <Table
-        dataSource={processedData.assignments.map((item, index) => ({
+        dataSource={filteredData.assignments.map((item, index) => ({
           ...item,
           key: index
         }))}
         columns={columns}
+        onChange={(pagination, tableFilters) => {
+          setFilters(prev => ({ ...prev, candidates: tableFilters.candidate || [], skills: tableFilters.skill || [] }));
+          setShiftFilter(tableFilters.shift || null);
+        }}
         pagination={{ pageSize: 10 }}
         size="small"
         scroll={{ y: 400 }}
@@ -254,6 +374,46 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
     );
   };
 
+  const createExportActions = () => {
+    const { assignments, scheduleData } = filteredData;
+    const staff = [...new Set(assignments.map(a => a.candidate))].sort();
+
+    const calendarMenu = {
+      items: [
+        { key: '__all__', label: 'All staff (one calendar)' },
+        { type: 'divider' },
+        ...staff.map(candidate => ({ key: candidate, label: candidate }))
+      ],
+      onClick: ({ key }) => exportICS(scheduleData, key === '__all__' ? staff : [key])
+    };
+
+    return (
+      <Space size="small">
+        <Button
+          size="small"
+          icon={<DownloadOutlined />}
+          onClick={() => exportCSV(assignments)}
+          disabled={assignments.length === 0}
+        >
+          CSV
+        </Button>
+        <Button
+          size="small"
+          icon={<DownloadOutlined />}
+          onClick={() => exportXLSX(assignments)}
+          disabled={assignments.length === 0}
+        >
+          Excel
+        </Button>
+        <Dropdown menu={calendarMenu} disabled={staff.length === 0}>
+          <Button size="small" icon={<CalendarOutlined />}>
+            Calendar (.ics)
+          </Button>
+        </Dropdown>
+      </Space>
+    );
+  };
+
   if (!solution) {
     return <Empty description="Run optimization to see results" />;
   }
@@ -263,27 +423,75 @@ const VisualizationPanel = ({ solution, uiSpec, controls }) => {
       <div>
         <Row gutter={[16, 16]}>
           <Col span={24}>
-            <Card title="Schedule Overview" size="small">
-              {createGanttChart()}
+            <ScheduleFilters
+              filters={filters}
+              onChange={setFilters}
+              candidates={indexes.candidates}
+              skills={indexes.skills}
+              days={indexes.days}
+              scenarios={scenarios}
+              show={uiSpec?.filters || DEFAULT_FILTERS}
+            />
+          </Col>
+
+          {highlight && (
+            <Col span={24}>
+              <Alert
+                type="info"
+                showIcon
+                closable
+                message={`Showing ${highlight.label} (from your request)`}
+                onClose={() => setHighlight(null)}
+              />
+            </Col>
+          )}
+
+          <Col span={24}>
+            <Card
+              title="Schedule Overview"
+              size="small"
+              className={cardClass('gantt')}
+              extra={editable && (
+                <Segmented
+                  size="small"
+                  value={scheduleView}
+                  onChange={setScheduleView}
+                  options={[{ label: 'Chart', value: 'chart' }, { label: 'Edit', value: 'edit' }]}
+                />
+              )}
+            >
+              {editable && scheduleView === 'edit' ? createScheduleEditor() : createGanttChart()}
             </Card>
           </Col>
           
           <Col xs={24} lg={12}>
-            <Card title="Skill Assignment Matrix" size="small">
+            <Card title="Skill Assignment Matrix" size="small" className={cardClass('heatmap')}>
               {createHeatmap()}
             </Card>
           </Col>
           
           <Col xs={24} lg={12}>
-            <Card title="Workload Balance" size="small">
+            <Card title="Workload Balance" size="small" className={cardClass('workload')}>
               {createWorkloadChart()}
             </Card>
           </Col>
+
+          {byScenario && (
+            <Col span={24}>
+              <Card title="Results by Scenario" size="small">
+                <ScenarioResults
+                  results={byScenario}
+                  selected={filters.scenario}
+                  onSelect={(scenario) => setFilters(prev => ({ ...prev, scenario: prev.scenario === scenario ? null : scenario }))}
+                />
+              </Card>
+            </Col>
+          )}
         </Row>
       </div>
       
       <div>
-        <Card title="Assignment Details" size="small">
+        <Card title="Assignment Details" size="small" extra={createExportActions()}>
           {createAssignmentTable()}
         </Card>
       </div>
@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ApiService } from '../services/ApiService';
+import { pushBatch } from '../utils/patches';
+
+const historyStorageKey = (modelId) => `schedulingdsl.history.${modelId}`;
+
+// Undo/redo stacks are kept per model in the browser, so a model reopened
+// from the model browser can still undo its earlier changes
+const loadStoredHistory = (modelId) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(historyStorageKey(modelId)) || '{}');
+    return { past: stored.past || [], future: stored.future || [] };
+  } catch (error) {
+    console.warn('Ignoring unreadable patch history:', error);
+    return { past: [], future: [] };
+  }
+};
+
+export const clearStoredHistory = (modelId) => {
+  window.localStorage.removeItem(historyStorageKey(modelId));
+};
+
+const usePatchHistory = (modelId, setControls) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [loadedModelId, setLoadedModelId] = useState(null);
+
+  // History belongs to a single model
+  useEffect(() => {
+    const stored = modelId ? loadStoredHistory(modelId) : { past: [], future: [] };
+    setPast(stored.past);
+    setFuture(stored.future);
+    setLoadedModelId(modelId);
+  }, [modelId]);
+
+  // Only save once the model's own history has been loaded
+  useEffect(() => {
+    if (!modelId || loadedModelId !== modelId) return;
+    try {
+      window.localStorage.setItem(historyStorageKey(modelId), JSON.stringify({ past, future }));
+    } catch (error) {
+      console.warn('Could not save patch history:', error);
+    }
+  }, [modelId, loadedModelId, past, future]);
+
+  const sendPatches = useCallback(async (patches) => {
+    if (patches.length > 0) {
+      await ApiService.updateModelConfig(modelId, { patches });
+    }
+  }, [modelId]);
+
+  // Apply a new batch and record it
+  const apply = useCallback(async (batch) => {
+    setControls(prev => ({ ...prev, ...batch.controlsAfter }));
+    try {
+      await sendPatches(batch.patches);
+    } catch (error) {
+      setControls(prev => ({ ...prev, ...batch.controlsBefore }));
+      throw error;
+    }
+
+    setPast(prev => pushBatch(prev, batch));
+    setFuture([]);
+  }, [sendPatches, setControls]);
+
+  const undo = useCallback(async () => {
+    const batch = past[past.length - 1];
+    if (!batch || busy) return null;
+
+    setBusy(true);
+    try {
+      await sendPatches(batch.inversePatches);
+      setControls(prev => ({ ...prev, ...batch.controlsBefore }));
+      setPast(prev => prev.slice(0, -1));
+      setFuture(prev => [batch, ...prev]);
+      return batch;
+    } finally {
+      setBusy(false);
+    }
+  }, [past, busy, sendPatches, setControls]);
+
+  const redo = useCallback(async () => {
+    const batch = future[0];
+    if (!batch || busy) return null;
+
+    setBusy(true);
+    try {
+      await sendPatches(batch.patches);
+      setControls(prev => ({ ...prev, ...batch.controlsAfter }));
+      setFuture(prev => prev.slice(1));
+      setPast(prev => [...prev, batch]);
+      return batch;
+    } finally {
+      setBusy(false);
+    }
+  }, [future, busy, sendPatches, setControls]);
+
+  return {
+    past,
+    future,
+    busy,
+    canUndo: past.length > 0 && !busy,
+    canRedo: future.length > 0 && !busy,
+    apply,
+    undo,
+    redo
+  };
+};
+
+export default usePatchHistory;
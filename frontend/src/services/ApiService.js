@@ -3,6 +3,9 @@ import axios from 'axios';
 // Base URL for the Julia API
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
 
+// Milliseconds between job status checks when progress cannot be streamed
+const JOB_POLL_INTERVAL = 1000;
+
 class ApiService {
   constructor() {
     this.client = axios.create({
@@ -54,6 +57,10 @@ class ApiService {
     return await this.client.get(`/models/${modelId}`);
   }
 
+  async renameModel(modelId, name) {
+    return await this.client.patch(`/models/${modelId}`, { name });
+  }
+
   async updateModelConfig(modelId, patches) {
     return await this.client.patch(`/models/${modelId}/config`, patches);
   }
@@ -62,21 +69,166 @@ class ApiService {
     return await this.client.delete(`/models/${modelId}`);
   }
 
-  // Model solving
+  async forkModel(modelId, name) {
+    return await this.client.post(`/models/${modelId}/fork`, { name });
+  }
+
+  // Config import: config is {filename, content} and files are the data
+  // files it references, in the same shape
+  async validateConfig(config, files = []) {
+    return await this.client.post('/configs/validate', { config, files });
+  }
+
+  async importConfig(config, files = [], name) {
+    return await this.client.post('/models/import', { config, files, name });
+  }
+
+  // The current config with patched data inlined, as YAML text
+  async exportConfigYaml(modelId) {
+    return await this.client.get(`/models/${modelId}/config.yaml`, { responseType: 'text' });
+  }
+
+  // The same config as JSON
+  async getModelConfig(modelId) {
+    return await this.client.get(`/models/${modelId}/config`);
+  }
+
+  // Current data of one parameter: {type: 'table', schema, rows},
+  // {type: 'dict', key, data} or {type: 'scalar', value}
+  async getParameterData(modelId, name) {
+    return await this.client.get(`/models/${modelId}/parameters/${name}`);
+  }
+
+  // Validate edited config text (format 'yaml' or 'json') and get the
+  // patches, with the values they replace, that would apply it
+  async checkConfigEdit(modelId, content, format) {
+    return await this.client.post(`/models/${modelId}/config/check`, { content, format });
+  }
+
+  // Model solving, with the solver settings stored in options.solver
   async solveModel(modelId) {
     return await this.client.post(`/models/${modelId}/solve`);
   }
 
+  // Solve jobs run in the background, so long horizons are not cut off
+  // by the request timeout
+  async startSolveJob(modelId) {
+    return await this.client.post(`/models/${modelId}/jobs`);
+  }
+
+  async getSolveJob(jobId) {
+    return await this.client.get(`/jobs/${jobId}`);
+  }
+
+  async cancelSolveJob(jobId) {
+    return await this.client.post(`/jobs/${jobId}/cancel`);
+  }
+
+  solveJobEventsUrl(jobId) {
+    return `${API_BASE_URL}/jobs/${jobId}/events`;
+  }
+
+  // Start a solve job and resolve with its result once it finishes.
+  // onStart receives the job (for cancelling), onProgress each progress
+  // event. Falls back to polling when the event stream is unavailable.
+  runSolveJob(modelId, { onStart, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const finish = (job) => {
+        if (job.status === 'failed') {
+          reject(new Error(job.error || 'Solve job failed'));
+        } else {
+          resolve({ ...job.result, job_status: job.status });
+        }
+      };
+
+      const poll = async (jobId, seen) => {
+        try {
+          const job = await this.getSolveJob(jobId);
+          (job.progress || []).slice(seen).forEach(event => onProgress?.(event));
+          if (['completed', 'cancelled', 'failed'].includes(job.status)) {
+            finish(job);
+          } else {
+            setTimeout(() => poll(jobId, (job.progress || []).length), JOB_POLL_INTERVAL);
+          }
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      this.startSolveJob(modelId).then(job => {
+        onStart?.(job);
+
+        if (typeof EventSource === 'undefined') {
+          poll(job.job_id, 0);
+          return;
+        }
+
+        let seen = 0;
+        const events = new EventSource(this.solveJobEventsUrl(job.job_id));
+        events.addEventListener('progress', (event) => {
+          seen += 1;
+          onProgress?.(JSON.parse(event.data));
+        });
+        events.addEventListener('done', (event) => {
+          events.close();
+          finish(JSON.parse(event.data));
+        });
+        events.onerror = () => {
+          events.close();
+          poll(job.job_id, seen);
+        };
+      }, reject);
+    });
+  }
+
   async getSolution(modelId) {
     return await this.client.get(`/models/${modelId}/solution`);
   }
 
+  async getMetrics(modelId) {
+    return await this.client.get(`/models/${modelId}/metrics`);
+  }
+
   // UI specification
   async createUISpec(modelId, query = '') {
     return await this.client.post(`/models/${modelId}/ui-spec`, { query });
   }
 
-  // Note: Natural language processing is now handled in the frontend via GeminiService
+  // Registry: templates, constraints and objectives with their argument schemas
+  async listTemplates() {
+    const response = await this.client.get('/templates');
+    return response.templates;
+  }
+
+  async listConstraints() {
+    const response = await this.client.get('/constraints');
+    return response.constraints;
+  }
+
+  async listObjectives() {
+    const response = await this.client.get('/objectives');
+    return response.objectives;
+  }
+
+  async listSolvers() {
+    const response = await this.client.get('/solvers');
+    return response.solvers;
+  }
+
+  async getRegistry() {
+    const [templates, constraints, objectives, solvers] = await Promise.all([
+      this.listTemplates(),
+      this.listConstraints(),
+      this.listObjectives(),
+      this.listSolvers()
+    ]);
+    return { templates, constraints, objectives, solvers };
+  }
+
+  // Natural language: the backend forwards prompts to Gemini with its own key
+  async nlQuery(modelId, prompt, llmModel) {
+    return await this.client.post(`/models/${modelId}/nl-query`, { prompt, model: llmModel });
+  }
 
   // Helper methods for common operations
   async createAndSolveModel(config) {
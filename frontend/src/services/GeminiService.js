@@ -1,78 +1,145 @@
-import axios from 'axios';
-
+import {
+  createProvider,
+  loadProviderSettings,
+  saveProviderSettings,
+  RuleBasedProvider
+} from './llm';
+import { validateNLResult, DEFAULT_REGISTRY } from './nlValidation';
+import { describeModelContext, shiftDate } from './nlContext';
+
+// How many times an invalid response is sent back to the model for repair
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// Natural language front door. The actual model call is delegated to a
+// pluggable provider; the parse contract stays the same for every provider.
 class GeminiService {
   constructor() {
-    this.apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-    this.baseURL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
+    this.settings = loadProviderSettings();
+    this.provider = createProvider(this.settings);
+    this.fallbackProvider = new RuleBasedProvider();
     
-    if (!this.apiKey) {
-      console.warn('Gemini API key not found in environment variables');
+    if (!this.provider.isConfigured()) {
+      console.warn(`${this.provider.label} is not configured`);
     }
   }
 
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  updateSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    saveProviderSettings(this.settings);
+    this.provider = createProvider(this.settings);
+  }
+
   async parseNaturalLanguageQuery(query, currentUIState = {}) {
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not configured');
+    const validationContext = {
+      uiSpec: currentUIState.uiSpec,
+      registry: currentUIState.registry || DEFAULT_REGISTRY
+    };
+
+    // Deterministic providers parse the query themselves
+    if (this.provider.parseQuery) {
+      const parsed = this.provider.parseQuery(query, currentUIState);
+      return this.withValidation(parsed, validationContext, 0);
     }
 
-    const prompt = this.buildPrompt(query, currentUIState);
+    if (!this.provider.isConfigured()) {
+      throw new Error(`${this.provider.label} is not configured`);
+    }
+
+    let prompt = this.buildPrompt(query, currentUIState);
     
     try {
-      const response = await axios.post(
-        `${this.baseURL}?key=${this.apiKey}`,
-        {
-          contents: [{
-            parts: [{ text: prompt }]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 1500,
-            topP: 0.8,
-            topK: 40
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          }
+      // Invalid items are sent back with their errors for a bounded number
+      // of repair rounds; whatever is still invalid is reported, not applied
+      for (let attempt = 0; ; attempt++) {
+        const responseText = await this.provider.generate(prompt, currentUIState);
+        
+        let parsed;
+        try {
+          parsed = this.parseGeminiResponse(responseText);
+        } catch (parseError) {
+          if (attempt >= MAX_REPAIR_ATTEMPTS) throw parseError;
+          prompt = this.buildRepairPrompt(prompt, responseText, ['The response was not valid JSON.']);
+          continue;
         }
-      );
-
-      if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        const responseText = response.data.candidates[0].content.parts[0].text;
-        return this.parseGeminiResponse(responseText);
-      } else {
-        throw new Error('Invalid response format from Gemini API');
+        
+        const { invalid } = validateNLResult(parsed, validationContext);
+        if (invalid.length === 0 || attempt >= MAX_REPAIR_ATTEMPTS) {
+          return this.withValidation(parsed, validationContext, attempt);
+        }
+        
+        prompt = this.buildRepairPrompt(prompt, responseText, invalid.map(entry => (
+          `${entry.kind} ${JSON.stringify(entry.item)}: ${entry.errors.join('; ')}`
+        )));
       }
     } catch (error) {
-      console.error('Gemini API error:', error);
+      console.error(`${this.provider.label} error:`, error);
       
       // Fallback to simple parsing
-      return this.fallbackParsing(query, currentUIState);
+      const parsed = this.fallbackProvider.parseQuery(query, currentUIState);
+      return this.withValidation(parsed, validationContext, 0);
     }
   }
 
+  withValidation(parsed, validationContext, repairAttempts) {
+    const { result, invalid } = validateNLResult(parsed, validationContext);
+    return {
+      ...result,
+      rejected: invalid,
+      repair_attempts: repairAttempts
+    };
+  }
+
+  buildRepairPrompt(originalPrompt, previousResponse, errors) {
+    return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE:
+${previousResponse}
+
+IT HAD THESE PROBLEMS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON response. Only use control_ids, config paths and function names listed above. Drop any change that cannot be expressed with them. Respond with only valid JSON.`;
+  }
+
   buildPrompt(query, currentUIState) {
+    const context = describeModelContext(currentUIState);
+    const examples = this.buildExamples(context);
+
     return `You are an expert UI configurator for workforce scheduling optimization. Convert natural language queries into UI control updates and configuration patches.
 
 CURRENT UI STATE:
-${JSON.stringify(currentUIState, null, 2)}
+${JSON.stringify(currentUIState.controls || {}, null, 2)}
+
+MODEL:
+- Template: ${context.template || 'unknown'}
+- Scheduling period: ${context.dayRange ? `${context.dayRange.start} to ${context.dayRange.end}` : 'not set'}
+- Staff (candidates): ${context.candidates.join(', ') || 'none'}
+- Skills: ${context.skills.join(', ') || 'none'}
+- Scenarios: ${context.scenarios.join(', ') || 'none'}
 
 AVAILABLE UI CONTROLS:
-- Date Range Picker (maps to "indexes.days"): Select scheduling period
-- Staff Selection (maps to "indexes.candidates"): Choose which staff members
-- Skill Selection (maps to "indexes.skills"): Select skills/roles
-- Scenario Selection (maps to "indexes.scenarios"): Choose demand scenarios
-- Demand Multiplier Sliders (maps to "parameters.demand.*_multiplier"): Adjust demand levels
-- Cost Multiplier Sliders (maps to "parameters.cost_month.multiplier"): Adjust staff costs
-- Max Daily Assignments (maps to "options.max_daily_assignments"): Work limits per person
+${context.controls.map(control => `- ${this.describeControl(control)}`).join('\n') || '- none'}
 
 UI CONTROL TYPES:
-- date_range: {start: "YYYY-MM-DD", end: "YYYY-MM-DD"}
-- slider: numeric value (0.1 to 3.0 for multipliers)
-- multiselect: array of selected values
+- date_range: ["YYYY-MM-DD", "YYYY-MM-DD"]
+- slider: numeric value within the control's min and max
+- multiselect: array of selected values from the control's options
 - number: integer or float value
 
+CONFIG PATCH PATHS:
+- ["indexes", name] where name is one of: ${context.indexNames.join(', ') || 'none'}
+- ["parameters", name] where name is one of: ${context.parameterNames.join(', ') || 'none'}
+- ["options", name], current options: ${JSON.stringify(context.options)}; with several scenarios, options.risk_measure "expected" or "cvar" plans first and calls staff in per scenario, weighing call-in costs by expected value or by the CVaR of the worst (1 - cvar_alpha) share
+- ["overrides", "constraints"] with a list of {"name", "function", "args"}; function must be one of:
+${context.constraintSpecs.map(spec => `  - ${this.describeRegistered(spec)}`).join('\n') || '  - none'}
+- ["overrides", "objective"] with a list of {"name", "function", "args", "weight"}; with options.objective_mode "weighted" the objectives are blended by weight, with "lexicographic" they are optimized in list order; function must be one of:
+${context.objectiveSpecs.map(spec => `  - ${this.describeRegistered(spec)}`).join('\n') || '  - none'}
+Operations: "merge", "replace" or "delete".
+
 RESPONSE FORMAT:
 Return a JSON object with:
 {
@@ -94,61 +161,94 @@ Return a JSON object with:
 }
 
 EXAMPLES:
+${examples.map(example => `
+Query: "${example.query}"
+Response: ${JSON.stringify(example.response, null, 2)}`).join('\n')}
 
-Query: "Show me next week's schedule"
-Response: {
-  "ui_updates": [
-    {
-      "control_id": "indexes.days",
-      "value": ["2025-07-08", "2025-07-14"],
-      "explanation": "Set date range to next week"
-    }
-  ],
-  "config_patches": [
-    {
-      "operation": "merge",
-      "path": ["indexes", "days"],
-      "value": {"type": "date_range", "start": "2025-07-08", "end": "2025-07-14"}
+CURRENT QUERY: "${query}"
+
+Respond with only valid JSON. No explanation or additional text.`;
+  }
+
+  describeControl(control) {
+    let detail = control.type;
+    if (control.type === 'slider' || control.type === 'number') {
+      detail += `, ${control.min ?? '-∞'} to ${control.max ?? '∞'}`;
+    } else if (control.options) {
+      detail += `, options: ${control.options.join(', ')}`;
     }
-  ],
-  "visualization_focus": "weekly_schedule"
-}
+    return `${control.label} (maps to "${control.maps_to}", ${detail})`;
+  }
 
-Query: "Increase kitchen demand by 50% and show the impact"
-Response: {
-  "ui_updates": [
-    {
-      "control_id": "parameters.demand.kitchen_multiplier",
-      "value": 1.5,
-      "explanation": "Increase kitchen demand by 50%"
+  // "time_window(candidate: candidate, start_time: hour = 9) - description"
+  describeRegistered(spec) {
+    if (typeof spec === 'string') {
+      return spec;
     }
-  ],
-  "config_patches": [
-    {
-      "operation": "merge",
-      "path": ["parameters", "demand", "kitchen_multiplier"],
-      "value": 1.5
+    const args = (spec.args || []).map(arg => {
+      const defaultValue = arg.default !== null && arg.default !== undefined ? ` = ${JSON.stringify(arg.default)}` : '';
+      return `${arg.name}: ${arg.type}${defaultValue}`;
+    });
+    const description = spec.description ? ` - ${spec.description}` : '';
+    return `${spec.name}(${args.join(', ')})${description}`;
+  }
+
+  // Worked examples built from the model's own dates, staff and registry,
+  // so the model never sees names that would fail validation
+  buildExamples(context) {
+    const examples = [];
+
+    if (context.dayRange) {
+      const start = shiftDate(context.dayRange.start, 7);
+      const end = shiftDate(context.dayRange.start, 13);
+      const dayIndex = context.indexNames.find(name => context.controls.some(
+        c => c.type === 'date_range' && c.maps_to === `indexes.${name}`
+      )) || 'days';
+      examples.push({
+        query: "Show me next week's schedule",
+        response: {
+          ui_updates: [{ control_id: `indexes.${dayIndex}`, value: [start, end], explanation: 'Set date range to next week' }],
+          config_patches: [{ operation: 'merge', path: ['indexes', dayIndex], value: { type: 'date_range', start, end } }],
+          visualization_focus: 'weekly_schedule'
+        }
+      });
     }
-  ],
-  "visualization_focus": "kitchen_assignments"
-}
 
-Query: "Alice can only work 10am to 4pm shifts"
-Response: {
-  "ui_updates": [],
-  "config_patches": [
-    {
-      "operation": "merge",
-      "path": ["overrides", "constraints"],
-      "value": [{"name": "alice_time_window", "function": "time_window_constraint", "args": {"candidate": "Alice", "start_time": 10, "end_time": 16}}]
+    const slider = context.controls.find(c => c.type === 'slider');
+    if (slider) {
+      const value = Math.min(slider.max ?? 1.5, 1.5);
+      const skill = context.skills[0];
+      examples.push({
+        query: `Increase ${slider.label.toLowerCase()} by 50%`,
+        response: {
+          ui_updates: [{ control_id: slider.maps_to, value, explanation: `Set ${slider.label} to ${value}` }],
+          config_patches: [],
+          visualization_focus: skill ? `${skill}_assignments` : 'general'
+        }
+      });
     }
-  ],
-  "visualization_focus": "alice_schedule"
-}
 
-CURRENT QUERY: "${query}"
+    const candidate = context.candidates[0];
+    if (candidate && context.constraints.includes('time_window')) {
+      examples.push({
+        query: `${candidate} can only work 10am to 4pm shifts`,
+        response: {
+          ui_updates: [],
+          config_patches: [{
+            operation: 'merge',
+            path: ['overrides', 'constraints'],
+            value: [{
+              name: `${candidate.toLowerCase()}_time_window`,
+              function: 'time_window',
+              args: { candidate, start_time: 10, end_time: 16 }
+            }]
+          }],
+          visualization_focus: `${candidate.toLowerCase()}_schedule`
+        }
+      });
+    }
 
-Respond with only valid JSON. No explanation or additional text.`;
+    return examples;
   }
 
   parseGeminiResponse(responseText) {
@@ -188,135 +288,6 @@ Respond with only valid JSON. No explanation or additional text.`;
       throw new Error('Invalid JSON response from Gemini API');
     }
   }
-
-  fallbackParsing(query, currentUIState) {
-    const queryLower = query.toLowerCase();
-    const uiUpdates = [];
-    const configPatches = [];
-    let visualizationFocus = 'general';
-
-    // Time-related queries
-    if (queryLower.includes('next week')) {
-      const today = new Date();
-      const nextWeekStart = new Date(today);
-      nextWeekStart.setDate(today.getDate() + ((7 - today.getDay()) % 7) + 1);
-      const nextWeekEnd = new Date(nextWeekStart);
-      nextWeekEnd.setDate(nextWeekStart.getDate() + 6);
-
-      const startStr = nextWeekStart.toISOString().split('T')[0];
-      const endStr = nextWeekEnd.toISOString().split('T')[0];
-
-      uiUpdates.push({
-        control_id: 'indexes.days',
-        value: [startStr, endStr],
-        explanation: 'Set date range to next week'
-      });
-
-      visualizationFocus = 'weekly_schedule';
-    }
-
-    // Demand adjustments
-    if (queryLower.includes('demand')) {
-      let multiplier = 1.0;
-      
-      if (queryLower.includes('high') || queryLower.includes('increase')) {
-        multiplier = 1.5;
-      } else if (queryLower.includes('low') || queryLower.includes('decrease')) {
-        multiplier = 0.7;
-      }
-
-      if (queryLower.includes('kitchen')) {
-        uiUpdates.push({
-          control_id: 'parameters.demand.kitchen_multiplier',
-          value: multiplier,
-          explanation: `Adjust kitchen demand to ${multiplier}x`
-        });
-        visualizationFocus = 'kitchen_assignments';
-      }
-    }
-
-    // Cost adjustments
-    if (queryLower.includes('cost') && (queryLower.includes('adjust') || queryLower.includes('increase') || queryLower.includes('decrease'))) {
-      let multiplier = queryLower.includes('decrease') ? 0.8 : 1.2;
-      
-      // Extract percentage if mentioned
-      const percentMatch = queryLower.match(/(\d+)%/);
-      if (percentMatch) {
-        const percent = parseInt(percentMatch[1]);
-        multiplier = queryLower.includes('decrease') ? 1 - (percent / 100) : 1 + (percent / 100);
-      }
-
-      uiUpdates.push({
-        control_id: 'parameters.cost_month.multiplier',
-        value: multiplier,
-        explanation: `Adjust staff costs to ${multiplier}x`
-      });
-      visualizationFocus = 'cost_analysis';
-    }
-
-    return {
-      ui_updates: uiUpdates,
-      config_patches: configPatches,
-      visualization_focus: visualizationFocus
-    };
-  }
-
-  // Helper method to extract time ranges from natural language
-  extractTimeRange(query) {
-    const queryLower = query.toLowerCase();
-    const today = new Date();
-
-    if (queryLower.includes('today')) {
-      const todayStr = today.toISOString().split('T')[0];
-      return [todayStr, todayStr];
-    }
-
-    if (queryLower.includes('this week')) {
-      const startOfWeek = new Date(today);
-      startOfWeek.setDate(today.getDate() - today.getDay());
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(startOfWeek.getDate() + 6);
-      
-      return [
-        startOfWeek.toISOString().split('T')[0],
-        endOfWeek.toISOString().split('T')[0]
-      ];
-    }
-
-    if (queryLower.includes('next month')) {
-      const nextMonth = new Date(today);
-      nextMonth.setMonth(today.getMonth() + 1);
-      nextMonth.setDate(1);
-      const endOfMonth = new Date(nextMonth);
-      endOfMonth.setMonth(nextMonth.getMonth() + 1);
-      endOfMonth.setDate(0);
-      
-      return [
-        nextMonth.toISOString().split('T')[0],
-        endOfMonth.toISOString().split('T')[0]
-      ];
-    }
-
-    return null;
-  }
-
-  // Helper method to extract staff member names
-  extractStaffNames(query) {
-    const staffNames = ['Alice', 'Bob', 'Carol', 'David', 'Emma'];
-    const mentioned = staffNames.filter(name => 
-      query.toLowerCase().includes(name.toLowerCase())
-    );
-    return mentioned.length > 0 ? mentioned : null;
-  }
-
-  // Helper method to extract skills/roles
-  extractSkills(query) {
-    const skills = ['kitchen', 'wait', 'service', 'cleaning'];
-    const mentioned = skills.filter(skill => 
-      query.toLowerCase().includes(skill)
-    );
-    return mentioned.length > 0 ? mentioned : null;
-  }
 }
 
 // Export singleton instance
@@ -0,0 +1,70 @@
+import { GeminiService, MAX_REPAIR_ATTEMPTS } from './GeminiService';
+
+const uiSpec = {
+  controls: [{ label: 'Demand multiplier', type: 'slider', maps_to: 'parameters.demand_multiplier', min: 0.5, max: 2 }]
+};
+
+const response = (value) => JSON.stringify({
+  ui_updates: [{ control_id: 'parameters.demand_multiplier', value }],
+  config_patches: []
+});
+
+// Answers with the given responses in turn, repeating the last one
+const stubProvider = (...responses) => ({
+  label: 'Stub',
+  isConfigured: () => true,
+  generate: jest.fn(async () => responses.length > 1 ? responses.shift() : responses[0])
+});
+
+describe('GeminiService repair loop', () => {
+  const originalProvider = GeminiService.provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    GeminiService.provider = originalProvider;
+    jest.restoreAllMocks();
+  });
+
+  it('does not re-prompt for a valid response', async () => {
+    GeminiService.provider = stubProvider(response(1.5));
+    const result = await GeminiService.parseNaturalLanguageQuery('More demand', { uiSpec });
+
+    expect(GeminiService.provider.generate).toHaveBeenCalledTimes(1);
+    expect(result.ui_updates).toEqual([{ control_id: 'parameters.demand_multiplier', value: 1.5 }]);
+    expect(result.rejected).toEqual([]);
+    expect(result.repair_attempts).toBe(0);
+  });
+
+  it('sends the errors back and uses the repaired response', async () => {
+    GeminiService.provider = stubProvider(response(5), response(2));
+    const result = await GeminiService.parseNaturalLanguageQuery('More demand', { uiSpec });
+
+    const { generate } = GeminiService.provider;
+    expect(generate).toHaveBeenCalledTimes(2);
+    expect(generate.mock.calls[1][0]).toMatch(/value 5 is above the maximum of 2/);
+    expect(result.ui_updates).toEqual([{ control_id: 'parameters.demand_multiplier', value: 2 }]);
+    expect(result.repair_attempts).toBe(1);
+  });
+
+  it('gives up after MAX_REPAIR_ATTEMPTS and reports what is still invalid', async () => {
+    GeminiService.provider = stubProvider(response(5));
+    const result = await GeminiService.parseNaturalLanguageQuery('More demand', { uiSpec });
+
+    expect(GeminiService.provider.generate).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+    expect(result.ui_updates).toEqual([]);
+    expect(result.rejected).toHaveLength(1);
+    expect(result.repair_attempts).toBe(MAX_REPAIR_ATTEMPTS);
+  });
+
+  it('falls back to the rule-based parser when the JSON never parses', async () => {
+    GeminiService.provider = stubProvider('Sure! Here is the change you asked for.');
+    const result = await GeminiService.parseNaturalLanguageQuery('More demand', { uiSpec });
+
+    expect(GeminiService.provider.generate).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+    expect(result.repair_attempts).toBe(0);
+    expect(result.rejected).toEqual([]);
+  });
+});
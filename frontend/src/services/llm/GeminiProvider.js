@@ -0,0 +1,67 @@
+import axios from 'axios';
+import { ApiService } from '../ApiService';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Model for direct development calls when none is chosen
+const DEV_DEFAULT_MODEL = 'gemini-pro';
+
+// Gemini is reached through the backend's nl-query proxy, which holds the
+// API key and picks the model from GEMINI_MODEL unless one is chosen here.
+// Calling Google directly from the browser is only a development fallback
+// and needs REACT_APP_GEMINI_API_KEY.
+class GeminiProvider {
+  constructor({ devApiKey, model } = {}) {
+    this.id = 'gemini';
+    this.label = 'Google Gemini';
+    this.devApiKey = devApiKey;
+    this.model = model;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate(prompt, { modelId } = {}) {
+    try {
+      const response = await ApiService.nlQuery(modelId, prompt, this.model || undefined);
+      return response.text;
+    } catch (error) {
+      if (!this.devApiKey) {
+        throw error;
+      }
+      console.warn('Backend nl-query failed, calling Gemini directly (development only):', error.message);
+      return this.generateDirect(prompt);
+    }
+  }
+
+  async generateDirect(prompt) {
+    const response = await axios.post(
+      `${GEMINI_BASE_URL}/${this.model || DEV_DEFAULT_MODEL}:generateContent?key=${this.devApiKey}`,
+      {
+        contents: [{
+          parts: [{ text: prompt }]
+        }],
+        generationConfig: {
+          temperature: 0.1,
+          maxOutputTokens: 1500,
+          topP: 0.8,
+          topK: 40
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      }
+    );
+
+    const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Invalid response format from Gemini API');
+    }
+    return text;
+  }
+}
+
+export default GeminiProvider;
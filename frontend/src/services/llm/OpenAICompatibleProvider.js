@@ -0,0 +1,43 @@
+import axios from 'axios';
+
+// Works with any server exposing the OpenAI chat completions API,
+// including locally hosted model servers
+class OpenAICompatibleProvider {
+  constructor({ baseURL, apiKey, model } = {}) {
+    this.id = 'openai';
+    this.label = 'OpenAI-compatible endpoint';
+    this.baseURL = (baseURL || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL && this.model);
+  }
+
+  async generate(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.1,
+        max_tokens: 1500
+      },
+      { headers }
+    );
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('Invalid response format from chat completions endpoint');
+    }
+    return text;
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,204 @@
+import { describeModelContext, shiftDate } from '../nlContext';
+
+// Deterministic keyword-based parser. Runs entirely in the browser, so no
+// query text or staff data leaves the page.
+class RuleBasedProvider {
+  constructor() {
+    this.id = 'rule_based';
+    this.label = 'Rule-based (offline)';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  parseQuery(query, currentUIState) {
+    const context = describeModelContext(currentUIState);
+    const queryLower = query.toLowerCase();
+    const uiUpdates = [];
+    const configPatches = [];
+    let visualizationFocus = 'general';
+
+    const dateControl = context.controls.find(c => c.type === 'date_range');
+    const demandControl = context.controls.find(c => c.type === 'slider' && c.maps_to.includes('demand'));
+    const costControl = context.controls.find(c => c.type === 'slider' && c.maps_to.includes('cost'));
+    const mentionedStaff = this.extractStaffNames(query, context);
+    const mentionedSkills = this.extractSkills(query, context);
+
+    // Time-related queries
+    if (queryLower.includes('next week') && dateControl) {
+      let startStr;
+      let endStr;
+
+      // "Next week" is relative to the model's scheduling period when known
+      if (context.dayRange) {
+        startStr = shiftDate(context.dayRange.start, 7);
+        endStr = shiftDate(context.dayRange.start, 13);
+      } else {
+        const today = new Date();
+        const nextWeekStart = new Date(today);
+        nextWeekStart.setDate(today.getDate() + ((7 - today.getDay()) % 7) + 1);
+        const nextWeekEnd = new Date(nextWeekStart);
+        nextWeekEnd.setDate(nextWeekStart.getDate() + 6);
+
+        startStr = nextWeekStart.toISOString().split('T')[0];
+        endStr = nextWeekEnd.toISOString().split('T')[0];
+      }
+
+      uiUpdates.push({
+        control_id: dateControl.maps_to,
+        value: [startStr, endStr],
+        explanation: 'Set date range to next week'
+      });
+
+      visualizationFocus = 'weekly_schedule';
+    }
+
+    // Demand adjustments
+    if (queryLower.includes('demand') && demandControl) {
+      let multiplier = 1.0;
+      
+      if (queryLower.includes('high') || queryLower.includes('increase')) {
+        multiplier = 1.5;
+      } else if (queryLower.includes('low') || queryLower.includes('decrease')) {
+        multiplier = 0.7;
+      }
+
+      const percentMatch = queryLower.match(/(\d+)%/);
+      if (percentMatch) {
+        const percent = parseInt(percentMatch[1]);
+        multiplier = queryLower.includes('decrease') || queryLower.includes('reduce')
+          ? 1 - (percent / 100)
+          : 1 + (percent / 100);
+      }
+
+      uiUpdates.push({
+        control_id: demandControl.maps_to,
+        value: multiplier,
+        explanation: `Adjust ${demandControl.label.toLowerCase()} to ${multiplier}x`
+      });
+
+      if (mentionedSkills) {
+        visualizationFocus = `${mentionedSkills[0]}_assignments`;
+      }
+    }
+
+    // Cost adjustments
+    if (costControl && queryLower.includes('cost') && (queryLower.includes('adjust') || queryLower.includes('increase') || queryLower.includes('decrease'))) {
+      let multiplier = queryLower.includes('decrease') ? 0.8 : 1.2;
+      
+      // Extract percentage if mentioned
+      const percentMatch = queryLower.match(/(\d+)%/);
+      if (percentMatch) {
+        const percent = parseInt(percentMatch[1]);
+        multiplier = queryLower.includes('decrease') ? 1 - (percent / 100) : 1 + (percent / 100);
+      }
+
+      uiUpdates.push({
+        control_id: costControl.maps_to,
+        value: multiplier,
+        explanation: `Adjust staff costs to ${multiplier}x`
+      });
+      visualizationFocus = 'cost_analysis';
+    }
+
+    // Working hours for named staff, e.g. "Alice can only work 10am to 4pm"
+    const hours = this.extractHourRange(query);
+    if (mentionedStaff && hours && context.constraints.includes('time_window')) {
+      configPatches.push({
+        operation: 'merge',
+        path: ['overrides', 'constraints'],
+        value: mentionedStaff.map(candidate => ({
+          name: `${candidate.toLowerCase()}_time_window`,
+          function: 'time_window',
+          args: { candidate, start_time: hours[0], end_time: hours[1] }
+        }))
+      });
+      visualizationFocus = `${mentionedStaff[0].toLowerCase()}_schedule`;
+    } else if (mentionedStaff && visualizationFocus === 'general') {
+      visualizationFocus = `${mentionedStaff[0].toLowerCase()}_schedule`;
+    }
+
+    return {
+      ui_updates: uiUpdates,
+      config_patches: configPatches,
+      visualization_focus: visualizationFocus
+    };
+  }
+
+  // "10am to 4pm", "10-16" -> [10, 16]
+  extractHourRange(query) {
+    const match = query.toLowerCase().match(/(\d{1,2})\s*(am|pm)?\s*(?:to|-|–|until)\s*(\d{1,2})\s*(am|pm)?/);
+    if (!match) {
+      return null;
+    }
+
+    const toHour = (value, suffix) => {
+      const hour = parseInt(value);
+      if (suffix === 'pm' && hour < 12) return hour + 12;
+      if (suffix === 'am' && hour === 12) return 0;
+      return hour;
+    };
+
+    const start = toHour(match[1], match[2]);
+    const end = toHour(match[3], match[4] || (match[2] === 'am' && parseInt(match[3]) < parseInt(match[1]) ? 'pm' : undefined));
+    return start < end && end <= 24 ? [start, end] : null;
+  }
+
+  // Helper method to extract time ranges from natural language
+  extractTimeRange(query) {
+    const queryLower = query.toLowerCase();
+    const today = new Date();
+
+    if (queryLower.includes('today')) {
+      const todayStr = today.toISOString().split('T')[0];
+      return [todayStr, todayStr];
+    }
+
+    if (queryLower.includes('this week')) {
+      const startOfWeek = new Date(today);
+      startOfWeek.setDate(today.getDate() - today.getDay());
+      const endOfWeek = new Date(startOfWeek);
+      endOfWeek.setDate(startOfWeek.getDate() + 6);
+      
+      return [
+        startOfWeek.toISOString().split('T')[0],
+        endOfWeek.toISOString().split('T')[0]
+      ];
+    }
+
+    if (queryLower.includes('next month')) {
+      const nextMonth = new Date(today);
+      nextMonth.setMonth(today.getMonth() + 1);
+      nextMonth.setDate(1);
+      const endOfMonth = new Date(nextMonth);
+      endOfMonth.setMonth(nextMonth.getMonth() + 1);
+      endOfMonth.setDate(0);
+      
+      return [
+        nextMonth.toISOString().split('T')[0],
+        endOfMonth.toISOString().split('T')[0]
+      ];
+    }
+
+    return null;
+  }
+
+  // Helper method to extract staff member names
+  extractStaffNames(query, context) {
+    const mentioned = context.candidates.filter(name => 
+      query.toLowerCase().includes(name.toLowerCase())
+    );
+    return mentioned.length > 0 ? mentioned : null;
+  }
+
+  // Helper method to extract skills/roles
+  extractSkills(query, context) {
+    const mentioned = context.skills.filter(skill => 
+      query.toLowerCase().includes(skill.toLowerCase())
+    );
+    return mentioned.length > 0 ? mentioned : null;
+  }
+}
+
+export default RuleBasedProvider;
@@ -0,0 +1,79 @@
+import GeminiProvider from './GeminiProvider';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider';
+import RuleBasedProvider from './RuleBasedProvider';
+
+const SETTINGS_STORAGE_KEY = 'schedulingdsl.llmSettings';
+// API keys last for the browser session only and never reach localStorage
+const API_KEY_STORAGE_KEY = 'schedulingdsl.llmApiKey';
+
+export const LLM_PROVIDERS = [
+  {
+    id: 'gemini',
+    label: 'Google Gemini',
+    description: 'The backend forwards the query and current UI state, including staff names, to Google.'
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI-compatible endpoint',
+    description: 'Any chat completions server, e.g. a locally hosted model. Data stays on that server.'
+  },
+  {
+    id: 'rule_based',
+    label: 'Rule-based (offline)',
+    description: 'Deterministic keyword matching in the browser. Nothing leaves the page.'
+  }
+];
+
+// Defaults come from the build-time environment
+const envSettings = () => ({
+  provider: process.env.REACT_APP_LLM_PROVIDER || 'gemini',
+  // Empty leaves the choice to the server's GEMINI_MODEL
+  geminiModel: process.env.REACT_APP_GEMINI_MODEL || '',
+  openaiBaseURL: process.env.REACT_APP_LLM_BASE_URL || '',
+  openaiModel: process.env.REACT_APP_LLM_MODEL || '',
+  openaiApiKey: process.env.REACT_APP_LLM_API_KEY || ''
+});
+
+// Settings chosen in the UI override the environment defaults
+export const loadProviderSettings = () => {
+  const apiKey = window.sessionStorage.getItem(API_KEY_STORAGE_KEY);
+  try {
+    // Keys saved by earlier versions are ignored
+    const { openaiApiKey, ...stored } = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    return { ...envSettings(), ...stored, ...(apiKey !== null ? { openaiApiKey: apiKey } : {}) };
+  } catch (error) {
+    console.warn('Ignoring unreadable LLM settings:', error);
+    return envSettings();
+  }
+};
+
+export const saveProviderSettings = ({ openaiApiKey, ...settings }) => {
+  window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  if (openaiApiKey) {
+    window.sessionStorage.setItem(API_KEY_STORAGE_KEY, openaiApiKey);
+  } else {
+    window.sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+};
+
+export const createProvider = (settings) => {
+  switch (settings.provider) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseURL: settings.openaiBaseURL,
+        apiKey: settings.openaiApiKey,
+        model: settings.openaiModel
+      });
+    case 'rule_based':
+      return new RuleBasedProvider();
+    case 'gemini':
+    default:
+      return new GeminiProvider({
+        // Production builds never embed the key
+        devApiKey: process.env.NODE_ENV === 'development' ? process.env.REACT_APP_GEMINI_API_KEY : undefined,
+        model: settings.geminiModel
+      });
+  }
+};
+
+export { GeminiProvider, OpenAICompatibleProvider, RuleBasedProvider };
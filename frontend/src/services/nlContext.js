@@ -0,0 +1,55 @@
+import { DEFAULT_REGISTRY, registeredName } from './nlValidation';
+
+// Everything the NL layer needs to know about the loaded model, taken from
+// the live config and UI spec rather than from the demo data
+
+const listIndexValues = (name, modelConfig, controls) => {
+  const index = modelConfig?.indexes?.[name];
+  if (index?.type === 'list') {
+    return index.values || [];
+  }
+  const control = controls.find(c => c.maps_to === `indexes.${name}`);
+  return control?.options || [];
+};
+
+const dateRange = (modelConfig, controls) => {
+  const index = Object.values(modelConfig?.indexes || {}).find(i => i.type === 'date_range');
+  if (index) {
+    return { start: index.start, end: index.end };
+  }
+  const control = controls.find(c => c.type === 'date_range');
+  if (control?.default) {
+    return { start: control.default[0], end: control.default[1] };
+  }
+  return null;
+};
+
+export const describeModelContext = (currentUIState = {}) => {
+  const { uiSpec, modelConfig, registry = DEFAULT_REGISTRY } = currentUIState;
+  const controls = uiSpec?.controls || [];
+
+  return {
+    template: modelConfig?.template,
+    controls,
+    candidates: listIndexValues('candidates', modelConfig, controls),
+    skills: listIndexValues('skills', modelConfig, controls),
+    scenarios: listIndexValues('scenarios', modelConfig, controls),
+    dayRange: dateRange(modelConfig, controls),
+    indexNames: Object.keys(modelConfig?.indexes || {}),
+    parameterNames: Object.keys(modelConfig?.parameters || {}),
+    options: modelConfig?.options || {},
+    constraints: (registry.constraints || []).map(registeredName),
+    objectives: (registry.objectives || []).map(registeredName),
+    // Full entries, with argument schemas when served by the backend
+    constraintSpecs: registry.constraints || [],
+    objectiveSpecs: registry.objectives || []
+  };
+};
+
+// "2025-07-01" + 7 days -> "2025-07-08"
+export const shiftDate = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
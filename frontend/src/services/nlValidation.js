@@ -0,0 +1,306 @@
+// Validation of natural language results against the live model.
+// Each item is checked on its own so one bad suggestion does not sink the rest.
+
+// Constraint and objective functions registered by the backend's
+// work_scheduling template, used when the registry endpoints are unavailable
+export const DEFAULT_REGISTRY = {
+  constraints: ['time_window', 'max_consecutive_days', 'min_rest_days'],
+  objectives: ['minimize_cost', 'maximize_coverage', 'balance_workload']
+};
+
+// Registry entries are {name, description, args} as served by the backend;
+// plain names are accepted too
+export const registeredName = (entry) => (typeof entry === 'string' ? entry : entry.name);
+
+const NUMERIC_ARG_TYPES = ['integer', 'number', 'hour'];
+const OBJECTIVE_MODES = ['weighted', 'lexicographic'];
+const RISK_MEASURES = ['expected', 'cvar'];
+
+const PATCH_OPERATIONS = ['merge', 'replace', 'delete'];
+const CONFIG_SECTIONS = ['indexes', 'parameters', 'options', 'overrides'];
+const OVERRIDE_SECTIONS = {
+  constraints: 'constraints',
+  objective: 'objectives'
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+};
+
+// Harmless shape differences are fixed locally instead of spending a re-prompt
+const coerceControlValue = (control, value) => {
+  switch (control.type) {
+    case 'slider':
+    case 'number':
+      return toNumber(value);
+    case 'date_range':
+      if (isPlainObject(value) && value.start && value.end) {
+        return [value.start, value.end];
+      }
+      return value;
+    case 'multiselect':
+      return typeof value === 'string' ? [value] : value;
+    default:
+      return value;
+  }
+};
+
+const validateControlValue = (control, value) => {
+  const errors = [];
+
+  switch (control.type) {
+    case 'slider':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`value must be a number, got ${JSON.stringify(value)}`);
+      } else {
+        if (control.min !== undefined && value < control.min) {
+          errors.push(`value ${value} is below the minimum of ${control.min}`);
+        }
+        if (control.max !== undefined && value > control.max) {
+          errors.push(`value ${value} is above the maximum of ${control.max}`);
+        }
+      }
+      break;
+
+    case 'date_range':
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(isValidDate)) {
+        errors.push('value must be ["YYYY-MM-DD", "YYYY-MM-DD"]');
+      } else if (value[0] > value[1]) {
+        errors.push(`start date ${value[0]} is after end date ${value[1]}`);
+      }
+      break;
+
+    case 'multiselect': {
+      if (!Array.isArray(value)) {
+        errors.push('value must be an array');
+        break;
+      }
+      const unknown = value.filter(v => !(control.options || []).includes(v));
+      if (unknown.length > 0) {
+        errors.push(`unknown option(s) ${unknown.join(', ')}; allowed: ${(control.options || []).join(', ')}`);
+      }
+      break;
+    }
+
+    case 'select':
+      if (!(control.options || []).includes(value)) {
+        errors.push(`unknown option ${JSON.stringify(value)}; allowed: ${(control.options || []).join(', ')}`);
+      }
+      break;
+
+    case 'switch':
+      if (typeof value !== 'boolean') {
+        errors.push('value must be true or false');
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return errors;
+};
+
+export const validateUiUpdate = (update, controls) => {
+  if (!isPlainObject(update)) {
+    return { errors: ['ui_update must be an object'] };
+  }
+
+  const control = controls.find(c => c.maps_to === update.control_id);
+  if (!control) {
+    return {
+      errors: [`unknown control_id ${JSON.stringify(update.control_id)}; available: ${controls.map(c => c.maps_to).join(', ')}`]
+    };
+  }
+
+  const value = coerceControlValue(control, update.value);
+  const errors = validateControlValue(control, value);
+  return { errors, item: { ...update, value } };
+};
+
+// Only checked when the registry carries argument schemas
+const validateArgs = (label, args, schema) => {
+  if (!schema?.args || !isPlainObject(args)) {
+    return [];
+  }
+
+  const errors = [];
+  const accepted = schema.args.map(arg => arg.name);
+
+  Object.entries(args).forEach(([name, value]) => {
+    const spec = schema.args.find(arg => arg.name === name);
+    if (!spec) {
+      errors.push(`${label} has unknown argument ${JSON.stringify(name)}; accepted: ${accepted.join(', ') || 'none'}`);
+      return;
+    }
+    if (NUMERIC_ARG_TYPES.includes(spec.type)) {
+      const number = toNumber(value);
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`${label}.${name} must be a number, got ${JSON.stringify(value)}`);
+      } else if (spec.type === 'integer' && !Number.isInteger(number)) {
+        errors.push(`${label}.${name} must be an integer`);
+      } else if (spec.min !== undefined && number < spec.min) {
+        errors.push(`${label}.${name} ${number} is below the minimum of ${spec.min}`);
+      } else if (spec.max !== undefined && number > spec.max) {
+        errors.push(`${label}.${name} ${number} is above the maximum of ${spec.max}`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+const validateOverrideEntries = (section, value, registry) => {
+  const errors = [];
+  const schemas = registry[OVERRIDE_SECTIONS[section]] || [];
+  const registered = schemas.map(registeredName);
+  const entries = Array.isArray(value) ? value : [value];
+
+  entries.forEach((entry, index) => {
+    if (!isPlainObject(entry)) {
+      errors.push(`${section}[${index}] must be an object with "function" and "args"`);
+      return;
+    }
+    if (!registered.includes(entry.function)) {
+      errors.push(`${section}[${index}] uses unknown function ${JSON.stringify(entry.function)}; registered: ${registered.join(', ')}`);
+    }
+    if (entry.args !== undefined && !isPlainObject(entry.args)) {
+      errors.push(`${section}[${index}].args must be an object`);
+    }
+    if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight >= 0)) {
+      errors.push(`${section}[${index}].weight must be a non-negative number`);
+    }
+    const schema = schemas.find(s => registeredName(s) === entry.function);
+    errors.push(...validateArgs(`${section}[${index}].args`, entry.args, schema));
+  });
+
+  return { errors, value: entries };
+};
+
+const validateIndexValue = (key, value, controls) => {
+  const control = controls.find(c => c.maps_to === `indexes.${key}`);
+  if (!control) {
+    return [`unknown index ${JSON.stringify(key)}`];
+  }
+
+  if (control.type === 'date_range') {
+    const range = Array.isArray(value) ? { start: value[0], end: value[1] } : value;
+    if (!isPlainObject(range) || !isValidDate(range.start) || !isValidDate(range.end)) {
+      return ['date range index value must be {"start": "YYYY-MM-DD", "end": "YYYY-MM-DD"}'];
+    }
+    return [];
+  }
+
+  return validateControlValue(control, value);
+};
+
+export const validateConfigPatch = (patch, controls, registry) => {
+  if (!isPlainObject(patch)) {
+    return { errors: ['config_patch must be an object'] };
+  }
+
+  const errors = [];
+  const { operation, path } = patch;
+  let { value } = patch;
+
+  if (!PATCH_OPERATIONS.includes(operation)) {
+    errors.push(`unknown operation ${JSON.stringify(operation)}; use one of ${PATCH_OPERATIONS.join(', ')}`);
+  }
+  if (!Array.isArray(path) || path.length < 2 || !path.every(p => typeof p === 'string' && p.length > 0)) {
+    errors.push('path must be an array of at least two strings, e.g. ["options", "max_daily_assignments"]');
+    return { errors };
+  }
+
+  const [section, key] = path;
+  if (!CONFIG_SECTIONS.includes(section)) {
+    errors.push(`unknown config section ${JSON.stringify(section)}; use one of ${CONFIG_SECTIONS.join(', ')}`);
+    return { errors };
+  }
+
+  if (operation === 'delete') {
+    return { errors, item: patch };
+  }
+  if (value === undefined) {
+    errors.push('value is required');
+    return { errors };
+  }
+
+  if (section === 'overrides') {
+    if (!OVERRIDE_SECTIONS[key]) {
+      errors.push(`unknown overrides section ${JSON.stringify(key)}; use constraints or objective`);
+    } else {
+      const result = validateOverrideEntries(key, value, registry);
+      errors.push(...result.errors);
+      value = result.value;
+    }
+  } else if (section === 'indexes') {
+    errors.push(...validateIndexValue(key, value, controls));
+  } else if (section === 'options' && key === 'objective_mode') {
+    if (!OBJECTIVE_MODES.includes(value)) {
+      errors.push(`objective_mode must be one of ${OBJECTIVE_MODES.join(', ')}`);
+    }
+  } else if (section === 'options' && key === 'max_daily_assignments') {
+    value = toNumber(value);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push('max_daily_assignments must be a positive integer');
+    }
+  } else if (section === 'options' && key === 'risk_measure') {
+    if (!RISK_MEASURES.includes(value)) {
+      errors.push(`risk_measure must be one of ${RISK_MEASURES.join(', ')}`);
+    }
+  } else if (section === 'options' && key === 'cvar_alpha') {
+    value = toNumber(value);
+    if (!(value >= 0 && value < 1)) {
+      errors.push('cvar_alpha must be at least 0 and below 1');
+    }
+  }
+
+  return { errors, item: { ...patch, value } };
+};
+
+// Split a parsed result into valid items and rejected items with reasons
+export const validateNLResult = (result, { uiSpec, registry = DEFAULT_REGISTRY } = {}) => {
+  const controls = uiSpec?.controls || [];
+  const valid = { ui_updates: [], config_patches: [] };
+  const invalid = [];
+
+  (result.ui_updates || []).forEach(update => {
+    const { errors, item } = validateUiUpdate(update, controls);
+    if (errors.length === 0) {
+      valid.ui_updates.push(item);
+    } else {
+      invalid.push({ kind: 'ui_update', item: update, errors });
+    }
+  });
+
+  (result.config_patches || []).forEach(patch => {
+    const { errors, item } = validateConfigPatch(patch, controls, registry);
+    if (errors.length === 0) {
+      valid.config_patches.push(item);
+    } else {
+      invalid.push({ kind: 'config_patch', item: patch, errors });
+    }
+  });
+
+  return {
+    result: {
+      ...result,
+      ...valid
+    },
+    invalid
+  };
+};
@@ -0,0 +1,129 @@
+import { DEFAULT_REGISTRY, validateConfigPatch, validateNLResult, validateUiUpdate } from './nlValidation';
+
+const controls = [
+  { label: 'Demand multiplier', type: 'slider', maps_to: 'parameters.demand_multiplier', min: 0.5, max: 2 },
+  { label: 'Scheduling period', type: 'date_range', maps_to: 'indexes.days' },
+  { label: 'Skills', type: 'multiselect', maps_to: 'indexes.skills', options: ['kitchen', 'bar'] }
+];
+
+const patchErrors = (patch, registry = DEFAULT_REGISTRY) => validateConfigPatch(patch, controls, registry).errors;
+
+const overrides = (section, entries) => ({ operation: 'merge', path: ['overrides', section], value: entries });
+
+describe('validateUiUpdate', () => {
+  it('accepts a value in range and coerces numeric strings', () => {
+    const { errors, item } = validateUiUpdate({ control_id: 'parameters.demand_multiplier', value: '1.5' }, controls);
+    expect(errors).toEqual([]);
+    expect(item.value).toBe(1.5);
+  });
+
+  it('rejects values outside the slider range', () => {
+    expect(validateUiUpdate({ control_id: 'parameters.demand_multiplier', value: 3 }, controls).errors)
+      .toEqual(['value 3 is above the maximum of 2']);
+    expect(validateUiUpdate({ control_id: 'parameters.demand_multiplier', value: 0.1 }, controls).errors)
+      .toEqual(['value 0.1 is below the minimum of 0.5']);
+  });
+
+  it('rejects values of the wrong type', () => {
+    expect(validateUiUpdate({ control_id: 'parameters.demand_multiplier', value: 'lots' }, controls).errors)
+      .toEqual(['value must be a number, got "lots"']);
+    expect(validateUiUpdate({ control_id: 'indexes.days', value: ['2025-07-08', '2025-07-01'] }, controls).errors)
+      .toEqual(['start date 2025-07-08 is after end date 2025-07-01']);
+    expect(validateUiUpdate({ control_id: 'indexes.skills', value: ['kitchen', 'garden'] }, controls).errors[0])
+      .toMatch(/unknown option\(s\) garden/);
+  });
+
+  it('rejects unknown controls', () => {
+    expect(validateUiUpdate({ control_id: 'parameters.budget', value: 1 }, controls).errors[0])
+      .toMatch(/unknown control_id "parameters.budget"/);
+  });
+});
+
+describe('validateConfigPatch', () => {
+  it('accepts functions from the default registry', () => {
+    expect(patchErrors(overrides('constraints', [
+      { name: 'alice_hours', function: 'time_window', args: { candidate: 'Alice', start_time: 10, end_time: 16 } }
+    ]))).toEqual([]);
+    expect(patchErrors(overrides('objective', [{ name: 'cost', function: 'minimize_cost', weight: 1 }]))).toEqual([]);
+  });
+
+  it('rejects unknown function names', () => {
+    const [error] = patchErrors(overrides('constraints', [{ name: 'no_nights', function: 'no_night_shifts' }]));
+    expect(error).toMatch(/unknown function "no_night_shifts"/);
+    expect(error).toMatch(/registered: time_window, max_consecutive_days, min_rest_days/);
+
+    // Constraints are not objectives
+    expect(patchErrors(overrides('objective', [{ name: 'rest', function: 'min_rest_days' }]))[0])
+      .toMatch(/unknown function "min_rest_days"/);
+  });
+
+  it('checks argument types when the registry has schemas', () => {
+    const registry = {
+      ...DEFAULT_REGISTRY,
+      constraints: [{
+        name: 'max_consecutive_days',
+        args: [{ name: 'max_consecutive', type: 'integer', min: 1 }]
+      }]
+    };
+    const patch = (args) => overrides('constraints', [{ name: 'streak', function: 'max_consecutive_days', args }]);
+
+    expect(patchErrors(patch({ max_consecutive: 4 }), registry)).toEqual([]);
+    expect(patchErrors(patch({ max_consecutive: 'four' }), registry))
+      .toEqual(['constraints[0].args.max_consecutive must be a number, got "four"']);
+    expect(patchErrors(patch({ max_consecutive: 2.5 }), registry))
+      .toEqual(['constraints[0].args.max_consecutive must be an integer']);
+    expect(patchErrors(patch({ max_consecutive: 0 }), registry))
+      .toEqual(['constraints[0].args.max_consecutive 0 is below the minimum of 1']);
+    expect(patchErrors(patch({ days: 4 }), registry)[0]).toMatch(/unknown argument "days"/);
+  });
+
+  it('rejects malformed entries', () => {
+    expect(patchErrors(overrides('objective', [{ name: 'cost', function: 'minimize_cost', weight: -1 }])))
+      .toEqual(['objective[0].weight must be a non-negative number']);
+    expect(patchErrors(overrides('constraints', ['time_window'])))
+      .toEqual(['constraints[0] must be an object with "function" and "args"']);
+  });
+
+  it('only accepts the known risk measures', () => {
+    const riskMeasure = (value) => ({ operation: 'merge', path: ['options', 'risk_measure'], value });
+    expect(patchErrors(riskMeasure('expected'))).toEqual([]);
+    expect(patchErrors(riskMeasure('cvar'))).toEqual([]);
+    expect(patchErrors(riskMeasure('worst_case'))).toEqual(['risk_measure must be one of expected, cvar']);
+  });
+
+  it('keeps cvar_alpha in [0, 1)', () => {
+    const cvarAlpha = (value) => ({ operation: 'merge', path: ['options', 'cvar_alpha'], value });
+    expect(patchErrors(cvarAlpha(0))).toEqual([]);
+    expect(validateConfigPatch(cvarAlpha('0.9'), controls, DEFAULT_REGISTRY).item.value).toBe(0.9);
+    [1, -0.1, 'high'].forEach(value => {
+      expect(patchErrors(cvarAlpha(value))).toEqual(['cvar_alpha must be at least 0 and below 1']);
+    });
+  });
+
+  it('rejects unknown sections and operations', () => {
+    expect(patchErrors({ operation: 'merge', path: ['solver', 'time_limit'], value: 60 })[0])
+      .toMatch(/unknown config section "solver"/);
+    expect(patchErrors({ operation: 'append', path: ['options', 'max_daily_assignments'], value: 2 })[0])
+      .toMatch(/unknown operation "append"/);
+    expect(patchErrors({ operation: 'merge', path: ['options'], value: 2 })[0])
+      .toMatch(/path must be an array of at least two strings/);
+  });
+});
+
+describe('validateNLResult', () => {
+  it('keeps the valid items and reports the rest', () => {
+    const { result, invalid } = validateNLResult({
+      ui_updates: [
+        { control_id: 'parameters.demand_multiplier', value: 1.2 },
+        { control_id: 'parameters.demand_multiplier', value: 5 }
+      ],
+      config_patches: [overrides('constraints', [{ name: 'x', function: 'no_night_shifts' }])],
+      visualization_focus: 'general'
+    }, { uiSpec: { controls } });
+
+    expect(result.ui_updates).toEqual([{ control_id: 'parameters.demand_multiplier', value: 1.2 }]);
+    expect(result.config_patches).toEqual([]);
+    expect(result.visualization_focus).toBe('general');
+    expect(invalid.map(entry => entry.kind)).toEqual(['ui_update', 'config_patch']);
+  });
+});
@@ -0,0 +1,159 @@
+import * as XLSX from 'xlsx';
+
+// Client-side schedule exports. All functions take already-filtered
+// assignment/schedule records so exports match what is on screen.
+
+// Some browsers start the download after click() returns, so the object
+// URL is only released once they have had time to read it
+const REVOKE_DELAY_MS = 10000;
+
+const downloadBlob = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+const toRows = (assignments) => {
+  return [...assignments]
+    .sort((a, b) => a.candidate.localeCompare(b.candidate) || a.day.localeCompare(b.day) || a.skill.localeCompare(b.skill))
+    .map(a => ({
+      candidate: a.candidate,
+      day: a.day,
+      skill: a.skill,
+      shift: a.shift ?? '',
+      start: a.start?.slice(11, 16) ?? '',
+      end: a.finish?.slice(11, 16) ?? '',
+      hours: a.hours ?? '',
+      stage: a.stage === 'recourse' ? `call-in (${a.scenario})` : 'plan'
+    }));
+};
+
+// Shift columns only when the schedule has shifts, a stage column only
+// when it has call-ins
+const hasShifts = (assignments) => assignments.some(a => a.shift);
+const hasCallIns = (assignments) => assignments.some(a => a.stage === 'recourse');
+
+export const escapeCSV = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const exportCSV = (assignments, filename = 'schedule.csv') => {
+  const header = [
+    'candidate', 'day', 'skill',
+    ...(hasShifts(assignments) ? ['shift', 'start', 'end', 'hours'] : []),
+    ...(hasCallIns(assignments) ? ['stage'] : [])
+  ];
+  const lines = [
+    header.join(','),
+    ...toRows(assignments).map(row => header.map(col => escapeCSV(row[col])).join(','))
+  ];
+  downloadBlob(lines.join('\r\n'), filename, 'text/csv;charset=utf-8');
+};
+
+// Config text comes from the server as is
+export const exportConfigYAML = (yaml, filename = 'config.yaml') => {
+  downloadBlob(yaml, filename, 'application/x-yaml;charset=utf-8');
+};
+
+// Excel limits sheet names to 31 characters and forbids a few symbols
+export const sheetName = (name, used) => {
+  const base = String(name).replace(/[\\/?*[\]:]/g, '_').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  let suffix = 2;
+  while (used.has(candidate)) {
+    candidate = `${base.slice(0, 28)}_${suffix++}`;
+  }
+  used.add(candidate);
+  return candidate;
+};
+
+export const exportXLSX = (assignments, filename = 'schedule.xlsx') => {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  const rows = toRows(assignments);
+  const candidates = [...new Set(rows.map(row => row.candidate))];
+  const header = [
+    'Date', 'Skill',
+    ...(hasShifts(assignments) ? ['Shift', 'Start', 'End', 'Hours'] : []),
+    ...(hasCallIns(assignments) ? ['Stage'] : [])
+  ];
+
+  candidates.forEach(candidate => {
+    const sheetRows = rows
+      .filter(row => row.candidate === candidate)
+      .map(row => {
+        const cells = { Date: row.day, Skill: row.skill, Shift: row.shift, Start: row.start, End: row.end, Hours: row.hours, Stage: row.stage };
+        return Object.fromEntries(header.map(column => [column, cells[column]]));
+      });
+    const sheet = XLSX.utils.json_to_sheet(sheetRows, { header });
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName(candidate, used));
+  });
+
+  if (candidates.length === 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header]), 'Schedule');
+  }
+
+  XLSX.writeFile(workbook, filename);
+};
+
+// iCalendar text values escape backslashes, commas, semicolons and newlines
+export const escapeICS = (text) => {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n');
+};
+
+// "2025-07-01T09:00:00" -> "20250701T090000" (floating local time)
+const toICSDateTime = (isoString) => isoString.replace(/[-:]/g, '').slice(0, 15);
+
+// A calendar shared by several staff members names them in each summary
+export const buildCalendar = (name, entries, { shared = false } = {}) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SchedulingDSL//Schedule Export//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeICS(`${name} shifts`)}`
+  ];
+
+  entries.forEach(entry => {
+    const summary = entry.stage === 'recourse' ? `${entry.skill} call-in (${entry.scenario})` : `${entry.skill} shift`;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeICS(`${entry.candidate}-${entry.day}-${entry.skill}-${entry.start}`)}@scheduling-dsl`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toICSDateTime(entry.start)}`,
+      `DTEND:${toICSDateTime(entry.finish)}`,
+      `SUMMARY:${escapeICS(shared ? `${entry.candidate}: ${summary}` : summary)}`,
+      `DESCRIPTION:${escapeICS(entry.stage === 'recourse'
+        ? `${entry.candidate} on call for ${entry.skill} in the ${entry.scenario} scenario`
+        : `${entry.candidate} assigned to ${entry.skill}`)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n');
+};
+
+// A single .ics download: one staff member's calendar, or one calendar
+// holding everyone's shifts. Browsers block a burst of downloads, so
+// several staff members never mean several files
+export const exportICS = (scheduleData, candidates) => {
+  const entries = scheduleData.filter(entry => candidates.includes(entry.candidate));
+  const calendar = candidates.length === 1
+    ? buildCalendar(candidates[0], entries)
+    : buildCalendar('Staff', entries, { shared: true });
+  const filename = candidates.length === 1 ? `${candidates[0].replace(/[^\w-]+/g, '_')}_shifts.ics` : 'staff_shifts.ics';
+  downloadBlob(calendar, filename, 'text/calendar;charset=utf-8');
+};
@@ -0,0 +1,131 @@
+import { buildCalendar, escapeCSV, escapeICS, exportICS, sheetName } from './exporters';
+
+const shift = (candidate, day, extra = {}) => ({
+  candidate,
+  day,
+  skill: 'kitchen',
+  start: `${day}T09:00:00`,
+  finish: `${day}T17:00:00`,
+  stage: 'plan',
+  ...extra
+});
+
+describe('escapeCSV', () => {
+  it('leaves plain values alone', () => {
+    expect(escapeCSV('Alice')).toBe('Alice');
+    expect(escapeCSV(8)).toBe('8');
+  });
+
+  it('writes missing values as empty cells', () => {
+    expect(escapeCSV(undefined)).toBe('');
+    expect(escapeCSV(null)).toBe('');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(escapeCSV('Smith, Alice')).toBe('"Smith, Alice"');
+    expect(escapeCSV('Alice "Al" Smith')).toBe('"Alice ""Al"" Smith"');
+    expect(escapeCSV('line\nbreak')).toBe('"line\nbreak"');
+    expect(escapeCSV('line\rbreak')).toBe('"line\rbreak"');
+  });
+});
+
+describe('escapeICS', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(escapeICS('kitchen; bar, prep')).toBe('kitchen\\; bar\\, prep');
+    expect(escapeICS('C:\\shifts')).toBe('C:\\\\shifts');
+    expect(escapeICS('two\nlines')).toBe('two\\nlines');
+  });
+
+  it('escapes backslashes before adding its own', () => {
+    expect(escapeICS('\\;')).toBe('\\\\\\;');
+  });
+});
+
+describe('sheetName', () => {
+  it('replaces the characters Excel forbids', () => {
+    expect(sheetName('A/B\\C?D*E[F]G:H', new Set())).toBe('A_B_C_D_E_F_G_H');
+  });
+
+  it('truncates to 31 characters', () => {
+    expect(sheetName('x'.repeat(40), new Set())).toHaveLength(31);
+  });
+
+  it('falls back to a default for empty names', () => {
+    expect(sheetName('', new Set())).toBe('Sheet');
+  });
+
+  it('keeps names unique within a workbook', () => {
+    const used = new Set();
+    const long = 'Bartholomew Fitzgerald-Montgomery';
+    expect(sheetName('Alice', used)).toBe('Alice');
+    expect(sheetName('Alice', used)).toBe('Alice_2');
+    expect(sheetName('Alice', used)).toBe('Alice_3');
+
+    const first = sheetName(long, used);
+    const second = sheetName(long, used);
+    expect(first).toHaveLength(31);
+    expect(second).toBe(`${first.slice(0, 28)}_2`);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('writes one event per entry', () => {
+    const calendar = buildCalendar('Alice', [shift('Alice', '2025-07-01'), shift('Alice', '2025-07-02')]);
+    const lines = calendar.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('DTSTART:20250701T090000');
+    expect(lines).toContain('SUMMARY:kitchen shift');
+  });
+
+  it('names the staff member in a shared calendar', () => {
+    const calendar = buildCalendar('Staff', [
+      shift('Alice', '2025-07-01'),
+      shift('Bob', '2025-07-01', { stage: 'recourse', scenario: 'high_demand' })
+    ], { shared: true });
+    expect(calendar).toContain('X-WR-CALNAME:Staff shifts');
+    expect(calendar).toContain('SUMMARY:Alice: kitchen shift');
+    expect(calendar).toContain('SUMMARY:Bob: kitchen call-in (high_demand)');
+  });
+});
+
+describe('exportICS', () => {
+  let downloads;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    downloads = [];
+    URL.createObjectURL = jest.fn(() => 'blob:calendar');
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+      downloads.push(this.download);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  const schedule = [shift('Alice', '2025-07-01'), shift('Bob', '2025-07-01'), shift('Carol', '2025-07-02')];
+
+  it('downloads a single calendar for all staff', () => {
+    exportICS(schedule, ['Alice', 'Bob', 'Carol']);
+    expect(downloads).toEqual(['staff_shifts.ics']);
+  });
+
+  it('names the file after a single staff member', () => {
+    exportICS(schedule, ['Bob Smith']);
+    expect(downloads).toEqual(['Bob_Smith_shifts.ics']);
+  });
+
+  it('keeps the object URL until the download has started', () => {
+    exportICS(schedule, ['Alice']);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:calendar');
+  });
+});
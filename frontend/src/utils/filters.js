@@ -0,0 +1,54 @@
+// Filter state shared by the result views: staff, skills, a range of days
+// and a scenario. Empty lists and nulls leave that dimension unfiltered.
+
+export const NO_FILTERS = { candidates: [], skills: [], days: null, scenario: null };
+
+export const hasFilters = (filters) => (
+  filters.candidates.length > 0 || filters.skills.length > 0 || filters.days !== null || filters.scenario !== null
+);
+
+// Whether an assignment or schedule entry passes the filters. Views that
+// drive a filter themselves ignore it, so their other values stay clickable.
+// Entries without a scenario, the plan, belong to every scenario; call-ins
+// for one scenario only show while it is selected.
+export const matchesFilters = (item, filters, ignore = []) => (
+  (ignore.includes('candidates') || filters.candidates.length === 0 || filters.candidates.includes(item.candidate)) &&
+  (ignore.includes('skills') || filters.skills.length === 0 || filters.skills.includes(item.skill)) &&
+  (ignore.includes('days') || filters.days === null || (item.day >= filters.days[0] && item.day <= filters.days[1])) &&
+  (ignore.includes('scenario') || item.scenario === undefined || item.scenario === filters.scenario)
+);
+
+// Drilling into a value selects only it; drilling into it again clears it
+export const drillInto = (values, value) => (values.length === 1 && values[0] === value ? [] : [value]);
+
+const findLabel = (labels, name) => labels.find(label => label.toLowerCase() === name.toLowerCase());
+
+// Filters and the view to highlight for a visualization_focus from the
+// language model, as {filters, view, label}; null when it names nothing
+// in this solution. Known forms: general, weekly_schedule, cost_analysis,
+// <skill>_assignments and <staff>_schedule.
+export const focusPreset = (focus, { candidates, skills, days }) => {
+  if (!focus || focus === 'general') {
+    return { filters: NO_FILTERS, view: null, label: null };
+  }
+  if (focus === 'weekly_schedule' && days.length > 0) {
+    const week = days.slice(0, 7);
+    return { filters: { ...NO_FILTERS, days: [week[0], week[week.length - 1]] }, view: 'gantt', label: `the week from ${week[0]}` };
+  }
+  if (focus === 'cost_analysis') {
+    return { filters: NO_FILTERS, view: 'workload', label: 'workload and cost' };
+  }
+
+  const [, subject] = focus.match(/^(.+)_(assignments|schedule)$/) || [];
+  if (!subject) return null;
+
+  const skill = findLabel(skills, subject);
+  if (skill) {
+    return { filters: { ...NO_FILTERS, skills: [skill] }, view: 'heatmap', label: `${skill} assignments` };
+  }
+  const candidate = findLabel(candidates, subject);
+  if (candidate) {
+    return { filters: { ...NO_FILTERS, candidates: [candidate] }, view: 'gantt', label: `${candidate}'s schedule` };
+  }
+  return null;
+};
@@ -0,0 +1,82 @@
+import { NO_FILTERS, drillInto, focusPreset, hasFilters, matchesFilters } from './filters';
+
+const plan = { candidate: 'Alice', day: '2025-07-01', skill: 'kitchen' };
+const callIn = { candidate: 'Bob', day: '2025-07-01', skill: 'kitchen', stage: 'recourse', scenario: 'high_demand' };
+
+describe('matchesFilters', () => {
+  it('lets everything through without filters', () => {
+    expect(hasFilters(NO_FILTERS)).toBe(false);
+    expect(matchesFilters(plan, NO_FILTERS)).toBe(true);
+  });
+
+  it('filters by staff, skill and day range', () => {
+    expect(matchesFilters(plan, { ...NO_FILTERS, candidates: ['Bob'] })).toBe(false);
+    expect(matchesFilters(plan, { ...NO_FILTERS, skills: ['kitchen', 'bar'] })).toBe(true);
+    expect(matchesFilters(plan, { ...NO_FILTERS, days: ['2025-07-01', '2025-07-07'] })).toBe(true);
+    expect(matchesFilters(plan, { ...NO_FILTERS, days: ['2025-07-02', '2025-07-07'] })).toBe(false);
+  });
+
+  it('keeps the plan under every scenario', () => {
+    expect(matchesFilters(plan, { ...NO_FILTERS, scenario: 'high_demand' })).toBe(true);
+    expect(matchesFilters(plan, { ...NO_FILTERS, scenario: 'base' })).toBe(true);
+  });
+
+  it('shows call-ins only while their scenario is selected', () => {
+    expect(matchesFilters(callIn, NO_FILTERS)).toBe(false);
+    expect(matchesFilters(callIn, { ...NO_FILTERS, scenario: 'base' })).toBe(false);
+    expect(matchesFilters(callIn, { ...NO_FILTERS, scenario: 'high_demand' })).toBe(true);
+  });
+
+  it('skips the filters a view drives itself', () => {
+    const filters = { ...NO_FILTERS, candidates: ['Alice'], scenario: 'base' };
+    expect(matchesFilters(callIn, filters)).toBe(false);
+    expect(matchesFilters(callIn, filters, ['candidates', 'scenario'])).toBe(true);
+  });
+});
+
+describe('drillInto', () => {
+  it('selects a value and clears it on a second drill', () => {
+    expect(drillInto([], 'Alice')).toEqual(['Alice']);
+    expect(drillInto(['Alice', 'Bob'], 'Alice')).toEqual(['Alice']);
+    expect(drillInto(['Alice'], 'Alice')).toEqual([]);
+  });
+});
+
+describe('focusPreset', () => {
+  const indexes = {
+    candidates: ['Alice', 'Bob'],
+    skills: ['kitchen', 'bar'],
+    days: ['2025-07-01', '2025-07-02', '2025-07-03', '2025-07-04', '2025-07-05', '2025-07-06', '2025-07-07', '2025-07-08']
+  };
+
+  it('filters a skill for <skill>_assignments', () => {
+    expect(focusPreset('kitchen_assignments', indexes)).toEqual({
+      filters: { ...NO_FILTERS, skills: ['kitchen'] },
+      view: 'heatmap',
+      label: 'kitchen assignments'
+    });
+  });
+
+  it('filters a staff member for <staff>_schedule, ignoring case', () => {
+    expect(focusPreset('alice_schedule', indexes)).toEqual({
+      filters: { ...NO_FILTERS, candidates: ['Alice'] },
+      view: 'gantt',
+      label: "Alice's schedule"
+    });
+  });
+
+  it('limits weekly_schedule to the first week', () => {
+    expect(focusPreset('weekly_schedule', indexes).filters.days).toEqual(['2025-07-01', '2025-07-07']);
+  });
+
+  it('clears the filters for general', () => {
+    expect(focusPreset('general', indexes)).toEqual({ filters: NO_FILTERS, view: null, label: null });
+    expect(focusPreset(undefined, indexes).filters).toBe(NO_FILTERS);
+  });
+
+  it('returns null for names it does not know', () => {
+    expect(focusPreset('carol_schedule', indexes)).toBeNull();
+    expect(focusPreset('garden_assignments', indexes)).toBeNull();
+    expect(focusPreset('staffing_overview', indexes)).toBeNull();
+  });
+});
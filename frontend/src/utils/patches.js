@@ -0,0 +1,109 @@
+// Helpers for working with config patches and the values they touch
+
+// Read a nested value from a config object using a patch path
+export const getValueAtPath = (obj, path) => {
+  return path.reduce((current, key) => {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    return current[key];
+  }, obj);
+};
+
+// Human-readable rendering of a control or config value
+export const formatValue = (value) => {
+  if (value === undefined) {
+    return '(not set)';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Patch paths from the NL layer are not guaranteed to be arrays
+const toPath = (path) => [].concat(path ?? []);
+
+export const describePatch = (patch) => {
+  return `${patch.operation} ${toPath(patch.path).join('.')}`;
+};
+
+// Turn a parsed natural language result into a reviewable list of changes.
+// Old values come from the current controls and the server-side model config.
+export const buildChangeProposal = (nlpResult, controls, modelConfig) => {
+  const uiItems = (nlpResult.ui_updates || []).map((update, index) => ({
+    key: `ui-${index}`,
+    kind: 'control',
+    target: update.control_id,
+    oldValue: controls[update.control_id],
+    newValue: update.value,
+    explanation: update.explanation || '',
+    update
+  }));
+
+  const patchItems = (nlpResult.config_patches || []).map((patch, index) => ({
+    key: `patch-${index}`,
+    kind: 'config',
+    target: toPath(patch.path).join('.'),
+    oldValue: getValueAtPath(modelConfig || {}, toPath(patch.path)),
+    newValue: patch.value,
+    explanation: patch.explanation || describePatch(patch),
+    patch
+  }));
+
+  return {
+    items: [...uiItems, ...patchItems],
+    rejected: nlpResult.rejected || [],
+    visualization_focus: nlpResult.visualization_focus
+  };
+};
+
+// The inverse restores the previous value, or removes a key the patch introduced
+export const invertPatch = (patch, oldValue) => {
+  if (oldValue === undefined) {
+    return { operation: 'delete', path: patch.path };
+  }
+  return { operation: 'replace', path: patch.path, value: oldValue };
+};
+
+// A batch is the unit of undo/redo: the patches sent to the backend together
+// with the control values they replaced
+export const createPatchBatch = ({
+  label,
+  patches = [],
+  oldValues = [],
+  controlsBefore = {},
+  controlsAfter = {},
+  coalesceKey = null
+}) => ({
+  label,
+  patches,
+  // Inverse patches run in reverse order so overlapping paths unwind correctly
+  inversePatches: patches.map((patch, i) => invertPatch(patch, oldValues[i])).reverse(),
+  controlsBefore,
+  controlsAfter,
+  coalesceKey,
+  timestamp: Date.now()
+});
+
+// Consecutive changes to the same control (e.g. dragging a slider) within
+// this window collapse into a single undo step
+export const COALESCE_WINDOW_MS = 1500;
+
+// Push a batch onto the undo stack. A coalesced batch keeps the inverse and
+// the controls of the first change, so one undo goes back to before the drag
+export const pushBatch = (past, batch) => {
+  const last = past[past.length - 1];
+  if (last && batch.coalesceKey && last.coalesceKey === batch.coalesceKey &&
+      batch.timestamp - last.timestamp < COALESCE_WINDOW_MS) {
+    return [...past.slice(0, -1), {
+      ...batch,
+      inversePatches: last.inversePatches,
+      controlsBefore: last.controlsBefore
+    }];
+  }
+  return [...past, batch];
+};
@@ -0,0 +1,134 @@
+import {
+  COALESCE_WINDOW_MS,
+  createPatchBatch,
+  getValueAtPath,
+  invertPatch,
+  pushBatch
+} from './patches';
+
+// Minimal stand-in for the backend's apply_config_patch
+const applyPatch = (config, { operation, path, value }) => {
+  const result = JSON.parse(JSON.stringify(config));
+  const parent = getValueAtPath(result, path.slice(0, -1));
+  const key = path[path.length - 1];
+  if (operation === 'delete') {
+    delete parent[key];
+  } else if (operation === 'merge' && typeof parent[key] === 'object' && typeof value === 'object') {
+    parent[key] = { ...parent[key], ...value };
+  } else {
+    parent[key] = value;
+  }
+  return result;
+};
+
+const applyAll = (config, patches) => patches.reduce(applyPatch, config);
+
+const config = {
+  options: { max_daily_assignments: 1, solver: { time_limit: 60 } },
+  overrides: { constraints: [] }
+};
+
+describe('invertPatch', () => {
+  it('replaces with the old value when there was one', () => {
+    const patch = { operation: 'replace', path: ['options', 'max_daily_assignments'], value: 2 };
+    expect(invertPatch(patch, 1)).toEqual({
+      operation: 'replace', path: ['options', 'max_daily_assignments'], value: 1
+    });
+  });
+
+  it('deletes a key the patch introduced', () => {
+    const patch = { operation: 'merge', path: ['options', 'risk_measure'], value: 'cvar' };
+    expect(invertPatch(patch, undefined)).toEqual({ operation: 'delete', path: ['options', 'risk_measure'] });
+  });
+
+  it('keeps a null old value rather than deleting', () => {
+    const patch = { operation: 'replace', path: ['options', 'risk_measure'], value: 'cvar' };
+    expect(invertPatch(patch, null)).toEqual({ operation: 'replace', path: ['options', 'risk_measure'], value: null });
+  });
+});
+
+describe('createPatchBatch', () => {
+  const patches = [
+    { operation: 'replace', path: ['options', 'max_daily_assignments'], value: 2 },
+    { operation: 'merge', path: ['options', 'risk_measure'], value: 'expected' },
+    { operation: 'merge', path: ['options', 'solver'], value: { time_limit: 30, mip_gap: 0.01 } }
+  ];
+  const oldValues = patches.map(patch => getValueAtPath(config, patch.path));
+
+  it('restores the original config after apply and undo', () => {
+    const batch = createPatchBatch({ label: 'Edit options', patches, oldValues });
+    const applied = applyAll(config, batch.patches);
+    expect(applied.options).toEqual({
+      max_daily_assignments: 2,
+      risk_measure: 'expected',
+      solver: { time_limit: 30, mip_gap: 0.01 }
+    });
+    expect(applyAll(applied, batch.inversePatches)).toEqual(config);
+  });
+
+  it('lists the inverse patches in reverse order', () => {
+    const batch = createPatchBatch({ label: 'Edit options', patches, oldValues });
+    expect(batch.inversePatches.map(patch => patch.path)).toEqual(
+      [...patches].reverse().map(patch => patch.path)
+    );
+  });
+
+  it('unwinds two patches on the same path back to the first old value', () => {
+    const sameKey = [
+      { operation: 'merge', path: ['options', 'recourse_premium'], value: 2 },
+      { operation: 'replace', path: ['options', 'recourse_premium'], value: 5 }
+    ];
+    const batch = createPatchBatch({ label: 'Premium', patches: sameKey, oldValues: [undefined, 2] });
+    const applied = applyAll(config, batch.patches);
+    expect(applied.options.recourse_premium).toBe(5);
+    expect(applyAll(applied, batch.inversePatches)).toEqual(config);
+  });
+
+  it('defaults to an empty batch', () => {
+    const batch = createPatchBatch({ label: 'Nothing' });
+    expect(batch.patches).toEqual([]);
+    expect(batch.inversePatches).toEqual([]);
+    expect(batch.coalesceKey).toBeNull();
+  });
+});
+
+describe('pushBatch', () => {
+  const sliderBatch = (value, previous, timestamp) => ({
+    ...createPatchBatch({
+      label: `Max daily assignments ${value}`,
+      patches: [{ operation: 'replace', path: ['options', 'max_daily_assignments'], value }],
+      oldValues: [previous],
+      controlsBefore: { max_daily_assignments: previous },
+      controlsAfter: { max_daily_assignments: value },
+      coalesceKey: 'max_daily_assignments'
+    }),
+    timestamp
+  });
+
+  it('coalesces changes to the same control within the window', () => {
+    const past = pushBatch([], sliderBatch(2, 1, 1000));
+    const coalesced = pushBatch(past, sliderBatch(3, 2, 1000 + COALESCE_WINDOW_MS - 1));
+
+    expect(coalesced).toHaveLength(1);
+    const [batch] = coalesced;
+    expect(batch.patches[0].value).toBe(3);
+    expect(batch.controlsAfter).toEqual({ max_daily_assignments: 3 });
+    // Undo goes back to before the first change
+    expect(batch.controlsBefore).toEqual({ max_daily_assignments: 1 });
+    expect(batch.inversePatches[0].value).toBe(1);
+  });
+
+  it('starts a new step once the window has passed', () => {
+    const past = pushBatch([], sliderBatch(2, 1, 1000));
+    expect(pushBatch(past, sliderBatch(3, 2, 1000 + COALESCE_WINDOW_MS))).toHaveLength(2);
+  });
+
+  it('never coalesces different controls or batches without a key', () => {
+    const past = pushBatch([], sliderBatch(2, 1, 1000));
+    const other = { ...sliderBatch(2, 1, 1001), coalesceKey: 'min_rest_hours' };
+    expect(pushBatch(past, other)).toHaveLength(2);
+
+    const unkeyed = [{ ...sliderBatch(2, 1, 1000), coalesceKey: null }];
+    expect(pushBatch(unkeyed, { ...sliderBatch(3, 2, 1001), coalesceKey: null })).toHaveLength(2);
+  });
+});
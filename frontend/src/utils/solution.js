@@ -0,0 +1,187 @@
+// Shared decoding of solver output. Every panel reads solutions through
+// these helpers. Variables arrive with the labels of their axes, as
+// {dims, coords, values}, so no position is ever mapped to a name by guessing.
+
+export const SKILL_COLORS = {
+  kitchen: '#ff7f0e',
+  wait: '#2ca02c',
+  service: '#d62728',
+  cleaning: '#9467bd'
+};
+
+export const skillColor = (skill) => SKILL_COLORS[skill] || '#1f77b4';
+
+// A labelled variable as a flat list of {index, value}, where index holds
+// one label per dimension in dims order. Scalars have an empty index.
+export const variableEntries = (variable) => {
+  if (typeof variable === 'number') return [{ index: [], value: variable }];
+  if (!variable?.dims) return [];
+  if (variable.entries) return variable.entries;
+
+  const entries = [];
+  const walk = (values, index) => {
+    if (index.length === variable.dims.length) {
+      entries.push({ index, value: values });
+      return;
+    }
+    const labels = variable.coords[variable.dims[index.length]];
+    values.forEach((inner, i) => walk(inner, [...index, labels[i]]));
+  };
+  walk(variable.values, []);
+  return entries;
+};
+
+// Labels along each axis of a labelled variable, in dims order
+export const variableAxes = (variable) => (variable?.dims || []).map(dim => variable.coords[dim]);
+
+// The candidates, days and skills the solved `assign` variable is
+// indexed by, [candidates, days, skills] as the template declares it
+export const solutionIndexes = (solution) => {
+  const [candidates = [], days = [], skills = []] = variableAxes(solution?.variables?.assign);
+  if (candidates.length > 0) return { candidates, days, skills };
+
+  // Solutions without labelled variables still have their schedule
+  const schedule = solution?.metrics?.schedule || [];
+  const unique = (field) => [...new Set(schedule.map(entry => entry[field]))].sort();
+  return { candidates: unique('candidate'), days: unique('day'), skills: unique('skill') };
+};
+
+// Build assignment and schedule records from the solved `assign` variable
+export const decodeAssignments = (solution) => {
+  const assignments = [];
+  const scheduleData = [];
+
+  // Solves with metrics report the schedule with real shift times; in
+  // two-stage models it also lists each scenario's call-ins
+  if (solution?.metrics?.schedule) {
+    solution.metrics.schedule.forEach(entry => {
+      const item = scheduleItem(entry.candidate, entry.day, entry.skill, entry);
+      assignments.push({
+        candidate: entry.candidate,
+        day: entry.day,
+        skill: entry.skill,
+        shift: item.shift,
+        start: item.start,
+        finish: item.finish,
+        hours: item.hours,
+        stage: item.stage,
+        scenario: item.scenario,
+        value: 1
+      });
+      scheduleData.push(item);
+    });
+    return { assignments, scheduleData };
+  }
+
+  variableEntries(solution?.variables?.assign).forEach(({ index: [candidate, day, skill], value }) => {
+    if (value > 0.5) { // Binary variable threshold
+      assignments.push({ candidate, day, skill, value: Math.round(value) });
+      scheduleData.push(scheduleItem(candidate, day, skill));
+    }
+  });
+
+  return { assignments, scheduleData };
+};
+
+// An assignment as a timed schedule entry; without a shift from the
+// server it is the default 09:00-17:00 day shift. Call-ins (stage
+// 'recourse') keep the scenario they were made for; planned entries
+// have no scenario.
+export const scheduleItem = (candidate, day, skill, shift = null) => ({
+  candidate,
+  task: shift ? `${skill} ${shift.shift} (${day})` : `${skill} (${day})`,
+  start: shift?.start ?? `${day}T09:00:00`,
+  finish: shift?.end ?? `${day}T17:00:00`,
+  shift: shift?.shift ?? null,
+  hours: shift?.hours ?? 8,
+  stage: shift?.stage ?? 'plan',
+  scenario: shift?.scenario ?? undefined,
+  skill,
+  day
+});
+
+export const isCallIn = (item) => item.stage === 'recourse';
+
+// Per-scenario coverage and cost with the risk summary of two-stage
+// models, or null for solutions with a single scenario
+export const scenarioResults = (solution) => {
+  const scenarios = solution?.metrics?.scenarios || [];
+  if (scenarios.length < 2) return null;
+  return { scenarios, risk: solution.metrics.risk ?? null };
+};
+
+// Total scheduled hours per person
+export const hoursByCandidate = (scheduleData) => scheduleData.reduce((hours, item) => {
+  hours[item.candidate] = (hours[item.candidate] || 0) + item.hours;
+  return hours;
+}, {});
+
+// Spread each person's overlapping entries over separate lanes, as
+// {lane, lanes} per entry, so overlapping shifts stay visible
+export const assignLanes = (scheduleData) => {
+  const placed = new Map();
+  const byCandidate = {};
+  scheduleData.forEach(item => { (byCandidate[item.candidate] = byCandidate[item.candidate] || []).push(item); });
+
+  Object.values(byCandidate).forEach(items => {
+    const laneEnds = [];
+    const group = [];
+    const closeGroup = () => {
+      group.forEach(item => { placed.get(item).lanes = laneEnds.length; });
+      group.length = 0;
+      laneEnds.length = 0;
+    };
+
+    [...items].sort((a, b) => a.start.localeCompare(b.start)).forEach(item => {
+      if (laneEnds.length > 0 && laneEnds.every(end => end <= item.start)) closeGroup();
+      let lane = laneEnds.findIndex(end => end <= item.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = item.finish;
+      placed.set(item, { lane, lanes: 1 });
+      group.push(item);
+    });
+    closeGroup();
+  });
+
+  return scheduleData.map(item => placed.get(item));
+};
+
+// Headline numbers used to compare solutions against each other
+// Prefers the metrics computed by the backend from the real demand data;
+// the local decode is only a fallback for solutions without them
+export const summarizeSolution = (solution) => {
+  const { assignments } = decodeAssignments(solution);
+  const { candidates, days, skills } = solutionIndexes(solution);
+  const metrics = solution?.metrics || {};
+
+  const byCandidate = {};
+  candidates.forEach(candidate => {
+    byCandidate[candidate] = 0;
+  });
+  if (metrics.staff) {
+    metrics.staff.forEach(member => {
+      byCandidate[member.candidate] = member.assignments;
+    });
+  } else {
+    assignments.forEach(a => {
+      byCandidate[a.candidate] = (byCandidate[a.candidate] || 0) + 1;
+    });
+  }
+
+  // Share of day/skill slots staffed by at least one person
+  const coveredSlots = new Set(assignments.map(a => `${a.day}|${a.skill}`));
+  const totalSlots = days.length * skills.length;
+
+  return {
+    status: solution?.status,
+    objective_value: solution?.objective_value ?? null,
+    total_assignments: metrics.total_assignments ?? assignments.length,
+    coverage_rate: metrics.coverage_rate ?? (totalSlots > 0 ? (coveredSlots.size / totalSlots) * 100 : 0),
+    shortfall_count: metrics.shortfall_count ?? null,
+    staff_utilization: metrics.staff_utilization ?? null,
+    expected_cost: metrics.risk?.expected_cost ?? null,
+    cvar: metrics.risk?.cvar ?? null,
+    relative_gap: solution?.relative_gap ?? null,
+    by_candidate: byCandidate
+  };
+};
@@ -0,0 +1,141 @@
+import { assignLanes, decodeAssignments, scheduleItem, solutionIndexes, variableEntries } from './solution';
+
+// assign[candidates, days, skills] as the backend labels it
+const assign = {
+  dims: ['candidates', 'days', 'skills'],
+  coords: {
+    candidates: ['Alice', 'Bob'],
+    days: ['2025-07-01', '2025-07-02'],
+    skills: ['kitchen', 'bar']
+  },
+  values: [
+    [[1, 0], [0, 0.9999]],
+    [[0, 0], [1, 0]]
+  ]
+};
+
+describe('variableEntries', () => {
+  it('labels every entry with its coords in dims order', () => {
+    const entries = variableEntries(assign);
+    expect(entries).toHaveLength(8);
+    expect(entries[0]).toEqual({ index: ['Alice', '2025-07-01', 'kitchen'], value: 1 });
+    expect(entries).toContainEqual({ index: ['Alice', '2025-07-02', 'bar'], value: 0.9999 });
+    expect(entries).toContainEqual({ index: ['Bob', '2025-07-02', 'kitchen'], value: 1 });
+  });
+
+  it('follows dims rather than a fixed axis order', () => {
+    const transposed = {
+      dims: ['days', 'candidates'],
+      coords: { days: ['2025-07-01', '2025-07-02'], candidates: ['Alice', 'Bob'] },
+      values: [[1, 2], [3, 4]]
+    };
+    expect(variableEntries(transposed)).toEqual([
+      { index: ['2025-07-01', 'Alice'], value: 1 },
+      { index: ['2025-07-01', 'Bob'], value: 2 },
+      { index: ['2025-07-02', 'Alice'], value: 3 },
+      { index: ['2025-07-02', 'Bob'], value: 4 }
+    ]);
+  });
+
+  it('handles one-dimensional variables and scalars', () => {
+    const hire = { dims: ['candidates'], coords: { candidates: ['Alice', 'Bob'] }, values: [1, 0] };
+    expect(variableEntries(hire)).toEqual([
+      { index: ['Alice'], value: 1 },
+      { index: ['Bob'], value: 0 }
+    ]);
+    expect(variableEntries(42)).toEqual([{ index: [], value: 42 }]);
+  });
+
+  it('passes sparse entries through and ignores unlabelled values', () => {
+    const sparse = { dims: ['candidates'], coords: { candidates: ['Alice'] }, entries: [{ index: ['Alice'], value: 1 }] };
+    expect(variableEntries(sparse)).toBe(sparse.entries);
+    expect(variableEntries(undefined)).toEqual([]);
+    expect(variableEntries([1, 0, 1])).toEqual([]);
+  });
+});
+
+describe('decodeAssignments', () => {
+  it('keeps the assignments above the binary threshold', () => {
+    const { assignments, scheduleData } = decodeAssignments({ variables: { assign } });
+    expect(assignments).toEqual([
+      { candidate: 'Alice', day: '2025-07-01', skill: 'kitchen', value: 1 },
+      { candidate: 'Alice', day: '2025-07-02', skill: 'bar', value: 1 },
+      { candidate: 'Bob', day: '2025-07-02', skill: 'kitchen', value: 1 }
+    ]);
+    expect(scheduleData[0]).toEqual(scheduleItem('Alice', '2025-07-01', 'kitchen'));
+    expect(scheduleData[0].start).toBe('2025-07-01T09:00:00');
+  });
+
+  it('prefers the schedule from the metrics, call-ins included', () => {
+    const schedule = [
+      { candidate: 'Alice', day: '2025-07-01', skill: 'kitchen', shift: 'early',
+        start: '2025-07-01T06:00:00', end: '2025-07-01T14:00:00', hours: 8, stage: 'plan' },
+      { candidate: 'Bob', day: '2025-07-01', skill: 'kitchen', shift: 'late',
+        start: '2025-07-01T14:00:00', end: '2025-07-01T22:00:00', hours: 8, stage: 'recourse', scenario: 'high_demand' }
+    ];
+    const { assignments, scheduleData } = decodeAssignments({ variables: { assign }, metrics: { schedule } });
+
+    expect(assignments).toHaveLength(2);
+    expect(assignments[0]).toMatchObject({ candidate: 'Alice', shift: 'early', start: '2025-07-01T06:00:00', stage: 'plan' });
+    expect(assignments[0].scenario).toBeUndefined();
+    expect(assignments[1]).toMatchObject({ candidate: 'Bob', stage: 'recourse', scenario: 'high_demand' });
+    expect(scheduleData[1].finish).toBe('2025-07-01T22:00:00');
+    expect(scheduleData[1].task).toBe('kitchen late (2025-07-01)');
+  });
+
+  it('returns nothing for a missing solution', () => {
+    expect(decodeAssignments(null)).toEqual({ assignments: [], scheduleData: [] });
+  });
+});
+
+describe('solutionIndexes', () => {
+  it('reads the axes of the assign variable', () => {
+    expect(solutionIndexes({ variables: { assign } })).toEqual(assign.coords);
+  });
+});
+
+describe('assignLanes', () => {
+  const entry = (candidate, start, finish) => ({
+    candidate,
+    start: `2025-07-01T${start}:00`,
+    finish: `2025-07-01T${finish}:00`
+  });
+
+  it('keeps separate shifts in a single lane', () => {
+    expect(assignLanes([entry('Alice', '06:00', '14:00'), entry('Alice', '14:00', '22:00')])).toEqual([
+      { lane: 0, lanes: 1 },
+      { lane: 0, lanes: 1 }
+    ]);
+  });
+
+  it('spreads overlapping shifts over separate lanes', () => {
+    const lanes = assignLanes([
+      entry('Alice', '09:00', '17:00'),
+      entry('Alice', '06:00', '14:00'),
+      entry('Alice', '14:00', '22:00')
+    ]);
+    // 06-14 and 14-22 share a lane next to 09-17
+    expect(lanes).toEqual([
+      { lane: 1, lanes: 2 },
+      { lane: 0, lanes: 2 },
+      { lane: 0, lanes: 2 }
+    ]);
+  });
+
+  it('only counts lanes within a group of overlapping shifts', () => {
+    const lanes = assignLanes([
+      entry('Alice', '06:00', '10:00'),
+      entry('Alice', '08:00', '12:00'),
+      entry('Alice', '18:00', '22:00')
+    ]);
+    expect(lanes[2]).toEqual({ lane: 0, lanes: 1 });
+    expect(lanes[0].lanes).toBe(2);
+  });
+
+  it('lays out each person separately', () => {
+    expect(assignLanes([entry('Alice', '09:00', '17:00'), entry('Bob', '09:00', '17:00')])).toEqual([
+      { lane: 0, lanes: 1 },
+      { lane: 0, lanes: 1 }
+    ]);
+  });
+});